@@ -3,6 +3,8 @@ const { App } = require("@slack/bolt");
 const { Pool } = require("pg");
 const { randomUUID } = require("crypto");
 const cron = require("node-cron");
+const ExcelJS = require("exceljs");
+const { migrateUp } = require("./migrate");
 
 // ================================
 // Slack Bolt App
@@ -62,6 +64,62 @@ async function publishHomeForUsers(client, teamId, userIds, intervalMs = 200) {
   }
 }
 
+// 期限の時刻（任意）：入力した人のタイムゾーンで保存（due_tz）
+function normalizeDueTime(v) {
+  const m = String(v || "")
+    .normalize("NFKC")
+    .trim()
+    .match(/^(\d{1,2})(?::(\d{2})|時(?:(\d{1,2})分)?)$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2] ?? m[3] ?? 0);
+  if (h > 23 || min > 59) return null;
+  return `${String(h).padStart(2, "0")}:${String(min).padStart(2, "0")}`;
+}
+
+// 時刻付きの期限 → Date（時刻なしは null）
+function taskDueAt(task) {
+  const dueYmd = slackDateYmd(task?.due_date);
+  const hm = normalizeDueTime(task?.due_time);
+  if (!dueYmd || !hm) return null;
+  return zonedTimeToDate(dueYmd, hm, task.due_tz || DEFAULT_TZ);
+}
+
+// 期限の表示：YYYY/MM/DD（＋ HH:mm、既定以外のタイムゾーンなら併記）
+function formatTaskDue(task) {
+  const date = formatDueDateOnly(task?.due_date);
+  const hm = task?.due_date ? normalizeDueTime(task?.due_time) : null;
+  if (!hm) return date;
+  const tz = task.due_tz || DEFAULT_TZ;
+  return tz === DEFAULT_TZ ? `${date} ${hm}` : `${date} ${hm}（${tz}）`;
+}
+
+function dueTimeInputBlock(initialTime = null) {
+  const hm = normalizeDueTime(initialTime);
+  return {
+    type: "input",
+    block_id: "due_time",
+    optional: true,
+    label: { type: "plain_text", text: "期限の時刻（任意）" },
+    hint: {
+      type: "plain_text",
+      text: "あなたのタイムゾーンの時刻として保存されます",
+    },
+    element: {
+      type: "timepicker",
+      action_id: "due_time_input",
+      placeholder: { type: "plain_text", text: "時刻を選択" },
+      ...(hm ? { initial_time: hm } : {}),
+    },
+  };
+}
+
+function readDueTime(view) {
+  return normalizeDueTime(
+    view?.state?.values?.due_time?.due_time_input?.selected_time,
+  );
+}
+
 // 期限を YYYY/MM/DD のみにする
 function formatDueDateOnly(due) {
   if (!due) return "未設定";
@@ -109,12 +167,47 @@ function slackDateYmd(due) {
   return null;
 }
 
+// タグ（task_tags）
+const TAG_MAX_LEN = 30;
+const TAGS_MAX_PER_TASK = 10;
+
+// 本文中の #タグ（行頭 or 空白の直後だけ。URL の #anchor や <#C…> は拾わない）
+const HASHTAG_RE =
+  /(^|[\s　(（「])#([^\s#　、。,，.!！?？()（）「」<>\[\]【】]+)/g;
+
+function normalizeTag(tag) {
+  return String(tag || "")
+    .replace(/^[#＃]+/, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .toLowerCase()
+    .slice(0, TAG_MAX_LEN);
+}
+
+// 重複・空を除いて並べる（上限 TAGS_MAX_PER_TASK）
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map(normalizeTag).filter(Boolean)))
+    .sort()
+    .slice(0, TAGS_MAX_PER_TASK);
+}
+
+function extractHashTags(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(HASHTAG_RE)) out.push(m[2]);
+  return normalizeTags(out);
+}
+
+function formatTags(tags) {
+  return (tags || []).map((t) => `#${t}`).join(" ");
+}
+
 function generateTitleCandidate(text, maxLen = 22) {
   if (!text) return "（タスク）";
   let s = String(text);
 
   s = s.replace(/\r\n/g, "\n");
   s = s.replace(/https?:\/\/\S+/g, "");
+  s = s.replace(HASHTAG_RE, "$1"); // #タグ はタイトルに入れない（task_tags に入る）
   s = s.replace(/<@[A-Z0-9]+>/g, "");
   s = s.replace(/<#[A-Z0-9]+\|[^>]+>/g, "");
   s = s.replace(/:[a-z0-9_+-]+:/gi, "");
@@ -271,6 +364,74 @@ async function getUserDisplayName(teamId, userId) {
     return userId;
   }
 }
+// ================================
+// User timezone（users.info の tz）…リマインドを各自の現地時刻で送る
+// ================================
+const DEFAULT_TZ = process.env.DEFAULT_TZ || "Asia/Tokyo";
+const userTzCache = new Map(); // `${teamId}:${userId}` -> { at, tz }
+
+function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function getUserTimezone(teamId, userId) {
+  if (!userId) return DEFAULT_TZ;
+  const key = `${teamId}:${userId}`;
+  const cached = userTzCache.get(key);
+  if (cached && Date.now() - cached.at < USER_CACHE_MS) return cached.tz;
+
+  try {
+    const res = await app.client.users.info({ user: userId });
+    const tz = isValidTimeZone(res?.user?.tz) ? res.user.tz : DEFAULT_TZ;
+    userTzCache.set(key, { at: Date.now(), tz });
+    return tz;
+  } catch (_) {
+    return DEFAULT_TZ;
+  }
+}
+
+// date を tz で見たときの YYYY-MM-DD / 時 / 分
+function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: tz,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value || "00";
+  return {
+    ymd: `${get("year")}-${get("month")}-${get("day")}`,
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+  };
+}
+
+// tz の「YYYY-MM-DD HH:mm」→ Date（夏時間の切り替わりは前後1時間ずれることがある）
+function zonedTimeToDate(ymd, hm, tz) {
+  const [y, m, d] = String(ymd).split("-").map(Number);
+  const [hh, mm] = String(hm).split(":").map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, hh, mm);
+  const shown = zonedParts(new Date(asUtc), tz);
+  const [sy, sm, sd] = shown.ymd.split("-").map(Number);
+  const shownUtc = Date.UTC(sy, sm - 1, sd, shown.hour, shown.minute);
+  return new Date(asUtc - (shownUtc - asUtc));
+}
+
+// 受け手の現地時刻
+async function userLocalClock(teamId, userId, now = new Date()) {
+  const tz = await getUserTimezone(teamId, userId);
+  return { tz, ...zonedParts(now, tz) };
+}
+
 // ================================
 // Departments (A): "*-all" usergroups are department masters
 // ================================
@@ -448,7 +609,8 @@ async function dbCreateTask(task) {
       requester_dept, assignee_dept,
       task_type, broadcast_group_handle, broadcast_group_id,
       total_count, completed_count,
-      notified_at,
+      schedule_id, priority,
+      due_time, due_tz,
       created_at, updated_at
     ) VALUES (
       $1,$2,$3,$4,$5,
@@ -459,7 +621,8 @@ async function dbCreateTask(task) {
       $14,$15,
       $16,$17,$18,
       $19,$20,
-      $21,
+      $21,$22,
+      $23,$24,
       now(), now()
     )
     RETURNING *;
@@ -485,10 +648,22 @@ async function dbCreateTask(task) {
     task.broadcast_group_id ?? null,
     task.total_count ?? null,
     task.completed_count ?? 0,
-    task.notified_at ?? null,
+    task.schedule_id ?? null,
+    normalizePriority(task.priority),
+    task.due_date ? normalizeDueTime(task.due_time) : null,
+    task.due_date && normalizeDueTime(task.due_time)
+      ? task.due_tz || DEFAULT_TZ
+      : null,
   ];
   const res = await dbQuery(q, params);
-  return res.rows[0];
+  const created = res.rows[0];
+  if (created) {
+    await dbInsertTaskEvent(task.team_id, task.id, {
+      actorUserId: task.created_by_user_id,
+      eventType: "created",
+    });
+  }
+  return created;
 }
 
 async function dbGetTaskById(teamId, taskId) {
@@ -604,20 +779,42 @@ async function dbListTasksForRequesterWithDept(
   return res.rows;
 }
 
-async function dbUpdateStatus(teamId, taskId, status) {
+async function dbUpdateStatus(teamId, taskId, status, actorUserId = null) {
+  const before = await dbGetTaskById(teamId, taskId);
   const q = `
     UPDATE tasks
     SET status=$3,
-        completed_at = CASE WHEN $3='done' THEN now() ELSE completed_at END,
+        completed_at = CASE
+          WHEN $3='done' THEN now()
+          WHEN $3 IN ('open','in_progress','waiting') THEN NULL
+          ELSE completed_at
+        END,
         updated_at = now()
     WHERE team_id=$1 AND id=$2
     RETURNING *;
   `;
   const res = await dbQuery(q, [teamId, taskId, status]);
-  return res.rows[0] || null;
+  const updated = res.rows[0] || null;
+  if (updated && before?.status !== updated.status) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "status",
+      field: "status",
+      oldValue: before?.status,
+      newValue: updated.status,
+    });
+    // blocked-by：最後のブロッカーが終わったら待っていた側へ通知
+    if (updated.status === "done") {
+      notifyUnblockedTasks(teamId, taskId).catch((e) =>
+        console.error("notifyUnblockedTasks error:", e?.data || e),
+      );
+    }
+  }
+  return updated;
 }
 
-async function dbUpdateTaskContent(teamId, taskId, patch) {
+async function dbUpdateTaskContent(teamId, taskId, patch, actorUserId = null) {
+  const before = await dbGetTaskById(teamId, taskId);
   const q = `
     UPDATE tasks
     SET
@@ -625,11 +822,14 @@ async function dbUpdateTaskContent(teamId, taskId, patch) {
       assignee_dept = COALESCE($4, assignee_dept),
       due_date = $5,
       description = COALESCE($6, description),
+      priority = COALESCE($7, priority),
+      due_time = $8,
+      due_tz = $9,
       updated_at = now()
     WHERE team_id=$1 AND id=$2
     RETURNING *;
   `;
-  // due_date は「未設定にする」ケースがあるため COALESCE しない
+  // due_date / due_time は「未設定にする」ケースがあるため COALESCE しない
   const res = await dbQuery(q, [
     teamId,
     taskId,
@@ -637,11 +837,36 @@ async function dbUpdateTaskContent(teamId, taskId, patch) {
     patch?.assignee_dept ?? null,
     patch?.due_date ?? null,
     patch?.description ?? null,
+    patch?.priority ?? null,
+    patch?.due_date ? (patch?.due_time ?? null) : null,
+    patch?.due_date && patch?.due_time ? patch?.due_tz || DEFAULT_TZ : null,
   ]);
-  return res.rows[0] || null;
+  const updated = res.rows[0] || null;
+  if (updated && before) {
+    for (const field of [
+      "assignee_id",
+      "due_date",
+      "due_time",
+      "description",
+      "priority",
+    ]) {
+      const oldValue = taskEventValue(field, before[field]);
+      const newValue = taskEventValue(field, updated[field]);
+      if (oldValue === newValue) continue;
+      await dbInsertTaskEvent(teamId, taskId, {
+        actorUserId,
+        eventType: "edit",
+        field,
+        oldValue,
+        newValue,
+      });
+    }
+  }
+  return updated;
 }
 
 async function dbCancelTask(teamId, taskId, actorUserId) {
+  const before = await dbGetTaskById(teamId, taskId);
   const q = `
     UPDATE tasks
     SET status='cancelled',
@@ -652,7 +877,17 @@ async function dbCancelTask(teamId, taskId, actorUserId) {
     RETURNING *;
   `;
   const res = await dbQuery(q, [teamId, taskId, actorUserId]);
-  return res.rows[0] || null;
+  const cancelled = res.rows[0] || null;
+  if (cancelled) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "status",
+      field: "status",
+      oldValue: before?.status,
+      newValue: "cancelled",
+    });
+  }
+  return cancelled;
 }
 
 async function dbUpdateBroadcastCounts(
@@ -664,7 +899,7 @@ async function dbUpdateBroadcastCounts(
   const q = `
     UPDATE tasks
     SET completed_count=$3,
-        total_count = COALESCE(total_count, $4),
+        total_count = COALESCE($4, total_count),
         updated_at=now()
     WHERE team_id=$1 AND id=$2
     RETURNING *;
@@ -678,9 +913,164 @@ async function dbUpdateBroadcastCounts(
   return res.rows[0] || null;
 }
 
+// ================================
+// DB: Task events（変更履歴）
+// - 作成 / ステータス / 編集 / 取り下げ / 完了 を記録（コメントは task_comments 側）
+// - 値はすべて text で持つ（表示は formatTaskEventLine）
+// ================================
+function taskEventValue(field, value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (field === "due_date") return slackDateYmd(value);
+  return String(value);
+}
+
+async function dbInsertTaskEvent(
+  teamId,
+  taskId,
+  {
+    actorUserId = null,
+    eventType,
+    field = null,
+    oldValue = null,
+    newValue = null,
+  },
+) {
+  // 履歴の書き込み失敗で本処理を止めない
+  try {
+    const q = `
+      INSERT INTO task_events (
+        id, team_id, task_id, actor_user_id,
+        event_type, field, old_value, new_value, created_at
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8, now());
+    `;
+    await dbQuery(q, [
+      randomUUID(),
+      teamId,
+      taskId,
+      actorUserId,
+      eventType,
+      field,
+      oldValue ?? null,
+      newValue ?? null,
+    ]);
+  } catch (e) {
+    console.error("dbInsertTaskEvent error:", e?.data || e);
+  }
+}
+
+// 詳細モーダルの履歴に出す件数（モーダルのブロック上限対策）
+const TIMELINE_MAX_ITEMS = 20;
+
+const TASK_EVENT_FIELD_LABELS = {
+  status: "ステータス",
+  assignee_id: "対応者",
+  due_date: "期限",
+  description: "タスク内容",
+  recurrence: "繰り返し",
+  checklist_auto_wait: "チェックリスト完了で確認待ち",
+  priority: "優先度",
+  tags: "タグ",
+  due_time: "期限の時刻",
+};
+
+function formatTaskEventValue(field, value) {
+  if (value === null || value === undefined) return "未設定";
+  if (field === "status") return statusLabel(value);
+  if (field === "assignee_id") return `<@${value}>`;
+  if (field === "due_date") return formatDueDateOnly(value);
+  if (field === "recurrence") return recurrenceLabel(value);
+  if (field === "priority") return priorityLabel(value);
+  if (field === "checklist_auto_wait") return value === "true" ? "ON" : "OFF";
+  return noMention(String(value));
+}
+
+async function formatTaskEventLine(teamId, ev) {
+  const who = ev.actor_user_id
+    ? await getUserDisplayName(teamId, ev.actor_user_id)
+    : "システム";
+
+  if (ev.event_type === "created") return `📝 *${who}* が作成`;
+  if (ev.event_type === "source_deleted") return "🗑 元メッセージが削除された";
+  if (ev.event_type === "handoff_requested")
+    return `🔁 *${who}* が <@${ev.new_value}> さんへ担当変更を依頼`;
+  if (ev.event_type === "handoff_declined")
+    return `🙅 <@${ev.new_value}> さんが担当変更を断った`;
+  if (ev.event_type === "target_added")
+    return `➕ *${who}* が <@${ev.new_value}> を対象者に追加`;
+  if (ev.event_type === "target_removed")
+    return `➖ *${who}* が <@${ev.new_value}> を対象者から除外`;
+  if (ev.event_type === "follow_group")
+    return `🔄 *${who}* がグループ追随を${ev.new_value === "on" ? "ON" : "OFF"}`;
+  if (ev.event_type === "thread_sync")
+    return `🧵 *${who}* がスレッド連携を${ev.new_value === "on" ? "ON" : "OFF"}`;
+  if (ev.event_type === "completion") return `✅ *${who}* が完了`;
+  if (ev.event_type === "checklist_added")
+    return `☑️ *${who}* がチェック項目を追加：${noMention(ev.new_value || "")}`;
+  if (ev.event_type === "checklist_checked")
+    return `☑️ *${who}* がチェック：${noMention(ev.new_value || "")}`;
+  if (ev.event_type === "checklist_unchecked")
+    return `⬜ *${who}* がチェックを外した：${noMention(ev.new_value || "")}`;
+  if (ev.event_type === "dependency_added")
+    return `🔒 *${who}* がブロッカーを追加`;
+  if (ev.event_type === "dependency_removed")
+    return `🔓 *${who}* がブロッカーを外した`;
+  if (ev.event_type === "completion_withdrawn")
+    return `↩️ *${who}* が完了を取り消し`;
+  if (ev.event_type === "completion_rejected")
+    return `↩️ *${who}* が <@${ev.old_value}> を差し戻し：${noMention(ev.new_value || "")}`;
+
+  const label = TASK_EVENT_FIELD_LABELS[ev.field] || ev.field;
+  // 内容は長いので差分は出さない
+  if (ev.field === "description") return `✏️ *${who}* が${label}を変更`;
+  return `✏️ *${who}* が${label}を変更：${formatTaskEventValue(ev.field, ev.old_value)} → ${formatTaskEventValue(ev.field, ev.new_value)}`;
+}
+
+async function dbListTaskEvents(teamId, taskId, limit = 30) {
+  const q = `
+    SELECT actor_user_id, event_type, field, old_value, new_value, created_at
+    FROM task_events
+    WHERE team_id=$1 AND task_id=$2
+    ORDER BY created_at DESC
+    LIMIT $3;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, limit]);
+  return res.rows || [];
+}
+
 // ================================
 // DB: Broadcast targets/completions/watchers
 // ================================
+// フォロワー（source: reaction / mention / manual）…追加できたら true
+async function dbAddTaskWatcher(teamId, taskId, userId, source = "manual") {
+  const q = `
+    INSERT INTO task_watchers (team_id, task_id, user_id, source, created_at)
+    VALUES ($1,$2,$3,$4, now())
+    ON CONFLICT (task_id, user_id) DO NOTHING
+    RETURNING user_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, userId, source]);
+  return (res.rows || []).length > 0;
+}
+
+async function dbRemoveTaskWatcher(teamId, taskId, userId) {
+  const q = `
+    DELETE FROM task_watchers
+    WHERE team_id=$1 AND task_id=$2 AND user_id=$3;
+  `;
+  await dbQuery(q, [teamId, taskId, userId]);
+}
+
+async function dbListTaskWatcherIds(teamId, taskId) {
+  const q = `
+    SELECT user_id
+    FROM task_watchers
+    WHERE team_id=$1 AND task_id=$2
+    ORDER BY created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return (res.rows || []).map((r) => r.user_id);
+}
+
 async function dbInsertTaskTargets(teamId, taskId, userIds) {
   if (!userIds?.length) return;
   const values = [];
@@ -710,13 +1100,48 @@ async function dbHasUserCompleted(teamId, taskId, userId) {
   return !!res.rows[0];
 }
 
-async function dbUpsertCompletion(teamId, taskId, userId) {
+// submission：{ note, linkUrl, files }（提出して完了）…完了済みなら提出内容だけ更新
+async function dbUpsertCompletion(teamId, taskId, userId, submission = null) {
   const q = `
-    INSERT INTO task_completions (task_id, team_id, user_id)
-    VALUES ($1,$2,$3)
-    ON CONFLICT (task_id, user_id) DO NOTHING;
+    INSERT INTO task_completions (task_id, team_id, user_id, note, link_url, files)
+    VALUES ($1,$2,$3,$4,$5,$6::jsonb)
+    ON CONFLICT (task_id, user_id) DO NOTHING
+    RETURNING user_id;
   `;
-  await dbQuery(q, [taskId, teamId, userId]);
+  const res = await dbQuery(q, [
+    taskId,
+    teamId,
+    userId,
+    submission?.note || null,
+    submission?.linkUrl || null,
+    JSON.stringify(submission?.files || []),
+  ]);
+  if (!(res.rows || []).length && submission) {
+    await dbQuery(
+      `
+      UPDATE task_completions
+      SET note=$4, link_url=$5, files=$6::jsonb
+      WHERE team_id=$1 AND task_id=$2 AND user_id=$3;
+    `,
+      [
+        teamId,
+        taskId,
+        userId,
+        submission.note || null,
+        submission.linkUrl || null,
+        JSON.stringify(submission.files || []),
+      ],
+    );
+  }
+  // 新しく完了したときだけ履歴に残す（二度押しは無視）
+  if ((res.rows || []).length) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId: userId,
+      eventType: "completion",
+      field: "completion",
+      newValue: userId,
+    });
+  }
 }
 
 async function dbCountTargets(teamId, taskId) {
@@ -724,8 +1149,15 @@ async function dbCountTargets(teamId, taskId) {
   const res = await dbQuery(q, [teamId, taskId]);
   return res.rows[0]?.c ?? 0;
 }
+// 対象者から外れた人の完了は数えない
 async function dbCountCompletions(teamId, taskId) {
-  const q = `SELECT COUNT(*)::int AS c FROM task_completions WHERE team_id=$1 AND task_id=$2;`;
+  const q = `
+    SELECT COUNT(*)::int AS c
+    FROM task_completions tc
+    JOIN task_targets tt
+      ON tt.task_id = tc.task_id AND tt.user_id = tc.user_id
+    WHERE tc.team_id=$1 AND tc.task_id=$2;
+  `;
   const res = await dbQuery(q, [teamId, taskId]);
   return res.rows[0]?.c ?? 0;
 }
@@ -761,7 +1193,7 @@ async function dbListBroadcastTasksForUser(
       AND t.task_type='broadcast'
       AND t.status=$2
       ${whereDept}
-    ORDER BY (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
+    ORDER BY ${priorityOrderSql("t")} ASC, (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
     LIMIT $3;
   `;
   const res = await dbQuery(q, params);
@@ -809,6 +1241,14 @@ async function dbUpsertThreadCard(teamId, channelId, parentTs, cardTs) {
   }
 }
 
+async function dbDeleteThreadCard(teamId, channelId, parentTs) {
+  const q = `
+    DELETE FROM thread_cards
+    WHERE team_id=$1 AND channel_id=$2 AND parent_ts=$3;
+  `;
+  await dbQuery(q, [teamId, channelId, parentTs]);
+}
+
 // ================================
 // UI pieces
 // ================================
@@ -873,7 +1313,7 @@ function assigneeDisplay(task) {
     // 表示は通知抑止（発行時通知は別で行う）
     return noMention(task.assignee_label || "（複数対象）");
   }
-  return `<@${task.assignee_id}>`;
+  return `<@${task.assignee_id}>${absenceMark(task.team_id, task.assignee_id)}`;
 }
 
 function progressLabel(task) {
@@ -899,10 +1339,12 @@ async function postDM(userId, text) {
   } catch (_) {}
 }
 
+// opts.undo: 完了DMに「元に戻す」ボタンを付ける（時間制限あり）
 async function notifyTaskSimpleDM(
   userId,
   task,
   headerText = "✅ 完了になったよ",
+  opts = {},
 ) {
   if (!userId || !task?.team_id || !task?.id) return;
 
@@ -912,6 +1354,7 @@ async function notifyTaskSimpleDM(
     if (!channel) return;
 
     const payload = JSON.stringify({ teamId: task.team_id, taskId: task.id });
+    await loadTeamAbsences(task.team_id); // 対応者の「不在中」表示用
 
     await app.client.chat.postMessage({
       channel,
@@ -920,7 +1363,13 @@ async function notifyTaskSimpleDM(
         { type: "section", text: { type: "mrkdwn", text: `${headerText}` } },
         {
           type: "section",
-          text: { type: "mrkdwn", text: `*${noMention(task.title)}*` },
+          text: {
+            type: "mrkdwn",
+            text:
+              task.task_type === "broadcast" || task.assignee_id
+                ? `*${noMention(task.title)}*\n対応者：${assigneeDisplay(task)}`
+                : `*${noMention(task.title)}*`,
+          },
         },
         {
           type: "actions",
@@ -931,6 +1380,7 @@ async function notifyTaskSimpleDM(
               action_id: "open_detail_modal",
               value: payload,
             },
+            ...(opts.undo ? [undoButtonElement(task)] : []),
           ],
         },
       ],
@@ -972,6 +1422,7 @@ async function postRequesterConfirmDM({
               action_id: "confirm_broadcast_done",
               value,
             },
+            rejectButtonElement(teamId, taskId),
           ],
         },
       ],
@@ -1017,9 +1468,12 @@ async function upsertThreadCard(
 
 // ★要望②：スレッドから完了ボタン削除（詳細からのみ）
 async function buildThreadCardBlocks({ teamId, task }) {
-  const src = task.source_permalink
-    ? `<${task.source_permalink}|元メッセージを開く>`
-    : noMention(`> ${(task.description || "").slice(0, 140)}`);
+  await loadTeamAbsences(teamId);
+  const src = task.source_deleted_at
+    ? "🗑 元メッセージは削除されました"
+    : task.source_permalink
+      ? `<${task.source_permalink}|元メッセージを開く>`
+      : noMention(`> ${(task.description || "").slice(0, 140)}`);
 
   // スレッド側の「詳細」は閲覧専用（操作は Home から）
   const payload = JSON.stringify({
@@ -1043,7 +1497,7 @@ async function buildThreadCardBlocks({ teamId, task }) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*期限*：${formatDueDateOnly(task.due_date)}`,
+        text: `*期限*：${formatTaskDue(task)}`,
       },
     },
     {
@@ -1062,6 +1516,22 @@ async function buildThreadCardBlocks({ teamId, task }) {
   //  common.push({ type: "section", text: { type: "mrkdwn", text: `*対応者部署*：${deptLabel(task.assignee_dept)}` } });
   //}
 
+  // チェックリストがあれば進捗だけ出す
+  try {
+    const c = (await dbChecklistCountsByTaskIds(teamId, [task.id])).get(
+      task.id,
+    );
+    if (c?.total) {
+      common.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*チェックリスト*：${checklistProgressText(c.done, c.total)}`,
+        },
+      });
+    }
+  } catch (_) {}
+
   return [
     ...common,
     { type: "divider" },
@@ -1069,6 +1539,7 @@ async function buildThreadCardBlocks({ teamId, task }) {
       type: "section",
       text: { type: "mrkdwn", text: `*元メッセージ*\n${src}` },
     },
+    ...sourceEditedBlocks(task),
     { type: "divider" },
     {
       type: "actions",
@@ -1102,6 +1573,7 @@ async function buildDetailModalView({
   viewerUserId,
   origin = "home",
 }) {
+  await loadTeamAbsences(teamId);
   const srcLinesRaw =
     (task.description || "").split("\n").slice(0, 10).join("\n") ||
     "（本文なし）";
@@ -1128,7 +1600,7 @@ async function buildDetailModalView({
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*期限*：${formatDueDateOnly(task.due_date)}`,
+        text: `*期限*：${formatTaskDue(task)}`,
       },
     },
 
@@ -1142,6 +1614,42 @@ async function buildDetailModalView({
     type: "section",
     text: { type: "mrkdwn", text: `*ステータス*：${statusLabel(task.status)}` },
   });
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: `*優先度*：${priorityLabel(task.priority)}` },
+  });
+  {
+    const tags = await dbListTaskTags(teamId, task.id);
+    if (tags.length) {
+      blocks.push({
+        type: "section",
+        text: { type: "mrkdwn", text: `*タグ*：${formatTags(tags)}` },
+      });
+    }
+  }
+
+  // blocked-by
+  try {
+    blocks.push(
+      ...buildDependencyBlocks(await dbListBlockerTasks(teamId, task.id)),
+    );
+  } catch (e) {
+    console.error("load dependencies error", e);
+  }
+
+  // 繰り返しタスク（停止済みなら出さない）
+  if (task.schedule_id) {
+    const schedule = await dbGetTaskSchedule(teamId, task.schedule_id);
+    if (schedule?.active) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*繰り返し*：🔁 ${recurrenceLabel(schedule.rule)}（次回 ${formatDueDateOnly(schedule.next_run_date)}）`,
+        },
+      });
+    }
+  }
   blocks.push({ type: "divider" });
 
   // personal：完了ボタン（スレッド起点でもOK）
@@ -1165,6 +1673,12 @@ async function buildDetailModalView({
         ],
       });
       blocks.push({ type: "divider" });
+    } else if (canCompletePersonal && task.status === "done") {
+      blocks.push({
+        type: "actions",
+        elements: [reopenButtonElement(teamId, task)],
+      });
+      blocks.push({ type: "divider" });
     } else if (!canCompletePersonal && !isReadOnly) {
       blocks.push({
         type: "context",
@@ -1180,7 +1694,16 @@ async function buildDetailModalView({
   }
 
   // ★復活：元メッセージへ（permalinkがある場合のみ表示）
-  if (task?.source_permalink) {
+  if (task?.source_deleted_at) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🗑 元メッセージは削除されました（${formatJstDateTime(task.source_deleted_at)}）`,
+      },
+    });
+    blocks.push({ type: "divider" });
+  } else if (task?.source_permalink) {
     blocks.push({
       type: "section",
       text: {
@@ -1188,9 +1711,57 @@ async function buildDetailModalView({
         text: `🔗 <${task.source_permalink}|元メッセージへ>`,
       },
     });
+    if (!isReadOnly && canEditTaskContent(task, viewerUserId))
+      blocks.push(...sourceEditedBlocks(task));
     blocks.push({ type: "divider" });
   }
 
+  // 担当の履歴（personal のみ）
+  if (!isBroadcast) {
+    try {
+      blocks.push(
+        ...handoffTrailBlocks(
+          task,
+          await dbListHandoffsForTask(teamId, task.id),
+        ),
+      );
+    } catch (e) {
+      console.error("load handoffs error", e);
+    }
+  }
+
+  // フォロー（依頼者/対応者以外。閲覧のみの画面でもOK）
+  try {
+    const watcherIds = await dbListTaskWatcherIds(teamId, task.id);
+    const isMember =
+      viewerUserId === task.requester_user_id ||
+      (!isBroadcast && viewerUserId === task.assignee_id);
+    const watching = watcherIds.includes(viewerUserId);
+    const watcherText = watcherIds.length
+      ? `👀 フォロー中：${watcherIds.map((u) => `<@${u}>`).join(" ")}`
+      : "👀 フォローしている人はいません";
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: watcherText },
+      ...(isMember || !viewerUserId
+        ? {}
+        : {
+            accessory: {
+              type: "button",
+              action_id: "toggle_watch_task",
+              text: {
+                type: "plain_text",
+                text: watching ? "フォロー解除" : "フォローする",
+              },
+              ...(watching ? {} : { style: "primary" }),
+              value: JSON.stringify({ teamId, taskId: task.id }),
+            },
+          }),
+    });
+  } catch (e) {
+    console.error("load watchers error", e);
+  }
+
   blocks.push({
     type: "section",
     text: { type: "mrkdwn", text: `*タスク内容*\n\`\`\`\n${srcLines}\n\`\`\`` },
@@ -1198,13 +1769,7 @@ async function buildDetailModalView({
 
   // ★追加：タスク内容の編集（personal: 依頼者/対応者, broadcast: 依頼者のみ / thread起点は表示しない）
   if (!isReadOnly) {
-    const canEditTask =
-      (!isBroadcast &&
-        (viewerUserId === task.requester_user_id ||
-          viewerUserId === task.assignee_id)) ||
-      (isBroadcast && viewerUserId === task.requester_user_id);
-
-    if (canEditTask) {
+    if (canEditTaskContent(task, viewerUserId)) {
       blocks.push({
         type: "actions",
         elements: [
@@ -1214,65 +1779,139 @@ async function buildDetailModalView({
             text: { type: "plain_text", text: "内容を編集" },
             value: JSON.stringify({ teamId, taskId: task.id }),
           },
+          ...(canHandoffTask(task, viewerUserId)
+            ? [
+                {
+                  type: "button",
+                  action_id: "open_handoff_modal",
+                  text: { type: "plain_text", text: "担当変更" },
+                  value: JSON.stringify({ teamId, taskId: task.id, origin }),
+                },
+              ]
+            : []),
         ],
       });
     }
   }
 
-  // ===== コメント表示（元メッセージの下）=====
+  // ===== チェックリスト =====
+  try {
+    blocks.push(
+      ...(await buildChecklistBlocks({
+        teamId,
+        task,
+        viewerUserId,
+        isReadOnly,
+      })),
+    );
+  } catch (e) {
+    console.error("load checklist error", e);
+  }
+
+  // ===== 履歴（コメント + 変更履歴を時系列で）=====
   let __comments = [];
+  let __events = [];
   try {
-    __comments = await dbListTaskComments(teamId, task.id, 10);
+    __comments = await dbListTaskComments(teamId, task.id, TIMELINE_MAX_ITEMS);
   } catch (e) {
     console.error("load comments error", e);
   }
+  try {
+    __events = await dbListTaskEvents(teamId, task.id, 30);
+  } catch (e) {
+    console.error("load task events error", e);
+  }
 
   blocks.push({ type: "divider" });
   blocks.push({
     type: "section",
-    text: { type: "mrkdwn", text: "*🗨 コメント*" },
+    text: { type: "mrkdwn", text: "*🕘 履歴*（コメント・変更）" },
   });
-
-  if (!__comments.length) {
+  if (task.thread_sync) {
     blocks.push({
       type: "context",
-      elements: [{ type: "mrkdwn", text: "（コメントなし）" }],
-    });
-  } else {
-    for (const c of __comments) {
-      const name = await getUserDisplayName(teamId, c.user_id);
-      blocks.push({
-        type: "section",
-        text: { type: "mrkdwn", text: `*${name}*\n${c.comment}` },
-      });
-    }
-  }
-
-  if (!isReadOnly) {
-    blocks.push({
-      type: "actions",
       elements: [
         {
-          type: "button",
-          action_id: "open_comment_modal",
-          text: { type: "plain_text", text: "コメントを書く" },
-          value: JSON.stringify({ teamId, taskId: task.id }),
+          type: "mrkdwn",
+          text: "🧵 スレッド連携中：スレッドの返信もコメントとしてここに並びます",
         },
       ],
     });
   }
 
-  blocks.push({ type: "divider" });
-  // ===== コメント表示ここまで =====
+  const timeline = [
+    ...__comments.map((c) => ({ kind: "comment", at: c.created_at, row: c })),
+    ...__events.map((ev) => ({ kind: "event", at: ev.created_at, row: ev })),
+  ]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(-TIMELINE_MAX_ITEMS);
 
-  // actions（スレッド起点は操作なし）
-  if (!isReadOnly) {
-    const base = { teamId, taskId: task.id };
-    const actions = [];
-    // ===== broadcast 操作（誤操作防止版）=====
-    if (isBroadcast) {
-      const isTarget = await dbIsUserTarget(teamId, task.id, viewerUserId);
-      const already = await dbHasUserCompleted(teamId, task.id, viewerUserId);
+  if (!timeline.length) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "（まだ履歴はありません）" }],
+    });
+  } else {
+    for (const item of timeline) {
+      const when = formatJstDateTime(item.at);
+      if (item.kind === "comment") {
+        const name = await getUserDisplayName(teamId, item.row.user_id);
+        const icon = item.row.source === "thread" ? "🧵" : "🗨";
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${icon} *${name}*　${when}\n${String(item.row.comment).slice(0, 2800)}`,
+          },
+        });
+      } else {
+        blocks.push({
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `${when}　${await formatTaskEventLine(teamId, item.row)}`,
+            },
+          ],
+        });
+      }
+    }
+  }
+
+  if (!isReadOnly) {
+    const commentActions = [
+      {
+        type: "button",
+        action_id: "open_comment_modal",
+        text: { type: "plain_text", text: "コメントを書く" },
+        value: JSON.stringify({ teamId, taskId: task.id }),
+      },
+    ];
+    if (canUseThreadSync(task) && canEditTaskContent(task, viewerUserId)) {
+      commentActions.push({
+        type: "button",
+        action_id: "toggle_thread_sync",
+        text: {
+          type: "plain_text",
+          text: task.thread_sync ? "スレッド連携をやめる" : "🧵 スレッドと連携",
+        },
+        value: JSON.stringify({ teamId, taskId: task.id }),
+      });
+    }
+    blocks.push({ type: "actions", elements: commentActions });
+  }
+
+  blocks.push({ type: "divider" });
+  // ===== 履歴ここまで =====
+
+  // actions（スレッド起点は操作なし）
+  if (!isReadOnly) {
+    const base = { teamId, taskId: task.id };
+    const actions = [];
+    // ===== broadcast 操作（誤操作防止版）=====
+    if (isBroadcast) {
+      const isTarget = await dbIsUserTarget(teamId, task.id, viewerUserId);
+      const already = await dbHasUserCompleted(teamId, task.id, viewerUserId);
 
       // ① 自分の完了（対象者だけ / 既に完了してたら非活性表示）
       if (
@@ -1291,9 +1930,12 @@ async function buildDetailModalView({
               action_id: "complete_task",
               value: JSON.stringify({ teamId, taskId: task.id }),
             },
+            submitButtonElement(teamId, task.id),
           ],
         });
       } else if (isTarget && already) {
+        const canWithdraw =
+          task.status !== "done" && task.status !== "cancelled";
         blocks.push({
           type: "actions",
           elements: [
@@ -1303,6 +1945,26 @@ async function buildDetailModalView({
               action_id: "noop",
               value: "noop",
             },
+            ...(canWithdraw
+              ? [
+                  submitButtonElement(teamId, task.id, { update: true }),
+                  {
+                    type: "button",
+                    text: { type: "plain_text", text: "完了を取り消す" },
+                    action_id: "withdraw_completion",
+                    value: JSON.stringify({ teamId, taskId: task.id }),
+                    confirm: {
+                      title: { type: "plain_text", text: "確認" },
+                      text: {
+                        type: "mrkdwn",
+                        text: "自分の完了を取り消して*未完了*に戻します。",
+                      },
+                      confirm: { type: "plain_text", text: "取り消す" },
+                      deny: { type: "plain_text", text: "やめる" },
+                    },
+                  },
+                ]
+              : []),
           ],
         });
       }
@@ -1360,6 +2022,14 @@ async function buildDetailModalView({
 
         blocks.push({ type: "actions", elements: elems });
       }
+
+      // ④ 完了済みを再開（依頼者のみ）
+      if (task.status === "done" && task.requester_user_id === viewerUserId) {
+        blocks.push({
+          type: "actions",
+          elements: [reopenButtonElement(teamId, task)],
+        });
+      }
     }
     // ===== broadcast 操作（誤操作防止版）ここまで =====
   }
@@ -1403,15 +2073,384 @@ async function openDetailModal(
   await client.views.open({ trigger_id, view });
 }
 
-// watcher helper
+// ================================
+// Watchers（フォロー）
+// ================================
+// 通知の「追加の宛先」としてのフォロワー（依頼者/対応者など既に送る人・操作した本人は除く）
+async function watchersToNotify(teamId, taskId, excludeUserIds = []) {
+  try {
+    const exclude = new Set(excludeUserIds.filter(Boolean));
+    const ids = await dbListTaskWatcherIds(teamId, taskId);
+    return ids.filter((u) => u && !exclude.has(u));
+  } catch (e) {
+    console.error("load watchers error:", e?.data || e);
+    return [];
+  }
+}
+
+// 元メッセージで @メンションされた人を自動フォロー（依頼者/対応者は通知が来るので除く）
+async function addMentionWatchers(teamId, task, rawText) {
+  const ids = Array.from(
+    new Set(
+      Array.from(
+        String(rawText || "").matchAll(/<@([A-Z0-9]+)(?:\|[^>]+)?>/g),
+      ).map((m) => m[1]),
+    ),
+  );
+  for (const uid of ids) {
+    if (uid === task.requester_user_id || uid === task.assignee_id) continue;
+    try {
+      await dbAddTaskWatcher(teamId, task.id, uid, "mention");
+    } catch (e) {
+      console.error("add mention watcher error:", e?.data || e);
+    }
+  }
+}
+
+app.action("toggle_watch_task", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const task = await dbGetTaskById(teamId, p.taskId);
+    if (!task || !userId) return;
+
+    const watching = (await dbListTaskWatcherIds(teamId, task.id)).includes(
+      userId,
+    );
+    if (watching) {
+      await dbRemoveTaskWatcher(teamId, task.id, userId);
+    } else {
+      await dbAddTaskWatcher(teamId, task.id, userId, "manual");
+    }
+
+    await refreshDetailModalIfOpen(client, body, teamId, task, userId);
+    publishHomeForUsers(client, teamId, [userId]);
+  } catch (e) {
+    console.error("toggle_watch_task error:", e?.data || e);
+  }
+});
+
+// ================================
+// Absence（不在設定：期間 + 代理）
+// - Home から設定。期間中は「不在中」表示 / 作成時に警告 + 代理を提案
+// - 期限DM（runDueNotifyJob）は代理にも送る
+// - 期間は JST の日付で判定（YYYY-MM-DD の文字列比較）
+// ================================
+const ABSENCE_CACHE_MS = 60 * 1000;
+// teamId -> { at, rows: Map(userId -> absence) }
+const absenceCache = new Map();
+
+async function dbListTeamAbsences(teamId) {
+  const q = `
+    SELECT user_id, delegate_user_id,
+           start_date::text AS start_date, end_date::text AS end_date
+    FROM user_absences
+    WHERE team_id=$1 AND end_date >= (now() AT TIME ZONE 'Asia/Tokyo')::date - 1;
+  `;
+  const res = await dbQuery(q, [teamId]);
+  return res.rows || [];
+}
+
+async function dbUpsertAbsence(
+  teamId,
+  userId,
+  { startYmd, endYmd, delegateUserId },
+) {
+  const q = `
+    INSERT INTO user_absences (team_id, user_id, start_date, end_date, delegate_user_id, updated_at)
+    VALUES ($1,$2,$3,$4,$5, now())
+    ON CONFLICT (team_id, user_id) DO UPDATE
+    SET start_date=EXCLUDED.start_date,
+        end_date=EXCLUDED.end_date,
+        delegate_user_id=EXCLUDED.delegate_user_id,
+        updated_at=now();
+  `;
+  await dbQuery(q, [teamId, userId, startYmd, endYmd, delegateUserId || null]);
+  absenceCache.delete(teamId);
+}
+
+async function dbDeleteAbsence(teamId, userId) {
+  await dbQuery(`DELETE FROM user_absences WHERE team_id=$1 AND user_id=$2;`, [
+    teamId,
+    userId,
+  ]);
+  absenceCache.delete(teamId);
+}
+
+// 表示の前に呼んでおく（assigneeDisplay などは同期でキャッシュを読むだけ）
+async function loadTeamAbsences(teamId) {
+  if (!teamId) return new Map();
+  const hit = absenceCache.get(teamId);
+  if (hit && Date.now() - hit.at < ABSENCE_CACHE_MS) return hit.rows;
+  try {
+    const rows = new Map(
+      (await dbListTeamAbsences(teamId)).map((r) => [r.user_id, r]),
+    );
+    absenceCache.set(teamId, { at: Date.now(), rows });
+    return rows;
+  } catch (e) {
+    console.error("load absences error:", e?.data || e);
+    return hit?.rows || new Map();
+  }
+}
+
+function cachedAbsence(teamId, userId, ymd = todayJstYmd()) {
+  const a = absenceCache.get(teamId)?.rows?.get(userId);
+  if (!a) return null;
+  return a.start_date <= ymd && ymd <= a.end_date ? a : null;
+}
+
+async function getActiveAbsence(teamId, userId, ymd = todayJstYmd()) {
+  if (!teamId || !userId) return null;
+  await loadTeamAbsences(teamId);
+  return cachedAbsence(teamId, userId, ymd);
+}
+
+function absenceRangeText(a) {
+  return `${formatDueDateOnly(a.start_date)}〜${formatDueDateOnly(a.end_date)}`;
+}
+
+// 対応者表示の後ろに付ける目印（キャッシュ未読込なら何も付けない）
+function absenceMark(teamId, userId) {
+  const a = cachedAbsence(teamId, userId);
+  return a ? `（🏖 不在中〜${formatDueDateOnly(a.end_date)}）` : "";
+}
+
+// 作成時の警告文（代理がいれば提案）
+function absenceWarningText(userId, a) {
+  const delegate = a.delegate_user_id
+    ? `代理の <@${a.delegate_user_id}> さんへの依頼がおすすめです`
+    : "戻ってからの対応になるかもしれません";
+  return `🏖 *<@${userId}> さんは不在中*（${absenceRangeText(a)}）…${delegate}`;
+}
+
+function homeAbsenceBlocks(teamId, userId) {
+  const today = todayJstYmd();
+  const row = absenceCache.get(teamId)?.rows?.get(userId) || null;
+  const a = row && row.end_date >= today ? row : null;
+  const value = JSON.stringify({ teamId });
+
+  let text = "🏖 *不在設定*：なし";
+  if (a) {
+    const state = a.start_date <= today ? "不在中" : "予定";
+    const delegate = a.delegate_user_id
+      ? `　代理：<@${a.delegate_user_id}>`
+      : "";
+    text = `🏖 *不在設定*：${state}（${absenceRangeText(a)}）${delegate}`;
+  }
+
+  return [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: "open_absence_modal",
+          text: { type: "plain_text", text: a ? "変更" : "不在を設定" },
+          value,
+        },
+        ...(a
+          ? [
+              {
+                type: "button",
+                action_id: "clear_absence",
+                text: { type: "plain_text", text: "解除" },
+                style: "danger",
+                value,
+              },
+            ]
+          : []),
+      ],
+    },
+  ];
+}
+
+app.action("open_absence_modal", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const current = (await loadTeamAbsences(teamId)).get(userId) || null;
+    const today = todayJstYmd();
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "absence_modal",
+        private_metadata: JSON.stringify({ teamId }),
+        title: { type: "plain_text", text: "不在設定" },
+        submit: { type: "plain_text", text: "保存" },
+        close: { type: "plain_text", text: "キャンセル" },
+        blocks: [
+          {
+            type: "input",
+            block_id: "absence_start",
+            label: { type: "plain_text", text: "開始日" },
+            element: {
+              type: "datepicker",
+              action_id: "date",
+              initial_date: current?.start_date || today,
+            },
+          },
+          {
+            type: "input",
+            block_id: "absence_end",
+            label: { type: "plain_text", text: "終了日" },
+            element: {
+              type: "datepicker",
+              action_id: "date",
+              initial_date: current?.end_date || today,
+            },
+          },
+          {
+            type: "input",
+            block_id: "absence_delegate",
+            optional: true,
+            label: { type: "plain_text", text: "代理（任意）" },
+            element: {
+              type: "users_select",
+              action_id: "user",
+              ...(current?.delegate_user_id
+                ? { initial_user: current.delegate_user_id }
+                : {}),
+            },
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: "💡 期間中はタスク作成時に「不在中」と表示され、期限のお知らせは代理にも届きます。",
+              },
+            ],
+          },
+        ],
+      },
+    });
+  } catch (e) {
+    console.error("open_absence_modal error:", e?.data || e);
+  }
+});
+
+app.view("absence_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const v = view.state.values;
+  const startYmd = v.absence_start?.date?.selected_date || null;
+  const endYmd = v.absence_end?.date?.selected_date || null;
+  const delegateUserId = v.absence_delegate?.user?.selected_user || null;
+
+  const errors = {};
+  if (startYmd && endYmd && endYmd < startYmd)
+    errors.absence_end = "終了日は開始日以降にしてください";
+  if (endYmd && endYmd < todayJstYmd())
+    errors.absence_end = "終了日が過去になっています";
+  if (delegateUserId && delegateUserId === userId)
+    errors.absence_delegate = "代理には自分以外を選んでください";
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
+
+  try {
+    await dbUpsertAbsence(teamId, userId, { startYmd, endYmd, delegateUserId });
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("absence_modal error:", e?.data || e);
+  }
+});
+
+app.action("clear_absence", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    await dbDeleteAbsence(teamId, userId);
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("clear_absence error:", e?.data || e);
+  }
+});
+
+// タスク作成モーダル：対応者を選んだら不在の人を警告（dispatch_action）
+function assigneeUsersInputBlock() {
+  return {
+    type: "input",
+    optional: true,
+    block_id: "assignee_users",
+    dispatch_action: true,
+    label: { type: "plain_text", text: "対応者（個人・複数OK）" },
+    element: {
+      type: "multi_users_select",
+      action_id: "assignee_users_select",
+      placeholder: { type: "plain_text", text: "ユーザーを選択" },
+    },
+  };
+}
+
+app.action("assignee_users_select", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const view = body.view;
+    if (!view?.id || view.callback_id !== "task_modal") return;
+    const teamId = getTeamIdFromBody(body);
+
+    const warnings = [];
+    for (const uid of action.selected_users || []) {
+      const a = await getActiveAbsence(teamId, uid);
+      if (a) warnings.push(absenceWarningText(uid, a));
+    }
+
+    const blocks = [];
+    for (const b of view.blocks || []) {
+      if (b.block_id === "absence_warning") continue;
+      blocks.push(b);
+      if (b.block_id === "assignee_users" && warnings.length) {
+        blocks.push({
+          type: "context",
+          block_id: "absence_warning",
+          elements: [{ type: "mrkdwn", text: warnings.join("\n") }],
+        });
+      }
+    }
+
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: {
+        type: "modal",
+        callback_id: view.callback_id,
+        private_metadata: view.private_metadata,
+        title: view.title,
+        submit: view.submit,
+        close: view.close,
+        blocks,
+      },
+    });
+  } catch (e) {
+    console.error("assignee_users_select error:", e?.data || e);
+  }
+});
 
 // ================================
 // Home: filters (Phase3)
 // ================================
 
 // Homeの状態を保持（ユーザーごと）
-// key: `${teamId}:${userId}`
+// - 正は DB（user_home_prefs）。再起動/複数インスタンスでも同じ条件を出す
+// - homeState はその読み込みキャッシュ（短めのTTLで他インスタンスの変更も拾う）
+// key: `${teamId}:${userId}` -> { at, state }
 const homeState = new Map();
+const HOME_STATE_CACHE_MS = 60 * 1000;
 
 // View種類
 const HOME_VIEWS = [
@@ -1432,31 +2471,204 @@ const HOME_SCOPES = [
 const BROADCAST_SCOPES = [
   { key: "to_me", label: "自分あて" },
   { key: "requested_by_me", label: "自分が発行" },
+  { key: "watching", label: "ウォッチ中" },
   { key: "all", label: "すべて" },
 ];
 
-// personal: 範囲（PhaseX）
-const PERSONAL_SCOPES = [
-  { key: "to_me", label: "自分が対応" },
-  { key: "requested_by_me", label: "自分が発行" },
-  { key: "all", label: "すべて" },
+// all 以外（= 自分基準で絞る範囲）
+function isScopedRangeKey(rangeKey) {
+  return ["to_me", "requested_by_me", "watching"].includes(rangeKey);
+}
+
+// 優先度（高/中/低）…並び順は 高 → 中 → 低
+const TASK_PRIORITIES = [
+  { key: "high", label: "高", mark: "🔴" },
+  { key: "normal", label: "中", mark: "" },
+  { key: "low", label: "低", mark: "🔽" },
 ];
+const DEFAULT_PRIORITY = "normal";
 
-// 未完了 = done以外
-const ACTIVE_STATUSES = ["open", "in_progress", "waiting"];
-const DONE_STATUSES = ["done"];
-const CANCELLED_STATUSES = ["cancelled"];
+function normalizePriority(p) {
+  return TASK_PRIORITIES.some((x) => x.key === p) ? p : DEFAULT_PRIORITY;
+}
 
-function getHomeState(teamId, userId) {
-  const k = `${teamId}:${userId}`;
-  const s = homeState.get(k) || {
-    viewKey: "all",
-    scopeKey: "active",
-    personalScopeKey: "to_me",
-    assigneeUserId: userId,
-    deptKey: "all",
-    broadcastScopeKey: "to_me",
-  };
+function priorityLabel(p) {
+  const cur = TASK_PRIORITIES.find((x) => x.key === normalizePriority(p));
+  return `${cur.mark ? `${cur.mark} ` : ""}${cur.label}`;
+}
+
+function priorityRank(p) {
+  return TASK_PRIORITIES.findIndex((x) => x.key === normalizePriority(p));
+}
+
+// SQL の ORDER BY 用（TASK_PRIORITIES と同じ順）
+function priorityOrderSql(alias = "t") {
+  return `CASE ${alias}.priority WHEN 'high' THEN 0 WHEN 'low' THEN 2 ELSE 1 END`;
+}
+
+function priorityInputBlock(current = DEFAULT_PRIORITY) {
+  const toOption = (x) => ({
+    text: {
+      type: "plain_text",
+      text: `${x.mark ? `${x.mark} ` : ""}${x.label}`,
+    },
+    value: x.key,
+  });
+  const cur = TASK_PRIORITIES.find((x) => x.key === normalizePriority(current));
+  return {
+    type: "input",
+    block_id: "priority",
+    optional: true,
+    label: { type: "plain_text", text: "優先度" },
+    element: {
+      type: "static_select",
+      action_id: "priority_select",
+      initial_option: toOption(cur),
+      options: TASK_PRIORITIES.map(toOption),
+    },
+  };
+}
+
+function readPriority(view) {
+  return normalizePriority(
+    view?.state?.values?.priority?.priority_select?.selected_option?.value,
+  );
+}
+
+// Home 上部の優先度フィルタ
+const HOME_PRIORITY_FILTERS = [
+  { key: "all", label: "すべて" },
+  ...TASK_PRIORITIES.map((x) => ({ key: x.key, label: priorityLabel(x.key) })),
+];
+
+function homePrioritySelectElement(priorityKey) {
+  const cur =
+    HOME_PRIORITY_FILTERS.find((x) => x.key === priorityKey) ||
+    HOME_PRIORITY_FILTERS[0];
+  return {
+    type: "static_select",
+    action_id: "home_priority_select",
+    initial_option: {
+      text: { type: "plain_text", text: cur.label },
+      value: cur.key,
+    },
+    options: HOME_PRIORITY_FILTERS.map((x) => ({
+      text: { type: "plain_text", text: x.label },
+      value: x.key,
+    })),
+  };
+}
+
+// 一覧の並び（優先度 → 期限昇順 → 作成日時降順、期限なしは最後）
+function compareTasksForList(a, b) {
+  const ap = priorityRank(a.priority);
+  const bp = priorityRank(b.priority);
+  if (ap !== bp) return ap - bp;
+
+  const toTime = (d) => {
+    if (!d) return null;
+    const dt = d instanceof Date ? d : new Date(d);
+    return Number.isNaN(dt.getTime()) ? null : dt.getTime();
+  };
+
+  const at = toTime(a.due_date);
+  const bt = toTime(b.due_date);
+  if (at === null && bt !== null) return 1;
+  if (at !== null && bt === null) return -1;
+  if (at !== null && bt !== null && at !== bt) return at - bt;
+
+  const ac = toTime(a.created_at);
+  const bc = toTime(b.created_at);
+  if (ac !== null && bc !== null && ac !== bc) return bc - ac;
+
+  return String(b.id || "").localeCompare(String(a.id || ""));
+}
+
+// personal: 範囲（PhaseX）
+const PERSONAL_SCOPES = [
+  { key: "to_me", label: "自分が対応" },
+  { key: "requested_by_me", label: "自分が発行" },
+  { key: "all", label: "すべて" },
+];
+
+// 未完了 = done以外
+const ACTIVE_STATUSES = ["open", "in_progress", "waiting"];
+const DONE_STATUSES = ["done"];
+const CANCELLED_STATUSES = ["cancelled"];
+
+function statusesForScopeKey(scopeKey) {
+  if (scopeKey === "done") return DONE_STATUSES;
+  if (scopeKey === "cancelled") return CANCELLED_STATUSES;
+  return ACTIVE_STATUSES;
+}
+
+// ★完了は「直近24時間」だけ表示する（履歴はDBに残す）…Home / 一覧 / Excel出力 共通
+const DONE_VISIBLE_HOURS = 24;
+
+function filterRecentDoneTasks(tasks) {
+  const cutoffMs = Date.now() - DONE_VISIBLE_HOURS * 60 * 60 * 1000;
+  return (tasks || []).filter((t) => {
+    const ts = t?.completed_at || t?.updated_at || t?.created_at;
+    if (!ts) return false;
+    const d = new Date(ts);
+    if (Number.isNaN(d.getTime())) return false;
+    return d.getTime() >= cutoffMs;
+  });
+}
+
+function defaultHomeState(userId) {
+  return {
+    viewKey: "all",
+    scopeKey: "active",
+    personalScopeKey: "to_me",
+    assigneeUserId: userId,
+    deptKey: "all",
+    broadcastScopeKey: "to_me",
+    priorityKey: "all",
+    tagKeys: [],
+    homeModeKey: "tasks",
+    reportPeriodKey: "30d",
+  };
+}
+
+async function dbGetUserHomePrefs(teamId, userId) {
+  const q = `
+    SELECT prefs FROM user_home_prefs
+    WHERE team_id=$1 AND user_id=$2
+    LIMIT 1;
+  `;
+  const res = await dbQuery(q, [teamId, userId]);
+  return res.rows[0]?.prefs || null;
+}
+
+async function dbUpsertUserHomePrefs(teamId, userId, prefs) {
+  const q = `
+    INSERT INTO user_home_prefs (team_id, user_id, prefs, updated_at)
+    VALUES ($1,$2,$3::jsonb, now())
+    ON CONFLICT (team_id, user_id)
+    DO UPDATE SET prefs=EXCLUDED.prefs, updated_at=now();
+  `;
+  await dbQuery(q, [teamId, userId, JSON.stringify(prefs)]);
+}
+
+async function getHomeState(teamId, userId) {
+  const k = `${teamId}:${userId}`;
+  let s = null;
+
+  const cached = homeState.get(k);
+  if (cached && Date.now() - cached.at < HOME_STATE_CACHE_MS) {
+    s = cached.state;
+  } else {
+    try {
+      s = await dbGetUserHomePrefs(teamId, userId);
+    } catch (e) {
+      // DBが落ちていても Home は出す（キャッシュ or 初期値）
+      console.error("load home prefs error:", e?.data || e);
+      s = cached?.state || null;
+    }
+    s = { ...defaultHomeState(userId), ...(s || {}) };
+    homeState.set(k, { at: Date.now(), state: s });
+  }
 
   // ★表示は常に「すべて」に固定（personal/broadcastの切替を使わない）
   // ★範囲は broadcastScopeKey を共通キーとして使う
@@ -1468,12 +2680,12 @@ function getHomeState(teamId, userId) {
   };
 }
 
-function setHomeState(teamId, userId, next) {
+async function setHomeState(teamId, userId, next) {
   const k = `${teamId}:${userId}`;
 
   // ★viewKey は固定、範囲は broadcastScopeKey に統一
   const merged = {
-    ...getHomeState(teamId, userId),
+    ...(await getHomeState(teamId, userId)),
     ...next,
     viewKey: "all",
   };
@@ -1482,7 +2694,12 @@ function setHomeState(teamId, userId, next) {
     merged.personalScopeKey = merged.broadcastScopeKey;
   }
 
-  homeState.set(k, merged);
+  homeState.set(k, { at: Date.now(), state: merged });
+  try {
+    await dbUpsertUserHomePrefs(teamId, userId, merged);
+  } catch (e) {
+    console.error("save home prefs error:", e?.data || e);
+  }
 }
 
 function homeScopeSelectElement(scopeKey) {
@@ -1537,13 +2754,126 @@ function deptSelectElement(currentDeptValue, currentDeptText) {
   };
 }
 
+// ================================
+// Home: filter presets（名前付きで保存して Home 上部から切り替える）
+// ================================
+// プリセットに含める条件（表示用の内部キーは含めない）
+const HOME_PRESET_KEYS = [
+  "broadcastScopeKey",
+  "deptKey",
+  "scopeKey",
+  "priorityKey",
+  "tagKeys",
+];
+const HOME_PRESET_MAX = 20;
+
+// 後から増えた条件（priorityKey / tagKeys など）は初期値で埋める（古いプリセット対策）
+function pickPresetPrefs(st) {
+  const defaults = defaultHomeState(null);
+  const out = {};
+  for (const k of HOME_PRESET_KEYS) out[k] = st?.[k] ?? defaults[k] ?? null;
+  return out;
+}
+
+function isSamePresetPrefs(a, b) {
+  const pa = pickPresetPrefs(a);
+  const pb = pickPresetPrefs(b);
+  return HOME_PRESET_KEYS.every(
+    (k) => String(pa[k] ?? "") === String(pb[k] ?? ""),
+  );
+}
+
+async function dbListHomePresets(teamId, userId) {
+  const q = `
+    SELECT id, name, prefs
+    FROM user_home_presets
+    WHERE team_id=$1 AND user_id=$2
+    ORDER BY name ASC
+    LIMIT $3;
+  `;
+  const res = await dbQuery(q, [teamId, userId, HOME_PRESET_MAX]);
+  return res.rows || [];
+}
+
+async function dbGetHomePreset(teamId, userId, presetId) {
+  const q = `
+    SELECT id, name, prefs
+    FROM user_home_presets
+    WHERE team_id=$1 AND user_id=$2 AND id=$3
+    LIMIT 1;
+  `;
+  const res = await dbQuery(q, [teamId, userId, presetId]);
+  return res.rows[0] || null;
+}
+
+async function dbCountHomePresets(teamId, userId) {
+  const q = `SELECT COUNT(*)::int AS c FROM user_home_presets WHERE team_id=$1 AND user_id=$2;`;
+  const res = await dbQuery(q, [teamId, userId]);
+  return res.rows[0]?.c ?? 0;
+}
+
+// 同名は上書き
+async function dbUpsertHomePreset(teamId, userId, name, prefs) {
+  const q = `
+    INSERT INTO user_home_presets (id, team_id, user_id, name, prefs, created_at, updated_at)
+    VALUES ($1,$2,$3,$4,$5::jsonb, now(), now())
+    ON CONFLICT (team_id, user_id, name)
+    DO UPDATE SET prefs=EXCLUDED.prefs, updated_at=now()
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    randomUUID(),
+    teamId,
+    userId,
+    name,
+    JSON.stringify(prefs),
+  ]);
+  return res.rows[0] || null;
+}
+
+async function dbDeleteHomePreset(teamId, userId, presetId) {
+  const q = `DELETE FROM user_home_presets WHERE team_id=$1 AND user_id=$2 AND id=$3;`;
+  await dbQuery(q, [teamId, userId, presetId]);
+}
+
+function homePresetSelectElement(presets, activePresetId) {
+  const options = presets.map((p) => ({
+    text: { type: "plain_text", text: String(p.name).slice(0, 75) },
+    value: String(p.id),
+  }));
+  const initial = options.find((o) => o.value === String(activePresetId));
+  return {
+    type: "static_select",
+    action_id: "home_preset_select",
+    placeholder: { type: "plain_text", text: "プリセットを選択" },
+    ...(initial ? { initial_option: initial } : {}),
+    options,
+  };
+}
+
 // personal: 担当者（任意） + 担当部署（ユーザーグループ） + 状態（done以外/ done）
 
+// 優先度 / タグの絞り込み（LIMIT より前に効かせる）…params に追加して AND 句を返す
+function taskFilterSql(params, { priorityKey = "all", tagKeys = [] } = {}) {
+  let sql = "";
+  if (priorityKey && priorityKey !== "all") {
+    params.push(normalizePriority(priorityKey));
+    sql += ` AND t.priority = $${params.length}`;
+  }
+  const tags = normalizeTags(tagKeys);
+  if (tags.length) {
+    params.push(tags);
+    sql += ` AND EXISTS (SELECT 1 FROM task_tags tg WHERE tg.team_id=t.team_id AND tg.task_id=t.id AND tg.tag = ANY($${params.length}::text[]))`;
+  }
+  return sql;
+}
+
 async function dbListBroadcastTasksByStatuses(
   teamId,
   statuses,
   deptKey = "all",
   limit = 30,
+  filters = {},
 ) {
   const params = [teamId, statuses, limit];
   let whereDept = "";
@@ -1555,6 +2885,7 @@ async function dbListBroadcastTasksByStatuses(
       params.push(deptKey);
     }
   }
+  const whereFilters = taskFilterSql(params, filters);
   const q = `
     SELECT t.*
     FROM tasks t
@@ -1562,7 +2893,8 @@ async function dbListBroadcastTasksByStatuses(
       AND t.task_type='broadcast'
       AND t.status = ANY($2::text[])
       ${whereDept}
-    ORDER BY (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
+      ${whereFilters}
+    ORDER BY ${priorityOrderSql("t")} ASC, (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
     LIMIT $3;
   `;
   const res = await dbQuery(q, params);
@@ -1575,6 +2907,7 @@ async function dbListBroadcastTasksByStatusesWithScope(
   scopeKey,
   viewerUserId,
   limit = 30,
+  filters = {},
 ) {
   const params = [teamId, statuses, limit];
   let joinTargets = "";
@@ -1602,9 +2935,14 @@ async function dbListBroadcastTasksByStatusesWithScope(
     // 依頼者が自分
     whereScope = "AND t.requester_user_id = $4";
     params.push(viewerUserId);
+  } else if (scopeKey === "watching") {
+    whereScope =
+      "AND EXISTS (SELECT 1 FROM task_watchers w WHERE w.task_id=t.id AND w.user_id=$4)";
+    params.push(viewerUserId);
   } else {
     // all: no scope filter
   }
+  const whereFilters = taskFilterSql(params, filters);
 
   const q = `
     SELECT x.*
@@ -1618,11 +2956,12 @@ async function dbListBroadcastTasksByStatusesWithScope(
         AND t.status = ANY($2::text[])
         ${whereScope}
         ${whereNotCompleted}
+        ${whereFilters}
       ORDER BY
         t.id,
         (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
     ) x
-    ORDER BY (x.due_date IS NULL) ASC, x.due_date ASC, x.created_at DESC
+    ORDER BY ${priorityOrderSql("x")} ASC, (x.due_date IS NULL) ASC, x.due_date ASC, x.created_at DESC
     LIMIT $3;
   `;
 
@@ -1630,13 +2969,14 @@ async function dbListBroadcastTasksByStatusesWithScope(
   return res.rows;
 }
 
-// PhaseX: personal 範囲フィルタ（to_me / requested_by_me / all）
+// PhaseX: personal 範囲フィルタ（to_me / requested_by_me / watching / all）
 async function dbListPersonalTasksByStatusesWithScope(
   teamId,
   statuses,
   scopeKey,
   viewerUserId,
   limit = 60,
+  filters = {},
 ) {
   const params = [teamId, statuses, limit];
   let whereScope = "";
@@ -1647,9 +2987,14 @@ async function dbListPersonalTasksByStatusesWithScope(
   } else if (scopeKey === "requested_by_me") {
     whereScope = "AND t.requester_user_id = $4";
     params.push(viewerUserId);
+  } else if (scopeKey === "watching") {
+    whereScope =
+      "AND EXISTS (SELECT 1 FROM task_watchers w WHERE w.task_id=t.id AND w.user_id=$4)";
+    params.push(viewerUserId);
   } else {
     // all: no scope filter
   }
+  const whereFilters = taskFilterSql(params, filters);
 
   const q = `
     SELECT t.*
@@ -1658,7 +3003,8 @@ async function dbListPersonalTasksByStatusesWithScope(
       AND (t.task_type IS NULL OR t.task_type='personal')
       AND t.status = ANY($2::text[])
       ${whereScope}
-    ORDER BY (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
+      ${whereFilters}
+    ORDER BY ${priorityOrderSql("t")} ASC, (t.due_date IS NULL) ASC, t.due_date ASC, t.created_at DESC
     LIMIT $3;
   `;
   const res = await dbQuery(q, params);
@@ -1681,122 +3027,69 @@ function taskLineForHome(task, viewKey) {
   preview = noMention(preview);
 
   if (!preview) preview = noMention(String(task.title || "（本文なし）"));
+
+  // 優先度「高」は先頭に目印
+  if (normalizePriority(task.priority) === "high")
+    preview = `🔴 *優先度：高*\n${preview}`;
+
+  // チェックリストの進捗 / 🔒 / タグ（attachTaskRowMeta 済みの行だけ）
+  const marks = [
+    blockedMarker(task.open_blocker_count || 0),
+    checklistProgressText(task.checklist_done || 0, task.checklist_total || 0),
+    task.tags?.length ? `🏷 ${formatTags(task.tags)}` : "",
+  ].filter(Boolean);
+  if (marks.length) preview = `${preview}\n${marks.join("　")}`;
   return preview;
 }
 
-async function publishHome({ client, teamId, userId }) {
-  const st = getHomeState(teamId, userId);
-  const statuses =
-    st.scopeKey === "done"
-      ? DONE_STATUSES
-      : st.scopeKey === "cancelled"
-        ? CANCELLED_STATUSES
-        : ACTIVE_STATUSES;
-
-  const blocks = [];
-
-  // 範囲（共通）
-  blocks.push({
-    type: "section",
-    text: { type: "mrkdwn", text: "*範囲*" },
-    accessory: broadcastScopeSelectElement(st.broadcastScopeKey || "to_me"),
-  });
-
-  // 範囲＝すべて のときだけ、部署フィルタを出す
-  if ((st.broadcastScopeKey || "to_me") === "all") {
-    const deptValue = st.deptKey || "all";
-    let deptText =
-      deptValue === "all"
-        ? "すべて"
-        : deptValue === "__none__"
-          ? "未設定"
-          : null;
-    if (!deptText && deptValue) {
-      const idToHandle = await getSubteamIdMap(teamId);
-      const h = idToHandle.get(deptValue);
-      deptText = h ? `@${h}` : "部署（@グループ）を検索";
-    }
-
-    blocks.push({
-      type: "section",
-      text: { type: "mrkdwn", text: "*部署*" },
-      accessory: deptSelectElement(deptValue, deptText),
-    });
-  }
-
-  // 状態（未完了/完了）
-  blocks.push({
-    type: "section",
-    text: { type: "mrkdwn", text: "*状態*" },
-    accessory: homeScopeSelectElement(st.scopeKey),
-  });
-
-  blocks.push({ type: "divider" });
-
-  blocks.push({
-    type: "actions",
-    elements: [
-      {
-        type: "button",
-        action_id: "home_create_task",
-        text: { type: "plain_text", text: "タスク作成" },
-        value: JSON.stringify({ teamId, userId }),
-      },
-    ],
-  });
-
-  blocks.push({ type: "divider" });
-
-  // データ取得
+// Home / Excel出力 共通：範囲・部署・状態で絞ったタスク（personal + broadcast 混在）
+async function fetchHomeTasks({
+  client,
+  teamId,
+  userId,
+  rangeKey = "to_me",
+  deptKey = "all",
+  priorityKey = "all",
+  tagKeys = [],
+  statuses = ACTIVE_STATUSES,
+  limit = 60,
+}) {
   let tasks = [];
 
-  // 混在ソート（due_date昇順 → created_at降順、due無しは最後）
-  const toTime = (d) => {
-    if (!d) return null;
-    const dt = d instanceof Date ? d : new Date(d);
-    return Number.isNaN(dt.getTime()) ? null : dt.getTime();
-  };
-
-  const cmp = (a, b) => {
-    const at = toTime(a.due_date);
-    const bt = toTime(b.due_date);
-    if (at === null && bt !== null) return 1;
-    if (at !== null && bt === null) return -1;
-    if (at !== null && bt !== null && at !== bt) return at - bt;
-
-    const ac = toTime(a.created_at);
-    const bc = toTime(b.created_at);
-    if (ac !== null && bc !== null && ac !== bc) return bc - ac;
+  // 混在ソート（優先度 → due_date昇順 → created_at降順、due無しは最後）
+  const cmp = compareTasksForList;
 
-    return String(b.id || "").localeCompare(String(a.id || ""));
-  };
-
-  // ★新：表示は常に「すべて」（personal + broadcast 混在）
-  const rangeKey = st.broadcastScopeKey || "to_me";
-  const deptKey = st.deptKey || "all";
+  // 優先度 / タグは SQL 側で（LIMIT で落ちないように）
+  const filters = { priorityKey, tagKeys };
 
-  // personal は範囲で絞る（to_me / requested_by_me / all）
-  const personalScope =
-    rangeKey === "to_me" || rangeKey === "requested_by_me" ? rangeKey : "all";
+  // personal は範囲で絞る（to_me / requested_by_me / watching / all）
+  const personalScope = isScopedRangeKey(rangeKey) ? rangeKey : "all";
   let personalTasks = await dbListPersonalTasksByStatusesWithScope(
     teamId,
     statuses,
     personalScope,
     userId,
-    60,
+    limit,
+    filters,
   );
 
-  // broadcast は範囲で絞る（to_me は JOIN、requested_by_me は requester、all は JOINなし）
-  let broadcastTasks =
-    rangeKey === "to_me" || rangeKey === "requested_by_me"
-      ? await dbListBroadcastTasksByStatusesWithScope(
-          teamId,
-          statuses,
-          rangeKey,
-          userId,
-          60,
-        )
-      : await dbListBroadcastTasksByStatuses(teamId, statuses, "all", 60);
+  // broadcast は範囲で絞る（to_me は JOIN、requested_by_me は requester、watching はフォロー、all は JOINなし）
+  let broadcastTasks = isScopedRangeKey(rangeKey)
+    ? await dbListBroadcastTasksByStatusesWithScope(
+        teamId,
+        statuses,
+        rangeKey,
+        userId,
+        limit,
+        filters,
+      )
+    : await dbListBroadcastTasksByStatuses(
+        teamId,
+        statuses,
+        "all",
+        limit,
+        filters,
+      );
 
   // ★範囲=すべて かつ 部署指定 のときだけ「@mkに関わる全て」に絞る（JS側）
   if (rangeKey === "all" && deptKey && deptKey !== "all") {
@@ -1857,34 +3150,229 @@ async function publishHome({ client, teamId, userId }) {
     });
   }
 
-  // 表示：未完了はステータス別に分ける（完了/取り下げはまとめ）
-  if (st.scopeKey === "done") {
-    // ★追加：完了は「直近24時間」だけ表示する（履歴はDBに残す）
-    const DONE_VISIBLE_HOURS = 24;
-    const cutoffMs = Date.now() - DONE_VISIBLE_HOURS * 60 * 60 * 1000;
-
-    const recentDoneTasks = (tasks || []).filter((t) => {
-      const ts = t?.completed_at || t?.updated_at || t?.created_at;
-      if (!ts) return false;
-      const d = new Date(ts);
-      if (Number.isNaN(d.getTime())) return false;
-      return d.getTime() >= cutoffMs;
-    });
+  await attachTaskRowMeta(teamId, tasks);
+  return tasks;
+}
+
+async function publishHome({ client, teamId, userId }) {
+  const st = await getHomeState(teamId, userId);
+  const statuses = statusesForScopeKey(st.scopeKey);
+  await loadTeamAbsences(teamId);
 
+  const blocks = [];
+
+  // プリセット（保存済みの条件に切り替え）
+  let presets = [];
+  try {
+    presets = await dbListHomePresets(teamId, userId);
+  } catch (e) {
+    console.error("load home presets error:", e?.data || e);
+  }
+  const activePreset = presets.find((p) =>
+    isSamePresetPrefs(p.prefs, pickPresetPrefs(st)),
+  );
+  if (presets.length) {
     blocks.push({
       type: "section",
-      text: {
-        type: "mrkdwn",
-        text: `*✅ 完了（直近${DONE_VISIBLE_HOURS}時間）*`,
+      text: { type: "mrkdwn", text: "*プリセット*" },
+      accessory: homePresetSelectElement(presets, activePreset?.id),
+    });
+  }
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        action_id: "home_preset_save",
+        text: { type: "plain_text", text: "今の条件を保存" },
+        value: JSON.stringify({ teamId, userId }),
       },
+      ...(activePreset
+        ? [
+            {
+              type: "button",
+              action_id: "home_preset_delete",
+              text: { type: "plain_text", text: "このプリセットを削除" },
+              value: JSON.stringify({ teamId, presetId: activePreset.id }),
+              confirm: {
+                title: { type: "plain_text", text: "確認" },
+                text: {
+                  type: "mrkdwn",
+                  text: `プリセット「${noMention(activePreset.name)}」を削除します。`,
+                },
+                confirm: { type: "plain_text", text: "削除する" },
+                deny: { type: "plain_text", text: "やめる" },
+              },
+            },
+          ]
+        : []),
+    ],
+  });
+
+  // 表示（タスク / レポート）
+  const isReport = st.homeModeKey === "report";
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: "*表示*" },
+    accessory: homeModeSelectElement(st.homeModeKey || "tasks"),
+  });
+
+  if (isReport) {
+    // レポートはチーム全体の集計なので、範囲/状態などの絞り込みは使わない
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: "*期間*" },
+      accessory: reportPeriodSelectElement(st.reportPeriodKey),
+    });
+  } else {
+    // 範囲（共通）
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: "*範囲*" },
+      accessory: broadcastScopeSelectElement(st.broadcastScopeKey || "to_me"),
     });
 
-    if (!recentDoneTasks.length) {
+    // 範囲＝すべて のときだけ、部署フィルタを出す
+    if ((st.broadcastScopeKey || "to_me") === "all") {
+      const deptValue = st.deptKey || "all";
+      let deptText =
+        deptValue === "all"
+          ? "すべて"
+          : deptValue === "__none__"
+            ? "未設定"
+            : null;
+      if (!deptText && deptValue) {
+        const idToHandle = await getSubteamIdMap(teamId);
+        const h = idToHandle.get(deptValue);
+        deptText = h ? `@${h}` : "部署（@グループ）を検索";
+      }
+
       blocks.push({
-        type: "context",
-        elements: [{ type: "mrkdwn", text: "（直近24時間の完了なし）" }],
+        type: "section",
+        text: { type: "mrkdwn", text: "*部署*" },
+        accessory: deptSelectElement(deptValue, deptText),
       });
-    } else {
+    }
+
+    // タグ（いずれかを含む）
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: "*タグ*" },
+      accessory: tagFilterSelectElement("home_tag_select", st.tagKeys),
+    });
+
+    // 状態（未完了/完了）
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: "*状態*" },
+      accessory: homeScopeSelectElement(st.scopeKey),
+    });
+
+    // 優先度
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: "*優先度*" },
+      accessory: homePrioritySelectElement(st.priorityKey || "all"),
+    });
+  }
+
+  blocks.push({ type: "divider" });
+
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        action_id: "home_create_task",
+        text: { type: "plain_text", text: "タスク作成" },
+        value: JSON.stringify({ teamId, userId }),
+      },
+      {
+        type: "button",
+        action_id: "export_tasks_excel",
+        text: { type: "plain_text", text: "Excelで出力" },
+        value: JSON.stringify({ teamId, userId, origin: "home" }),
+      },
+      {
+        type: "button",
+        action_id: "open_bulk_handoff_modal",
+        text: { type: "plain_text", text: "🔁 まとめて引き継ぎ" },
+        value: JSON.stringify({ teamId }),
+      },
+      ...((await isWorkspaceAdmin(userId))
+        ? [
+            {
+              type: "button",
+              action_id: "open_reaction_settings",
+              text: { type: "plain_text", text: "⚙️ リアクション設定" },
+              value: JSON.stringify({ teamId }),
+            },
+          ]
+        : []),
+    ],
+  });
+
+  // 不在設定（期間 + 代理）
+  blocks.push(...homeAbsenceBlocks(teamId, userId));
+
+  blocks.push({ type: "divider" });
+
+  if (isReport) {
+    try {
+      blocks.push(
+        ...(await buildHomeReportBlocks({
+          teamId,
+          periodKey: st.reportPeriodKey,
+        })),
+      );
+    } catch (e) {
+      console.error("build home report error:", e?.data || e);
+      blocks.push({
+        type: "context",
+        elements: [{ type: "mrkdwn", text: "⚠️ レポートの集計に失敗しました" }],
+      });
+    }
+    await client.views.publish({
+      user_id: userId,
+      view: { type: "home", callback_id: "home", blocks: blocks.slice(0, 100) },
+    });
+    return;
+  }
+
+  // データ取得
+  // ★新：表示は常に「すべて」（personal + broadcast 混在）
+  const rangeKey = st.broadcastScopeKey || "to_me";
+  const deptKey = st.deptKey || "all";
+
+  const tasks = await fetchHomeTasks({
+    client,
+    teamId,
+    userId,
+    rangeKey,
+    deptKey,
+    priorityKey: st.priorityKey || "all",
+    tagKeys: st.tagKeys || [],
+    statuses,
+  });
+
+  // 表示：未完了はステータス別に分ける（完了/取り下げはまとめ）
+  if (st.scopeKey === "done") {
+    const recentDoneTasks = filterRecentDoneTasks(tasks);
+
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*✅ 完了（直近${DONE_VISIBLE_HOURS}時間）*`,
+      },
+    });
+
+    if (!recentDoneTasks.length) {
+      blocks.push({
+        type: "context",
+        elements: [{ type: "mrkdwn", text: "（直近24時間の完了なし）" }],
+      });
+    } else {
       for (const t of recentDoneTasks) {
         blocks.push({
           type: "section",
@@ -2046,7 +3534,7 @@ async function publishHome({ client, teamId, userId }) {
           viewKey === "broadcast"
             ? assigneeDisplay(t)
             : assigneeId
-              ? `<@${assigneeId}>`
+              ? `<@${assigneeId}>${absenceMark(teamId, assigneeId)}`
               : "-";
 
         const peopleElements = [];
@@ -2070,10 +3558,8 @@ async function publishHome({ client, teamId, userId }) {
         blocks.push({ type: "context", elements: peopleElements });
 
         // ✅ 小：期限 + 元メッセージへリンク
-        const dueText = t?.due_date
-          ? `（${formatDueDateOnly(t.due_date)}）まで`
-          : "";
-        const linkText = t?.source_permalink
+        const dueText = t?.due_date ? `（${formatTaskDue(t)}）まで` : "";
+        const linkText = hasSourceLink(t)
           ? `🔗 <${t.source_permalink}|元メッセージへ>`
           : "";
 
@@ -2196,6 +3682,348 @@ async function publishHome({ client, teamId, userId }) {
   });
 }
 
+// ================================
+// Home: report（部署別 / 人別の集計）
+// - Home 上部の「表示」で タスク ⇔ レポート を切り替え
+// - 未完了/期限切れ は今の件数、リードタイム/期限内完了率/一斉完了率 は期間内
+// - 部署は「担当部署」：personal は assignee_dept、broadcast は requester_dept
+// ================================
+const HOME_MODES = [
+  { key: "tasks", label: "タスク" },
+  { key: "report", label: "📊 レポート" },
+];
+
+const REPORT_PERIODS = [
+  { key: "7d", label: "直近7日", days: 7 },
+  { key: "30d", label: "直近30日", days: 30 },
+  { key: "90d", label: "直近90日", days: 90 },
+];
+const REPORT_MAX_DEPTS = 15;
+const REPORT_MAX_PEOPLE = 30;
+const REPORT_BAR_WIDTH = 10;
+
+function homeModeSelectElement(modeKey) {
+  const cur = HOME_MODES.find((m) => m.key === modeKey) || HOME_MODES[0];
+  return {
+    type: "static_select",
+    action_id: "home_mode_select",
+    initial_option: {
+      text: { type: "plain_text", text: cur.label },
+      value: cur.key,
+    },
+    options: HOME_MODES.map((m) => ({
+      text: { type: "plain_text", text: m.label },
+      value: m.key,
+    })),
+  };
+}
+
+function reportPeriodOf(periodKey) {
+  return REPORT_PERIODS.find((p) => p.key === periodKey) || REPORT_PERIODS[1];
+}
+
+function reportPeriodSelectElement(periodKey) {
+  const cur = reportPeriodOf(periodKey);
+  return {
+    type: "static_select",
+    action_id: "home_report_period_select",
+    initial_option: {
+      text: { type: "plain_text", text: cur.label },
+      value: cur.key,
+    },
+    options: REPORT_PERIODS.map((p) => ({
+      text: { type: "plain_text", text: p.label },
+      value: p.key,
+    })),
+  };
+}
+
+// 期間内に動きがあったタスク + 今まだ開いているタスク（取り下げは除く）
+async function dbListReportTasks(teamId, since) {
+  const q = `
+    SELECT id, task_type, status, assignee_id, assignee_dept, requester_dept,
+           due_date, created_at, completed_at, total_count, completed_count
+    FROM tasks
+    WHERE team_id=$1
+      AND status <> 'cancelled'
+      AND (status = ANY($2::text[]) OR created_at >= $3 OR completed_at >= $3);
+  `;
+  const res = await dbQuery(q, [teamId, ACTIVE_STATUSES, since]);
+  return res.rows || [];
+}
+
+// broadcast: 人ごとの対象数/完了数（期間内に作成された一斉タスク）
+async function dbListReportTargetCounts(teamId, since) {
+  const q = `
+    SELECT tt.user_id,
+           COUNT(*)::int AS total,
+           COUNT(tc.user_id)::int AS done
+    FROM task_targets tt
+    JOIN tasks t
+      ON t.team_id = tt.team_id AND t.id = tt.task_id::text
+    LEFT JOIN task_completions tc
+      ON tc.task_id = tt.task_id AND tc.team_id = tt.team_id AND tc.user_id = tt.user_id
+    WHERE tt.team_id=$1
+      AND t.task_type='broadcast'
+      AND t.status <> 'cancelled'
+      AND t.created_at >= $2
+    GROUP BY tt.user_id;
+  `;
+  const res = await dbQuery(q, [teamId, since]);
+  return res.rows || [];
+}
+
+// Date → JST の YYYY-MM-DD
+function jstYmdOf(ts) {
+  const d = ts instanceof Date ? ts : new Date(ts);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(d.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function medianOf(nums) {
+  if (!nums.length) return null;
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function leadTimeText(ms) {
+  if (ms === null) return "-";
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 24) return `${Math.max(0, hours).toFixed(1)}時間`;
+  return `${(hours / 24).toFixed(1)}日`;
+}
+
+// テキスト棒グラフ（max に対する割合）
+function barText(value, max, width = REPORT_BAR_WIDTH) {
+  const n = max > 0 ? Math.round((value / max) * width) : 0;
+  const filled = Math.min(width, Math.max(value > 0 ? 1 : 0, n));
+  return `\`${"█".repeat(filled)}${"░".repeat(width - filled)}\``;
+}
+
+function rateText(done, total) {
+  if (!total) return "-";
+  return `${barText(done, total)} ${Math.round((done / total) * 100)}%（${done}/${total}）`;
+}
+
+function emptyReportStats() {
+  return {
+    open: 0,
+    overdue: 0,
+    leadMs: [],
+    doneWithDue: 0,
+    onTime: 0,
+    bcTotal: 0,
+    bcDone: 0,
+  };
+}
+
+function collectReportStats({ tasks, targetCounts, since }) {
+  const today = todayJstYmd();
+  const sinceMs = since.getTime();
+  const byDept = new Map();
+  const byPerson = new Map();
+  const statsOf = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyReportStats());
+    return map.get(key);
+  };
+
+  for (const t of tasks) {
+    const isBroadcast = t.task_type === "broadcast";
+    const dept = statsOf(
+      byDept,
+      (isBroadcast ? t.requester_dept : t.assignee_dept) || "",
+    );
+    const person =
+      !isBroadcast && t.assignee_id ? statsOf(byPerson, t.assignee_id) : null;
+    const targets = [dept, person].filter(Boolean);
+    const due = slackDateYmd(t.due_date);
+
+    if (ACTIVE_STATUSES.includes(t.status)) {
+      for (const s of targets) {
+        s.open++;
+        if (due && due < today) s.overdue++;
+      }
+    }
+
+    const completedAt = t.completed_at ? new Date(t.completed_at) : null;
+    if (
+      t.status === "done" &&
+      completedAt &&
+      completedAt.getTime() >= sinceMs
+    ) {
+      const lead = completedAt.getTime() - new Date(t.created_at).getTime();
+      for (const s of targets) {
+        if (Number.isFinite(lead)) s.leadMs.push(lead);
+        if (due) {
+          s.doneWithDue++;
+          if (jstYmdOf(completedAt) <= due) s.onTime++;
+        }
+      }
+    }
+
+    if (isBroadcast && new Date(t.created_at).getTime() >= sinceMs) {
+      dept.bcTotal += Number(t.total_count || 0);
+      dept.bcDone += Number(t.completed_count || 0);
+    }
+  }
+
+  for (const r of targetCounts) {
+    const s = statsOf(byPerson, r.user_id);
+    s.bcTotal += Number(r.total || 0);
+    s.bcDone += Number(r.done || 0);
+  }
+
+  return { byDept, byPerson };
+}
+
+function reportStatsText(s, maxOpen) {
+  return [
+    `未完了 ${barText(s.open, maxOpen)} ${s.open}件（期限切れ ${s.overdue}）`,
+    `リードタイム中央値：${leadTimeText(medianOf(s.leadMs))}（完了 ${s.leadMs.length}件）`,
+    `期限内完了率：${rateText(s.onTime, s.doneWithDue)}`,
+    `一斉完了率：${rateText(s.bcDone, s.bcTotal)}`,
+  ].join("\n");
+}
+
+// 件数が多い順（未完了 → 期間内完了）
+function sortReportEntries(map) {
+  return Array.from(map.entries()).sort(
+    ([, a], [, b]) =>
+      b.open - a.open ||
+      b.leadMs.length - a.leadMs.length ||
+      b.bcTotal - a.bcTotal,
+  );
+}
+
+async function buildHomeReportBlocks({ teamId, periodKey }) {
+  const period = reportPeriodOf(periodKey);
+  const since = new Date(Date.now() - period.days * 24 * 60 * 60 * 1000);
+
+  const [tasks, targetCounts] = await Promise.all([
+    dbListReportTasks(teamId, since),
+    dbListReportTargetCounts(teamId, since),
+  ]);
+  const { byDept, byPerson } = collectReportStats({
+    tasks,
+    targetCounts,
+    since,
+  });
+
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: `📊 レポート（${period.label}）` },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "未完了/期限切れ は現時点の件数。リードタイムは作成→完了、期限内完了率は期限ありで期間内に完了したもの、一斉完了率は期間内に作成した全社/複数タスクが対象です。部署は personal が対応者部署、broadcast が依頼者部署。",
+        },
+      ],
+    },
+    { type: "divider" },
+  ];
+
+  if (!byDept.size && !byPerson.size) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "（対象のタスクがありません）" }],
+    });
+    return blocks;
+  }
+
+  // 部署別（1部署 = 1セクション）
+  const depts = sortReportEntries(byDept);
+  const maxDeptOpen = Math.max(0, ...depts.map(([, s]) => s.open));
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: "*🏢 部署別*" },
+  });
+  for (const [dept, s] of depts.slice(0, REPORT_MAX_DEPTS)) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${deptLabel(dept || null)}*\n${reportStatsText(s, maxDeptOpen)}`,
+      },
+    });
+  }
+  if (depts.length > REPORT_MAX_DEPTS) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `（他 ${depts.length - REPORT_MAX_DEPTS} 部署）`,
+        },
+      ],
+    });
+  }
+
+  blocks.push({ type: "divider" });
+
+  // 人別（1人 = 1行でまとめる：ブロック数を抑える）
+  const people = sortReportEntries(byPerson);
+  const maxPersonOpen = Math.max(0, ...people.map(([, s]) => s.open));
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: "*👤 人別*" },
+  });
+  blocks.push(
+    ...chunkedSectionBlocks(
+      people
+        .slice(0, REPORT_MAX_PEOPLE)
+        .map(
+          ([uid, s]) => `*<@${uid}>*\n${reportStatsText(s, maxPersonOpen)}\n`,
+        ),
+    ),
+  );
+  if (people.length > REPORT_MAX_PEOPLE) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `（他 ${people.length - REPORT_MAX_PEOPLE} 名）`,
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+app.action("home_mode_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = body.actions?.[0]?.selected_option?.value || "tasks";
+
+    await setHomeState(teamId, userId, { homeModeKey: selected });
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_mode_select error:", e?.data || e);
+  }
+});
+
+app.action("home_report_period_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = body.actions?.[0]?.selected_option?.value || "30d";
+
+    await setHomeState(teamId, userId, { reportPeriodKey: selected });
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_report_period_select error:", e?.data || e);
+  }
+});
+
 // ================================
 // Broadcast: usergroup options (external_multi_select)
 // ================================
@@ -2349,7 +4177,7 @@ app.options("home_person_assignee_select", async ({ ack, body, payload }) => {
   try {
     const teamId = body.team?.id || body.team_id;
     const userId = body.user?.id;
-    const st = getHomeState(teamId, userId);
+    const st = await getHomeState(teamId, userId);
     const deptKey = st?.deptKey || "all";
 
     const q = String(payload?.value || "")
@@ -2397,18 +4225,7 @@ app.event("app_home_opened", async ({ event, client, body }) => {
   try {
     const teamId = body.team_id || body.team?.id || event.team;
     const userId = event.user;
-    // Phase8-4: Homeの検索条件を保持（初回のみ初期化）
-    const k = `${teamId}:${userId}`;
-    if (!homeState.has(k)) {
-      setHomeState(teamId, userId, {
-        viewKey: "all",
-        scopeKey: "active",
-        personalScopeKey: "to_me",
-        assigneeUserId: userId,
-        deptKey: "all",
-        broadcastScopeKey: "to_me",
-      });
-    }
+    // Phase8-4: Homeの検索条件は user_home_prefs に保持（未保存なら初期値で表示）
 
     await publishHome({ client, teamId, userId });
   } catch (e) {
@@ -2462,19 +4279,9 @@ app.shortcut("create_task_from_message", async ({ shortcut, ack, client }) => {
           },
 
           // 対応者（個人：複数OK）
-          {
-            type: "input",
-            optional: true,
-            block_id: "assignee_users",
-            label: { type: "plain_text", text: "対応者（個人・複数OK）" },
-            element: {
-              type: "multi_users_select",
-              action_id: "assignee_users_select",
-              placeholder: { type: "plain_text", text: "ユーザーを選択" },
-            },
-          },
-
-          // 対応者（グループ：@ALL-xxx / @mk-all 等）
+          assigneeUsersInputBlock(),
+
+          // 対応者（グループ：@ALL-xxx / @mk-all 等）
           {
             type: "input",
             optional: true,
@@ -2494,19 +4301,14 @@ app.shortcut("create_task_from_message", async ({ shortcut, ack, client }) => {
             },
           },
 
-          {
-            type: "input",
-            block_id: "due",
-            label: { type: "plain_text", text: "期限" },
-            element: {
-              type: "datepicker",
-              action_id: "due_date",
-              placeholder: { type: "plain_text", text: "期限" },
-              initial_date: slackDateYmd(new Date()),
-            },
-          },
+          ...dueInputBlocks(detectDueDate(rawText)),
+          dueTimeInputBlock(),
           //  { type: "input", block_id: "status", label: { type: "plain_text", text: "ステータス" }, element: statusSelectElement("open") },
 
+          priorityInputBlock(),
+          tagsInputBlock(),
+          recurrenceInputBlock(),
+
           {
             type: "context",
             elements: [
@@ -2531,9 +4333,292 @@ app.shortcut("create_task_from_message", async ({ shortcut, ack, client }) => {
 
 // ================================
 
-// ✅ のリアクション名（Slack内部名）
+// ✅ のリアクション名（Slack内部名）…リアクション設定がないワークスペースの「タスク化」
 const TASK_REACTION_NAME = "tasks";
 
+// ================================
+// Reaction settings（ワークスペースごとに 絵文字 → 動作）
+// - 設定がなければ REACTION_DEFAULTS
+// - 管理者（ワークスペース管理者/オーナー or ADMIN_USER_IDS）が Home の「⚙️ リアクション設定」から変更
+// ================================
+const REACTION_ACTIONS = [
+  { key: "create", label: "タスク化（確認カードを出す）" },
+  { key: "create_high", label: "タスク化（優先度：高）" },
+  { key: "watch", label: "フォローする（タスク化済みのメッセージ）" },
+  { key: "complete", label: "完了にする（タスク化済みのメッセージ）" },
+];
+const REACTION_DEFAULTS = {
+  [TASK_REACTION_NAME]: "create",
+  fire: "create_high",
+  eyes: "watch",
+  white_check_mark: "complete",
+};
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const reactionSettingsCache = new Map(); // teamId -> { at, map: { reaction: action } }
+const REACTION_SETTINGS_CACHE_MS = 60 * 1000;
+
+async function dbListReactionSettings(teamId) {
+  const q = `
+    SELECT reaction, action FROM task_reaction_settings
+    WHERE team_id=$1
+    ORDER BY reaction ASC;
+  `;
+  const res = await dbQuery(q, [teamId]);
+  return res.rows || [];
+}
+
+// 丸ごと置き換え（entries: [{ reaction, action }]）
+async function dbReplaceReactionSettings(teamId, entries, actorUserId) {
+  const reactions = entries.map((e) => e.reaction);
+  const actions = entries.map((e) => e.action);
+  const q = `
+    WITH del AS (
+      DELETE FROM task_reaction_settings
+      WHERE team_id=$1 AND NOT (reaction = ANY($2::text[]))
+    )
+    INSERT INTO task_reaction_settings (team_id, reaction, action, updated_by_user_id, updated_at)
+    SELECT $1, x.reaction, x.action, $4, now()
+    FROM unnest($2::text[], $3::text[]) AS x(reaction, action)
+    ON CONFLICT (team_id, reaction)
+    DO UPDATE SET action=EXCLUDED.action,
+                  updated_by_user_id=EXCLUDED.updated_by_user_id,
+                  updated_at=now();
+  `;
+  await dbQuery(q, [teamId, reactions, actions, actorUserId]);
+  reactionSettingsCache.delete(teamId);
+}
+
+async function getReactionSettings(teamId) {
+  const cached = reactionSettingsCache.get(teamId);
+  if (cached && Date.now() - cached.at < REACTION_SETTINGS_CACHE_MS)
+    return cached.map;
+
+  let map = { ...REACTION_DEFAULTS };
+  try {
+    const rows = await dbListReactionSettings(teamId);
+    if (rows.length) {
+      map = {};
+      for (const r of rows) map[r.reaction] = r.action;
+    }
+  } catch (e) {
+    // DBが落ちていても既定のリアクションは動かす
+    console.error("load reaction settings error:", e?.data || e);
+    return cached?.map || map;
+  }
+  reactionSettingsCache.set(teamId, { at: Date.now(), map });
+  return map;
+}
+
+async function getReactionAction(teamId, reaction) {
+  if (!reaction) return null;
+  // スキントーン付き（:+1::skin-tone-2:）は元の絵文字として扱う
+  const name = String(reaction).replace(/::skin-tone-\d$/, "");
+  const map = await getReactionSettings(teamId);
+  return map[name] || null;
+}
+
+const adminCache = new Map(); // userId -> { at, ok }
+
+async function isWorkspaceAdmin(userId) {
+  if (!userId) return false;
+  if (ADMIN_USER_IDS.includes(userId)) return true;
+
+  const cached = adminCache.get(userId);
+  if (cached && Date.now() - cached.at < USER_CACHE_MS) return cached.ok;
+  try {
+    const res = await app.client.users.info({ user: userId });
+    const ok = !!(res?.user?.is_admin || res?.user?.is_owner);
+    adminCache.set(userId, { at: Date.now(), ok });
+    return ok;
+  } catch (_) {
+    return false;
+  }
+}
+
+// 「:eyes:, white_check_mark」→ ["eyes", "white_check_mark"]
+function parseReactionNames(text) {
+  return Array.from(
+    new Set(
+      String(text || "")
+        .split(/[\s,、]+/)
+        .map((s) =>
+          s
+            .replace(/^:+|:+$/g, "")
+            .trim()
+            .toLowerCase(),
+        )
+        .filter(Boolean),
+    ),
+  );
+}
+
+function buildReactionSettingsModalView(teamId, map) {
+  const namesFor = (key) =>
+    Object.keys(map)
+      .filter((r) => map[r] === key)
+      .sort()
+      .join(", ");
+
+  return {
+    type: "modal",
+    callback_id: "reaction_settings_modal",
+    private_metadata: JSON.stringify({ teamId }),
+    title: { type: "plain_text", text: "リアクション設定" },
+    submit: { type: "plain_text", text: "保存" },
+    close: { type: "plain_text", text: "キャンセル" },
+    blocks: [
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "絵文字名をカンマ区切りで入力してね（例：`eyes, :+1:`）。1つの絵文字は1つの動作だけ。全部空にすると初期設定に戻ります。",
+          },
+        ],
+      },
+      ...REACTION_ACTIONS.map((a) => ({
+        type: "input",
+        block_id: `reaction_${a.key}`,
+        optional: true,
+        label: { type: "plain_text", text: a.label },
+        element: {
+          type: "plain_text_input",
+          action_id: "reaction_names",
+          initial_value: namesFor(a.key),
+        },
+      })),
+    ],
+  };
+}
+
+app.action("open_reaction_settings", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    if (!(await isWorkspaceAdmin(userId))) return;
+
+    reactionSettingsCache.delete(teamId);
+    const map = await getReactionSettings(teamId);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildReactionSettingsModalView(teamId, map),
+    });
+  } catch (e) {
+    console.error("open_reaction_settings error:", e?.data || e);
+  }
+});
+
+app.view("reaction_settings_modal", async ({ ack, body, view }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+
+  const entries = [];
+  const errors = {};
+  const seen = new Map(); // reaction -> action
+  for (const a of REACTION_ACTIONS) {
+    const blockId = `reaction_${a.key}`;
+    const names = parseReactionNames(
+      view.state.values[blockId]?.reaction_names?.value,
+    );
+    for (const name of names) {
+      if (!/^[a-z0-9_+'-]+$/.test(name)) {
+        errors[blockId] = `「${name}」は絵文字名として使えません`;
+        continue;
+      }
+      if (seen.has(name)) {
+        errors[blockId] = `:${name}: は他の動作にも入っています`;
+        continue;
+      }
+      seen.set(name, a.key);
+      entries.push({ reaction: name, action: a.key });
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+
+  if (!(await isWorkspaceAdmin(userId))) {
+    await ack({
+      response_action: "errors",
+      errors: {
+        [`reaction_${REACTION_ACTIONS[0].key}`]: "管理者だけが変更できます",
+      },
+    });
+    return;
+  }
+
+  await ack();
+  try {
+    await dbReplaceReactionSettings(teamId, entries, userId);
+  } catch (e) {
+    console.error("reaction_settings_modal error:", e?.data || e);
+  }
+});
+
+// 👀：タスク化済みのメッセージ → リアクションした人をフォロワーに
+async function handleWatchReaction(
+  client,
+  { teamId, channelId, msgTs, userId },
+) {
+  const task = await dbGetTaskBySource(teamId, channelId, msgTs);
+  if (!task?.id) return;
+  const added = await dbAddTaskWatcher(teamId, task.id, userId, "reaction");
+  if (added) {
+    await safeEphemeral(
+      client,
+      channelId,
+      userId,
+      `👀 「${noMention(task.title)}」をフォローしたよ`,
+    );
+  }
+}
+
+// ✅：タスク化済みのメッセージ → 完了（personal は依頼者/対応者、broadcast は対象者だけ）
+async function handleCompleteReaction(
+  client,
+  { teamId, channelId, msgTs, userId },
+) {
+  const task = await dbGetTaskBySource(teamId, channelId, msgTs);
+  if (!task?.id) return;
+  if (["done", "cancelled"].includes(task.status)) return;
+
+  if (
+    task.task_type !== "broadcast" &&
+    userId !== task.assignee_id &&
+    userId !== task.requester_user_id
+  ) {
+    await safeEphemeral(
+      client,
+      channelId,
+      userId,
+      "🥺 完了にできるのは依頼者か対応者だけだよ",
+    );
+    return;
+  }
+
+  const result = await completeTaskByUser(client, {
+    teamId,
+    taskId: task.id,
+    userId,
+  });
+  if (!result.ok && result.reason === "not_target") {
+    await safeEphemeral(
+      client,
+      channelId,
+      userId,
+      "🥺 このタスクの対象者じゃないみたい…！",
+    );
+  }
+}
+
 // blocks から user_id を拾う（rich_text の user mention を拾う）
 function extractUserIdsFromBlocks(blocks) {
   const out = [];
@@ -2570,12 +4655,44 @@ function inferAssigneeFromMessageText(rawText, fallbackUserId, blocks = null) {
   return userIds[0] || fallbackUserId;
 }
 
+// task_modal の期限欄：本文から拾った日付を初期値にして、拾った表現を下に出す
+function dueInputBlocks(dueHit) {
+  return [
+    {
+      type: "input",
+      block_id: "due",
+      label: { type: "plain_text", text: "期限" },
+      element: {
+        type: "datepicker",
+        action_id: "due_date",
+        placeholder: { type: "plain_text", text: "期限" },
+        initial_date: dueHit?.ymd || todayJstYmd(),
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: dueHit?.phrase
+            ? `📅 ${dueDetectedNote(dueHit.phrase)}期限を入れたよ（違ったら変えてね）`
+            : `📅 ${dueDetectedNote("")}にしてるよ`,
+        },
+      ],
+    },
+  ];
+}
+
 function buildReactionPromptBlocks({
   previewText,
   assigneeId,
   dueYmd,
+  duePhrase,
+  priority,
   payloadCreate,
   payloadEdit,
+  absence = null,
+  payloadDelegate = null,
 }) {
   const safePreview = noMention((previewText || "").trim()) || "（本文なし）";
   const short =
@@ -2592,10 +4709,20 @@ function buildReactionPromptBlocks({
       elements: [
         {
           type: "mrkdwn",
-          text: `👤 *対応者*：<@${assigneeId}>　　📅 *期限*：${dueYmd}（今日）`,
+          text: `👤 *対応者*：<@${assigneeId}>　　📅 *期限*：${dueYmd}（${dueDetectedNote(duePhrase)}）${normalizePriority(priority) === DEFAULT_PRIORITY ? "" : `　　*優先度*：${priorityLabel(priority)}`}`,
         },
       ],
     },
+    ...(absence
+      ? [
+          {
+            type: "context",
+            elements: [
+              { type: "mrkdwn", text: absenceWarningText(assigneeId, absence) },
+            ],
+          },
+        ]
+      : []),
     { type: "divider" },
     {
       type: "actions",
@@ -2607,6 +4734,16 @@ function buildReactionPromptBlocks({
           action_id: "reaction_task_confirm_create",
           value: payloadCreate,
         },
+        ...(payloadDelegate
+          ? [
+              {
+                type: "button",
+                text: { type: "plain_text", text: "代理に依頼" },
+                action_id: "reaction_task_confirm_create_delegate",
+                value: payloadDelegate,
+              },
+            ]
+          : []),
         {
           type: "button",
           text: { type: "plain_text", text: "内容編集" },
@@ -2620,14 +4757,29 @@ function buildReactionPromptBlocks({
 
 app.event("reaction_added", async ({ event, client, body }) => {
   try {
-    if ((event?.reaction || "") !== TASK_REACTION_NAME) return;
-
     const teamId = body?.team_id || body?.team?.id || event?.team;
     const channelId = event?.item?.channel;
     const msgTs = event?.item?.ts;
     const actorUserId = event?.user; // リアクションした人
     if (!teamId || !channelId || !msgTs || !actorUserId) return;
 
+    // 絵文字 → 動作（ワークスペースごとの設定）
+    const reactionAction = await getReactionAction(teamId, event?.reaction);
+    if (!reactionAction) return;
+
+    const ctx = { teamId, channelId, msgTs, userId: actorUserId };
+    if (reactionAction === "watch") {
+      await handleWatchReaction(client, ctx);
+      return;
+    }
+    if (reactionAction === "complete") {
+      await handleCompleteReaction(client, ctx);
+      return;
+    }
+    if (reactionAction !== "create" && reactionAction !== "create_high") return;
+    const priority =
+      reactionAction === "create_high" ? "high" : DEFAULT_PRIORITY;
+
     // すでに「確認UI（スレッドカード）」を出していたら何もしない（1メッセージ1回）
     const existingCard = await dbGetThreadCard(teamId, channelId, msgTs);
     if (existingCard?.card_ts) return;
@@ -2690,8 +4842,10 @@ app.event("reaction_added", async ({ event, client, body }) => {
       mm?.blocks || null,
     );
 
-    // 期限は今日固定
-    const dueYmd = slackDateYmd(new Date());
+    // 期限：本文の「明日まで」「金曜までに」などから拾う（なければ今日）
+    const dueHit = detectDueDate(rawText);
+    const dueYmd = dueHit?.ymd || todayJstYmd();
+    const duePhrase = dueHit?.phrase || "";
 
     // スレッド親（そのスレッドに出す）
     let threadRootTs = msgTs;
@@ -2726,18 +4880,34 @@ app.event("reaction_added", async ({ event, client, body }) => {
       requesterUserId: requesterUserId || actorUserId,
       assigneeId,
       dueYmd,
+      duePhrase,
+      priority,
       messageText: rawText,
     };
 
     const payloadCreate = JSON.stringify({ ...payloadBase, mode: "create" });
     const payloadEdit = JSON.stringify({ ...payloadBase, mode: "edit" });
 
+    // 対応者が不在中なら警告（代理がいれば「代理に依頼」も出す）
+    const absence = await getActiveAbsence(teamId, assigneeId);
+    const payloadDelegate = absence?.delegate_user_id
+      ? JSON.stringify({
+          ...payloadBase,
+          assigneeId: absence.delegate_user_id,
+          mode: "create",
+        })
+      : null;
+
     const blocks = buildReactionPromptBlocks({
       previewText,
       assigneeId,
       dueYmd,
+      duePhrase,
+      priority,
       payloadCreate,
       payloadEdit,
+      absence,
+      payloadDelegate,
     });
 
     // ★キーは msgTs（= 1メッセージ1回）、投稿先は threadRootTs
@@ -2756,93 +4926,107 @@ app.event("reaction_added", async ({ event, client, body }) => {
   }
 });
 
-app.action("reaction_task_confirm_create", async ({ ack, body, client }) => {
-  await ack();
+// 「代理に依頼」も同じ処理（payload の担当者が代理になっているだけ）
+app.action(
+  /^reaction_task_confirm_create(_delegate)?$/,
+  async ({ ack, body, client }) => {
+    await ack();
 
-  try {
-    const payload = safeJsonParse(body.actions?.[0]?.value || "{}") || {};
-    const teamId = payload.teamId || getTeamIdFromBody(body);
-    const channelId = payload.channelId;
-    const msgTs = payload.msgTs;
-    const actorUserId = body.user?.id;
+    try {
+      const payload = safeJsonParse(body.actions?.[0]?.value || "{}") || {};
+      const teamId = payload.teamId || getTeamIdFromBody(body);
+      const channelId = payload.channelId;
+      const msgTs = payload.msgTs;
+      const actorUserId = body.user?.id;
 
-    const requesterUserId = payload.requesterUserId || actorUserId;
-    const assigneeId = payload.assigneeId || actorUserId;
-    const dueYmd = payload.dueYmd || slackDateYmd(new Date());
-    const rawText = payload.messageText || "";
+      const requesterUserId = payload.requesterUserId || actorUserId;
+      const assigneeId = payload.assigneeId || actorUserId;
+      const dueYmd = payload.dueYmd || slackDateYmd(new Date());
+      const rawText = payload.messageText || "";
 
-    if (!teamId || !channelId || !msgTs || !actorUserId) return;
+      if (!teamId || !channelId || !msgTs || !actorUserId) return;
 
-    // すでにタスク化済みなら何もしない（痕跡は残ってる想定）
-    const existing = await dbGetTaskBySource(teamId, channelId, msgTs);
-    if (existing?.id) return;
+      // すでにタスク化済みなら何もしない（痕跡は残ってる想定）
+      const existing = await dbGetTaskBySource(teamId, channelId, msgTs);
+      if (existing?.id) return;
 
-    // permalink
-    let permalink = "";
-    try {
-      const r = await client.chat.getPermalink({
-        channel: channelId,
-        message_ts: msgTs,
+      // permalink
+      let permalink = "";
+      try {
+        const r = await client.chat.getPermalink({
+          channel: channelId,
+          message_ts: msgTs,
+        });
+        permalink = r?.permalink || "";
+      } catch (_) {}
+
+      let prettyText = await prettifySlackText(rawText, teamId);
+      prettyText = await prettifyUserMentions(prettyText, teamId);
+      const title = generateTitleCandidate(prettyText || rawText || "");
+
+      const requesterDept = await resolveDeptForUser(teamId, requesterUserId);
+      const assigneeDept = await resolveDeptForUser(teamId, assigneeId);
+
+      const taskId = randomUUID();
+
+      // この導線は「personalタスクを即作成」だけに絞る（リアクション→確定ボタン）
+      const taskType = "personal";
+      const status = "in_progress"; // 初期は進行中で固定
+      const description = prettyText || rawText || "";
+      const due = dueYmd; // "YYYY-MM-DD"
+
+      const created = await dbCreateTask({
+        id: taskId,
+        team_id: teamId,
+        channel_id: channelId,
+        message_ts: msgTs, // ← parentTs ではなく msgTs
+        source_permalink: permalink || null,
+        title,
+        description,
+        requester_user_id: requesterUserId,
+        created_by_user_id: actorUserId,
+        assignee_id: assigneeId, // ← personalAssigneeId ではなく assigneeId
+        assignee_label: null,
+        status,
+        due_date: due,
+        requester_dept: requesterDept,
+        assignee_dept: assigneeDept,
+        task_type: taskType,
+        broadcast_group_handle: null,
+        broadcast_group_id: null,
+        total_count: null,
+        completed_count: 0,
+        priority: payload.priority,
       });
-      permalink = r?.permalink || "";
-    } catch (_) {}
 
-    let prettyText = await prettifySlackText(rawText, teamId);
-    prettyText = await prettifyUserMentions(prettyText, teamId);
-    const title = generateTitleCandidate(prettyText || rawText || "");
-
-    const requesterDept = await resolveDeptForUser(teamId, requesterUserId);
-    const assigneeDept = await resolveDeptForUser(teamId, assigneeId);
-
-    const taskId = randomUUID();
-
-    // この導線は「personalタスクを即作成」だけに絞る（リアクション→確定ボタン）
-    const taskType = "personal";
-    const status = "in_progress"; // 初期は進行中で固定
-    const description = prettyText || rawText || "";
-    const due = dueYmd; // "YYYY-MM-DD"
-
-    const created = await dbCreateTask({
-      id: taskId,
-      team_id: teamId,
-      channel_id: channelId,
-      message_ts: msgTs, // ← parentTs ではなく msgTs
-      source_permalink: permalink || null,
-      title,
-      description,
-      requester_user_id: requesterUserId,
-      created_by_user_id: actorUserId,
-      assignee_id: assigneeId, // ← personalAssigneeId ではなく assigneeId
-      assignee_label: null,
-      status,
-      due_date: due,
-      requester_dept: requesterDept,
-      assignee_dept: assigneeDept,
-      task_type: taskType,
-      broadcast_group_handle: null,
-      broadcast_group_id: null,
-      total_count: null,
-      completed_count: 0,
-      notified_at: null,
-    });
+      // 本文の #タグ
+      try {
+        await dbInsertTaskTags(teamId, taskId, extractHashTags(description));
+      } catch (e) {
+        console.error("insert task tags error:", e?.data || e);
+      }
 
-    // タスク詳細カードに差し替え（スレッドに出せるチャンネルだけ）
-    const doneBlocks = await buildThreadCardBlocks({ teamId, task: created });
+      // 元メッセージでメンションされた人はフォロワーに
+      await addMentionWatchers(teamId, created, rawText);
 
-    // DM（Dxxxx）は thread card を作らない（仕様）
-    if (!String(channelId || "").startsWith("D")) {
-      await upsertThreadCard(client, {
-        teamId,
-        channelId,
-        parentTs: msgTs, // 一意キー（リアクション対象）
-        threadTs: payload.threadTs || msgTs, // 投稿先スレッド親（threadRootTs）
-        blocks: doneBlocks,
-      });
+      // タスク詳細カードに差し替え（スレッドに出せるチャンネルだけ）
+      const doneBlocks = await buildThreadCardBlocks({ teamId, task: created });
+
+      // DM（Dxxxx）は thread card を作らない（仕様）
+      if (!String(channelId || "").startsWith("D")) {
+        await upsertThreadCard(client, {
+          teamId,
+          channelId,
+          parentTs: msgTs, // 一意キー（リアクション対象）
+          threadTs: payload.threadTs || msgTs, // 投稿先スレッド親（threadRootTs）
+          blocks: doneBlocks,
+        });
+      }
+    } catch (e) {
+      console.error("reaction_task_confirm_create error:", e?.data || e);
     }
-  } catch (e) {
-    console.error("reaction_task_confirm_create error:", e?.data || e);
-  }
-});
+  },
+);
 
 app.action("reaction_task_open_edit_modal", async ({ ack, body, client }) => {
   await ack();
@@ -2893,17 +5077,7 @@ app.action("reaction_task_open_edit_modal", async ({ ack, body, client }) => {
             },
           },
 
-          {
-            type: "input",
-            optional: true,
-            block_id: "assignee_users",
-            label: { type: "plain_text", text: "対応者（個人・複数OK）" },
-            element: {
-              type: "multi_users_select",
-              action_id: "assignee_users_select",
-              placeholder: { type: "plain_text", text: "ユーザーを選択" },
-            },
-          },
+          assigneeUsersInputBlock(),
           {
             type: "input",
             optional: true,
@@ -2923,17 +5097,16 @@ app.action("reaction_task_open_edit_modal", async ({ ack, body, client }) => {
             },
           },
 
-          {
-            type: "input",
-            block_id: "due",
-            label: { type: "plain_text", text: "期限" },
-            element: {
-              type: "datepicker",
-              action_id: "due_date",
-              placeholder: { type: "plain_text", text: "期限" },
-              initial_date: slackDateYmd(new Date()),
-            },
-          },
+          ...dueInputBlocks(
+            payload.dueYmd
+              ? { ymd: payload.dueYmd, phrase: payload.duePhrase || "" }
+              : detectDueDate(rawText),
+          ),
+          dueTimeInputBlock(),
+
+          priorityInputBlock(payload.priority),
+          tagsInputBlock(),
+          recurrenceInputBlock(),
 
           {
             type: "context",
@@ -2953,15 +5126,313 @@ app.action("reaction_task_open_edit_modal", async ({ ack, body, client }) => {
 });
 
 // ================================
-// Global Shortcut: Open Task List (Home-like modal)
+// Source message sync（元メッセージの編集 / 削除、リアクション取り消し）
+// - 確認前にタスク化リアクションが全部外れたら、確認カードを取り下げる
+// - 元メッセージが編集されたら「本文を同期」を出す（勝手には書き換えない）
+// - 元メッセージが削除されたら、詳細/カードのリンクを「削除済み」に
+// ※ message イベント（message.channels / message.groups）の購読が必要
 // ================================
-function myTasksScopeSelectElement(scopeKey) {
-  const cur =
-    BROADCAST_SCOPES.find((s) => s.key === scopeKey) || BROADCAST_SCOPES[0];
-  return {
-    type: "static_select",
-    action_id: "my_tasks_scope_select",
-    initial_option: {
+function hasSourceLink(task) {
+  return !!task?.source_permalink && !task?.source_deleted_at;
+}
+
+async function dbSetSourceEditedText(teamId, taskId, text) {
+  const q = `
+    UPDATE tasks
+    SET source_edited_text=$3, source_edited_at=CASE WHEN $3::text IS NULL THEN NULL ELSE now() END
+    WHERE team_id=$1 AND id=$2
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, text]);
+  return res.rows[0] || null;
+}
+
+async function dbMarkSourceDeleted(teamId, taskId) {
+  const q = `
+    UPDATE tasks
+    SET source_deleted_at=now(), source_edited_text=NULL, source_edited_at=NULL
+    WHERE team_id=$1 AND id=$2 AND source_deleted_at IS NULL
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  const updated = res.rows[0] || null;
+  if (updated) {
+    await dbInsertTaskEvent(teamId, taskId, { eventType: "source_deleted" });
+  }
+  return updated;
+}
+
+// 編集後の本文をタスク内容へ（タイトルも作り直す）
+async function dbSyncDescriptionFromSource(teamId, taskId, actorUserId) {
+  const before = await dbGetTaskById(teamId, taskId);
+  if (!before?.source_edited_text) return null;
+
+  const q = `
+    UPDATE tasks
+    SET description=source_edited_text,
+        title=$3,
+        source_edited_text=NULL,
+        source_edited_at=NULL,
+        updated_at=now()
+    WHERE team_id=$1 AND id=$2
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    teamId,
+    taskId,
+    generateTitleCandidate(before.source_edited_text),
+  ]);
+  const updated = res.rows[0] || null;
+  if (updated) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "edit",
+      field: "description",
+      oldValue: taskEventValue("description", before.description),
+      newValue: taskEventValue("description", updated.description),
+    });
+  }
+  return updated;
+}
+
+function canEditTaskContent(task, userId) {
+  if (!task || !userId) return false;
+  if (task.task_type === "broadcast") return userId === task.requester_user_id;
+  return userId === task.requester_user_id || userId === task.assignee_id;
+}
+
+// 「元メッセージが編集されました」＋ 同期ボタン
+function sourceEditedBlocks(task) {
+  if (!task?.source_edited_text) return [];
+  const value = JSON.stringify({ teamId: task.team_id, taskId: task.id });
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "✏️ *元メッセージが編集されました*（タスク内容はまだ前のまま）",
+      },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "本文を同期" },
+          style: "primary",
+          action_id: "sync_source_description",
+          value,
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "このままにする" },
+          action_id: "dismiss_source_edit",
+          value,
+        },
+      ],
+    },
+  ];
+}
+
+// スレッドカードの出し直し（カードが無ければ新しく投稿はしない）
+async function refreshThreadCardForTask(client, task) {
+  if (!task?.channel_id || !task?.message_ts) return;
+  if (task.channel_id.startsWith("D")) return;
+  const card = await dbGetThreadCard(
+    task.team_id,
+    task.channel_id,
+    task.message_ts,
+  );
+  if (!card?.card_ts) return;
+  const blocks = await buildThreadCardBlocks({ teamId: task.team_id, task });
+  await upsertThreadCard(client, {
+    teamId: task.team_id,
+    channelId: task.channel_id,
+    parentTs: task.message_ts,
+    blocks,
+  });
+}
+
+// 確認カード（まだタスクになっていない）を取り下げる
+async function withdrawPendingPrompt(client, { teamId, channelId, msgTs }) {
+  const card = await dbGetThreadCard(teamId, channelId, msgTs);
+  if (!card) return false;
+  if (card.card_ts) {
+    try {
+      await client.chat.delete({ channel: channelId, ts: card.card_ts });
+    } catch (e) {
+      console.error("withdraw prompt delete error:", e?.data || e);
+    }
+  }
+  await dbDeleteThreadCard(teamId, channelId, msgTs);
+  return true;
+}
+
+// まだ「タスク化」のリアクションが残っているか
+async function hasCreateReactionLeft(client, teamId, channelId, msgTs) {
+  try {
+    const rg = await client.reactions.get({
+      channel: channelId,
+      timestamp: msgTs,
+      full: true,
+    });
+    for (const r of rg?.message?.reactions || []) {
+      const action = await getReactionAction(teamId, r.name);
+      if ((action === "create" || action === "create_high") && r.count > 0)
+        return true;
+    }
+  } catch (e) {
+    console.error("reactions.get error:", e?.data || e);
+    return true; // 確認できないときは取り下げない
+  }
+  return false;
+}
+
+app.event("reaction_removed", async ({ event, client, body }) => {
+  try {
+    const teamId = body?.team_id || body?.team?.id || event?.team;
+    const channelId = event?.item?.channel;
+    const msgTs = event?.item?.ts;
+    if (!teamId || !channelId || !msgTs) return;
+
+    const action = await getReactionAction(teamId, event?.reaction);
+    if (action !== "create" && action !== "create_high") return;
+
+    // 確定済み（タスクあり）なら何もしない
+    const task = await dbGetTaskBySource(teamId, channelId, msgTs);
+    if (task?.id) return;
+
+    if (await hasCreateReactionLeft(client, teamId, channelId, msgTs)) return;
+    await withdrawPendingPrompt(client, { teamId, channelId, msgTs });
+  } catch (e) {
+    console.error("reaction_removed error:", e?.data || e);
+  }
+});
+
+async function handleSourceMessageChanged(client, teamId, event) {
+  const channelId = event.channel;
+  const msg = event.message || {};
+  const msgTs = msg.ts;
+  if (!channelId || !msgTs) return;
+
+  // unfurl などで本文が変わっていない編集は無視
+  if ((msg.text || "") === (event.previous_message?.text || "")) return;
+
+  const task = await dbGetTaskBySource(teamId, channelId, msgTs);
+  if (!task?.id || ["done", "cancelled"].includes(task.status)) return;
+
+  let pretty = await prettifySlackText(msg.text || "", teamId);
+  pretty = await prettifyUserMentions(pretty, teamId);
+
+  // タスク内容と同じになった（= 手で合わせた）なら通知を消す
+  const same = pretty.trim() === String(task.description || "").trim();
+  const updated = await dbSetSourceEditedText(
+    teamId,
+    task.id,
+    same ? null : pretty,
+  );
+  if (updated) await refreshThreadCardForTask(client, updated);
+}
+
+async function handleSourceMessageDeleted(client, teamId, event) {
+  const channelId = event.channel;
+  const msgTs = event.deleted_ts || event.previous_message?.ts;
+  if (!channelId || !msgTs) return;
+
+  const task = await dbGetTaskBySource(teamId, channelId, msgTs);
+  if (!task?.id) {
+    await withdrawPendingPrompt(client, { teamId, channelId, msgTs });
+    return;
+  }
+
+  const updated = await dbMarkSourceDeleted(teamId, task.id);
+  if (updated) await refreshThreadCardForTask(client, updated);
+}
+
+app.event("message", async ({ event, client, body }) => {
+  try {
+    const teamId = body?.team_id || body?.team?.id || event?.team;
+    if (!teamId) return;
+
+    // 通常の投稿（スレッド返信ならコメントに取り込み）
+    if (!event?.subtype || event.subtype === "thread_broadcast") {
+      await captureThreadReply(teamId, event);
+      return;
+    }
+
+    if (event.subtype === "message_changed") {
+      const msg = event.message || {};
+      if (msg.thread_ts && msg.thread_ts !== msg.ts && !msg.bot_id)
+        await dbUpdateThreadComment(teamId, event.channel, msg.ts, msg.text);
+      await handleSourceMessageChanged(client, teamId, event);
+    } else if (event.subtype === "message_deleted") {
+      if (event.deleted_ts)
+        await dbDeleteThreadComment(teamId, event.channel, event.deleted_ts);
+      await handleSourceMessageDeleted(client, teamId, event);
+    }
+  } catch (e) {
+    console.error("message event error:", e?.data || e);
+  }
+});
+
+async function handleSourceEditAction(body, action, client, { sync }) {
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const task = await dbGetTaskById(teamId, p.taskId);
+  if (!task) return;
+
+  if (!canEditTaskContent(task, userId)) {
+    await safeEphemeral(
+      client,
+      body.channel?.id || task.channel_id || userId,
+      userId,
+      "🥺 タスク内容を変えられるのは依頼者（個人タスクは対応者も）だけだよ",
+    );
+    return;
+  }
+
+  const updated = sync
+    ? await dbSyncDescriptionFromSource(teamId, task.id, userId)
+    : await dbSetSourceEditedText(teamId, task.id, null);
+  if (!updated) return;
+
+  await refreshThreadCardForTask(client, updated);
+  await refreshDetailModalIfOpen(client, body, teamId, updated, userId);
+  publishHomeForUsers(client, teamId, [
+    updated.requester_user_id,
+    updated.assignee_id,
+  ]);
+}
+
+app.action("sync_source_description", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    await handleSourceEditAction(body, action, client, { sync: true });
+  } catch (e) {
+    console.error("sync_source_description error:", e?.data || e);
+  }
+});
+
+app.action("dismiss_source_edit", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    await handleSourceEditAction(body, action, client, { sync: false });
+  } catch (e) {
+    console.error("dismiss_source_edit error:", e?.data || e);
+  }
+});
+
+// ================================
+// Global Shortcut: Open Task List (Home-like modal)
+// ================================
+function myTasksScopeSelectElement(scopeKey) {
+  const cur =
+    BROADCAST_SCOPES.find((s) => s.key === scopeKey) || BROADCAST_SCOPES[0];
+  return {
+    type: "static_select",
+    action_id: "my_tasks_scope_select",
+    initial_option: {
       text: { type: "plain_text", text: cur.label },
       value: cur.key,
     },
@@ -2993,49 +5464,56 @@ async function buildTaskListModalView({
   userId,
   rangeKey = "to_me",
   scopeKey = "active",
+  tagKeys = [],
 }) {
-  const statuses =
-    scopeKey === "done"
-      ? DONE_STATUSES
-      : scopeKey === "cancelled"
-        ? CANCELLED_STATUSES
-        : ACTIVE_STATUSES;
+  const statuses = statusesForScopeKey(scopeKey);
+  await loadTeamAbsences(teamId);
 
   // ★一覧は personal + broadcast を混在（Home思想）
-  const personalScope =
-    rangeKey === "to_me" || rangeKey === "requested_by_me" ? rangeKey : "all";
+  const personalScope = isScopedRangeKey(rangeKey) ? rangeKey : "all";
+  const filters = { tagKeys };
   const personalTasks = await dbListPersonalTasksByStatusesWithScope(
     teamId,
     statuses,
     personalScope,
     userId,
     60,
+    filters,
   );
 
-  const broadcastTasks =
-    rangeKey === "to_me" || rangeKey === "requested_by_me"
-      ? await dbListBroadcastTasksByStatusesWithScope(
-          teamId,
-          statuses,
-          rangeKey,
-          userId,
-          60,
-        )
-      : await dbListBroadcastTasksByStatuses(teamId, statuses, "all", 60);
+  const broadcastTasks = isScopedRangeKey(rangeKey)
+    ? await dbListBroadcastTasksByStatusesWithScope(
+        teamId,
+        statuses,
+        rangeKey,
+        userId,
+        60,
+        filters,
+      )
+    : await dbListBroadcastTasksByStatuses(
+        teamId,
+        statuses,
+        "all",
+        60,
+        filters,
+      );
 
   // ★保険：同一IDは必ず1つにする（重複完全排除）
   const seen = new Set();
-  const tasks = [];
-  for (const t of [...personalTasks, ...broadcastTasks]) {
+  let tasks = [];
+  for (const t of [...personalTasks, ...broadcastTasks].sort(
+    compareTasksForList,
+  )) {
     const key = `${t.task_type || "personal"}:${t.id}`;
     if (seen.has(key)) continue;
     seen.add(key);
     tasks.push(t);
   }
+  await attachTaskRowMeta(teamId, tasks);
 
   const blocks = [];
 
-  // filters（範囲＋状態だけ）
+  // filters（範囲＋状態＋タグ）
   blocks.push({
     type: "section",
     text: { type: "mrkdwn", text: "*範囲*" },
@@ -3048,23 +5526,38 @@ async function buildTaskListModalView({
     accessory: myTasksStatusSelectElement(scopeKey),
   });
 
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: "*タグ*" },
+    accessory: tagFilterSelectElement("list_tag_select", tagKeys),
+  });
+
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        action_id: "export_tasks_excel",
+        text: { type: "plain_text", text: "Excelで出力" },
+        value: JSON.stringify({
+          teamId,
+          userId,
+          origin: "list_modal",
+          rangeKey,
+          scopeKey,
+          tagKeys,
+        }),
+      },
+    ],
+  });
+
   blocks.push({ type: "divider" });
 
   // list（Homeの表示ロジックを踏襲）
 
   // list (Homeの表示ロジックを踏襲)
   if (scopeKey === "done") {
-    // ★追加：完了は「直近24時間」だけ表示する（履歴はDBに残す）
-    const DONE_VISIBLE_HOURS = 24;
-    const cutoffMs = Date.now() - DONE_VISIBLE_HOURS * 60 * 60 * 1000;
-
-    const recentDoneTasks = (tasks || []).filter((t) => {
-      const ts = t?.completed_at || t?.updated_at || t?.created_at;
-      if (!ts) return false;
-      const d = new Date(ts);
-      if (Number.isNaN(d.getTime())) return false;
-      return d.getTime() >= cutoffMs;
-    });
+    const recentDoneTasks = filterRecentDoneTasks(tasks);
 
     blocks.push({
       type: "section",
@@ -3230,7 +5723,7 @@ async function buildTaskListModalView({
           viewKey === "broadcast"
             ? assigneeDisplay(t)
             : assigneeId
-              ? `<@${assigneeId}>`
+              ? `<@${assigneeId}>${absenceMark(teamId, assigneeId)}`
               : "-";
 
         const peopleElements = [];
@@ -3254,10 +5747,8 @@ async function buildTaskListModalView({
         blocks.push({ type: "context", elements: peopleElements });
 
         // ✅ 小：期限 + 元メッセージへリンク
-        const dueText = t?.due_date
-          ? `（${formatDueDateOnly(t.due_date)}）まで`
-          : "";
-        const linkText = t?.source_permalink
+        const dueText = t?.due_date ? `（${formatTaskDue(t)}）まで` : "";
+        const linkText = hasSourceLink(t)
           ? `🔗 <${t.source_permalink}|元メッセージへ>`
           : "";
 
@@ -3370,7 +5861,7 @@ async function buildTaskListModalView({
     await pushTaskList("*🟩 明日以降*", laterTasks);
   }
 
-  const meta = { teamId, userId, rangeKey, scopeKey };
+  const meta = { teamId, userId, rangeKey, scopeKey, tagKeys };
 
   return {
     type: "modal",
@@ -3407,6 +5898,234 @@ app.shortcut("open_my_tasks", async ({ shortcut, ack, client, body }) => {
   }
 });
 
+// ================================
+// Excel export（Home / 一覧モーダルの絞り込み結果を .xlsx にしてDMへ）
+// ================================
+const EXPORT_MAX_TASKS = 500;
+
+// Excel のセル用：YYYY/MM/DD HH:mm（JST）
+function formatJstDateTime(ts) {
+  if (!ts) return "";
+  const d = ts instanceof Date ? ts : new Date(ts);
+  if (Number.isNaN(d.getTime())) return "";
+  const jst = new Date(d.getTime() + 9 * 60 * 60 * 1000);
+  const y = jst.getUTCFullYear();
+  const m = String(jst.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(jst.getUTCDate()).padStart(2, "0");
+  const hh = String(jst.getUTCHours()).padStart(2, "0");
+  const mi = String(jst.getUTCMinutes()).padStart(2, "0");
+  return `${y}/${m}/${dd} ${hh}:${mi}`;
+}
+
+// broadcast: 対象者ごとの完了状況（未完了は completed_at = null）
+async function dbListTargetCompletionRows(teamId, taskIds) {
+  if (!taskIds?.length) return [];
+  const q = `
+    SELECT tt.task_id::text AS task_id, tt.user_id, tc.created_at AS completed_at,
+           tc.note, tc.link_url, tc.files
+    FROM task_targets tt
+    LEFT JOIN task_completions tc
+      ON tc.task_id = tt.task_id AND tc.team_id = tt.team_id AND tc.user_id = tt.user_id
+    WHERE tt.team_id=$1
+      AND tt.task_id::text = ANY($2::text[])
+    ORDER BY tt.task_id, tt.user_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskIds]);
+  return res.rows || [];
+}
+
+async function buildTasksWorkbook({ teamId, tasks }) {
+  // 表示名は同じ人が何度も出るのでまとめて引く
+  const nameMap = new Map();
+  const nameOf = async (uid) => {
+    if (!uid) return "";
+    if (!nameMap.has(uid))
+      nameMap.set(uid, await getUserDisplayName(teamId, uid));
+    return nameMap.get(uid);
+  };
+  const deptText = (k) => (k ? `@${k}` : "未設定");
+
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+
+  // ① タスク一覧
+  const ws = wb.addWorksheet("タスク");
+  ws.columns = [
+    { header: "種別", key: "type", width: 10 },
+    { header: "タイトル", key: "title", width: 30 },
+    { header: "内容", key: "description", width: 50 },
+    { header: "依頼者", key: "requester", width: 16 },
+    { header: "依頼者部署", key: "requester_dept", width: 14 },
+    { header: "対応者", key: "assignee", width: 20 },
+    { header: "対応者部署", key: "assignee_dept", width: 14 },
+    { header: "ステータス", key: "status", width: 10 },
+    { header: "優先度", key: "priority", width: 8 },
+    { header: "タグ", key: "tags", width: 20 },
+    { header: "期限", key: "due", width: 12 },
+    { header: "進捗", key: "progress", width: 10 },
+    { header: "作成日時", key: "created_at", width: 17 },
+    { header: "完了日時", key: "completed_at", width: 17 },
+    { header: "元メッセージ", key: "permalink", width: 40 },
+  ];
+
+  for (const t of tasks) {
+    const isBroadcast = t.task_type === "broadcast";
+    ws.addRow({
+      type: isBroadcast ? "全社/複数" : "個人",
+      title: t.title || "",
+      description: t.description || "",
+      requester: await nameOf(t.requester_user_id),
+      requester_dept: deptText(t.requester_dept),
+      assignee: isBroadcast
+        ? t.assignee_label || "（複数対象）"
+        : await nameOf(t.assignee_id),
+      assignee_dept: isBroadcast ? "" : deptText(t.assignee_dept),
+      status: isBroadcast ? calcBroadcastStateLabel(t) : statusLabel(t.status),
+      priority: TASK_PRIORITIES.find(
+        (x) => x.key === normalizePriority(t.priority),
+      ).label,
+      tags: formatTags(t.tags),
+      due: t.due_date ? formatTaskDue(t) : "",
+      progress: isBroadcast ? progressLabel(t) : "",
+      created_at: formatJstDateTime(t.created_at),
+      completed_at: formatJstDateTime(t.completed_at),
+      permalink: t.source_permalink || "",
+    });
+  }
+
+  // ② broadcast の対象者別 完了状況
+  const broadcastTasks = tasks.filter((t) => t.task_type === "broadcast");
+  const taskById = new Map(broadcastTasks.map((t) => [String(t.id), t]));
+  const targetRows = await dbListTargetCompletionRows(
+    teamId,
+    broadcastTasks.map((t) => String(t.id)),
+  );
+
+  const ws2 = wb.addWorksheet("対象者別の完了状況");
+  ws2.columns = [
+    { header: "タイトル", key: "title", width: 30 },
+    { header: "期限", key: "due", width: 12 },
+    { header: "対象者", key: "user", width: 16 },
+    { header: "部署", key: "dept", width: 14 },
+    { header: "完了", key: "done", width: 8 },
+    { header: "完了日時", key: "completed_at", width: 17 },
+    { header: "提出メモ", key: "note", width: 40 },
+    { header: "提出リンク", key: "link", width: 40 },
+    { header: "提出ファイル", key: "files", width: 40 },
+  ];
+
+  for (const r of targetRows) {
+    const t = taskById.get(String(r.task_id));
+    if (!t) continue;
+    let dept = null;
+    try {
+      dept = await resolveDeptForUser(teamId, r.user_id);
+    } catch (_) {}
+    ws2.addRow({
+      title: t.title || "",
+      due: t.due_date ? formatTaskDue(t) : "",
+      user: await nameOf(r.user_id),
+      dept: deptText(dept),
+      done: r.completed_at ? "完了" : "未完了",
+      completed_at: formatJstDateTime(r.completed_at),
+      note: r.note || "",
+      link: r.link_url || "",
+      files: (r.files || [])
+        .map((f) => f.permalink || f.name || "")
+        .filter(Boolean)
+        .join("\n"),
+    });
+  }
+
+  for (const sheet of [ws, ws2]) {
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+  }
+
+  return wb;
+}
+
+async function uploadFileToDM(client, userId, { buffer, filename, comment }) {
+  const dm = await client.conversations.open({ users: userId });
+  const channel = dm.channel?.id;
+  if (!channel) return;
+
+  await client.files.uploadV2({
+    channel_id: channel,
+    file: Buffer.from(buffer),
+    filename,
+    title: filename,
+    initial_comment: comment,
+  });
+}
+
+app.action("export_tasks_excel", async ({ ack, body, action, client }) => {
+  await ack();
+
+  const p = safeJsonParse(action?.value || "{}") || {};
+  const teamId = p.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  if (!teamId || !userId) return;
+
+  try {
+    // Home は押した時点の絞り込み、一覧モーダルはモーダル側の絞り込み（部署なし）を使う
+    let rangeKey = p.rangeKey || "to_me";
+    let deptKey = "all";
+    let scopeKey = p.scopeKey || "active";
+    let priorityKey = "all";
+    let tagKeys = p.tagKeys || [];
+    if (p.origin !== "list_modal") {
+      const st = await getHomeState(teamId, userId);
+      rangeKey = st.broadcastScopeKey || "to_me";
+      deptKey = st.deptKey || "all";
+      scopeKey = st.scopeKey || "active";
+      priorityKey = st.priorityKey || "all";
+      tagKeys = st.tagKeys || [];
+    }
+
+    let tasks = await fetchHomeTasks({
+      client,
+      teamId,
+      userId,
+      rangeKey,
+      deptKey,
+      priorityKey,
+      tagKeys,
+      statuses: statusesForScopeKey(scopeKey),
+      limit: EXPORT_MAX_TASKS,
+    });
+    // 画面と同じく、完了は直近分だけ
+    if (scopeKey === "done") tasks = filterRecentDoneTasks(tasks);
+
+    const wb = await buildTasksWorkbook({ teamId, tasks });
+    const buffer = await wb.xlsx.writeBuffer();
+
+    const rangeText =
+      BROADCAST_SCOPES.find((s) => s.key === rangeKey)?.label || rangeKey;
+    const scopeText =
+      HOME_SCOPES.find((s) => s.key === scopeKey)?.label || scopeKey;
+    const priorityText =
+      HOME_PRIORITY_FILTERS.find((x) => x.key === priorityKey)?.label ||
+      priorityKey;
+    let deptName =
+      deptKey === "all" ? "すべて" : deptKey === "__none__" ? "未設定" : null;
+    if (!deptName) {
+      const idToHandle = await getSubteamIdMap(teamId);
+      const h = idToHandle.get(deptKey);
+      deptName = h ? noMention(`@${h}`) : deptKey;
+    }
+
+    await uploadFileToDM(client, userId, {
+      buffer,
+      filename: `tasks_${todayJstYmd()}.xlsx`,
+      comment: `📊 タスク一覧をExcelで出力したよ（${tasks.length}件）\n・範囲：${rangeText}\n・部署：${deptName}\n・状態：${scopeText}${scopeKey === "done" ? `（直近${DONE_VISIBLE_HOURS}時間）` : ""}\n・優先度：${priorityText}\n・タグ：${tagKeys.length ? formatTags(tagKeys) : "すべて"}`,
+    });
+  } catch (e) {
+    console.error("export_tasks_excel error:", e?.data || e);
+    await postDM(userId, "🥺 Excel出力に失敗しました…もう一度お試しください。");
+  }
+});
+
 // ================================
 // Modal submit: create task -> DB -> thread + ephemeral
 // ================================
@@ -3439,22 +6158,224 @@ function uniq(arr) {
   return Array.from(new Set((arr || []).filter(Boolean)));
 }
 
-app.view("task_modal", async ({ ack, body, view, client }) => {
-  try {
-    const meta = safeJsonParse(view.private_metadata || "{}") || {};
-    const actorUserId = body.user.id;
+// タスク作成（task_modal / /task 共通）
+// 対象者展開 → DB → 発行通知 → スレッドカード → Home再描画
+async function createTaskFromInput(
+  client,
+  {
+    teamId,
+    actorUserId,
+    requesterUserId,
+    channelId = "",
+    parentTs = "",
+    description,
+    selectedUsers = [],
+    selectedGroupIds = [],
+    due = null,
+    scheduleId = null,
+    priority = DEFAULT_PRIORITY,
+    tags = [],
+    dueTime = null,
+    dueTz = null,
+    sourceText = "",
+  },
+) {
+  const title = generateTitleCandidate(description);
+  // （B方針）作成時ステータスは in_progress 固定（迷わせない）
+  const status = "in_progress";
 
-    const teamId = meta.teamId || body.team?.id || body.team_id;
-    const channelId = meta.channelId || "";
-    const parentTs = meta.msgTs || "";
+  // Expand group members
+  const { users: groupUsers, groupHandles } = await expandTargetsFromGroups(
+    teamId,
+    selectedGroupIds,
+  );
 
-    const description =
-      view.state.values.desc?.desc_input?.value?.trim() ||
-      meta.messageTextPretty ||
-      meta.messageText ||
-      "";
+  // targets = selectedUsers + groupUsers
+  const targets = new Set();
+  for (const u of selectedUsers) targets.add(u);
+  for (const u of groupUsers) targets.add(u);
+
+  const targetList = Array.from(targets);
+
+  const isPersonal = targetList.length === 1 && selectedGroupIds.length === 0;
+  const taskType = isPersonal ? "personal" : "broadcast";
+
+  // label for display (no mention)
+  // - broadcastは「選択された対象（個人/グループ）」だけをラベル化（グループの全員は展開しない）
+  // - メンション通知を避けるため、表示は noMention() を通す
+  const labelParts = [];
+  for (const gidHandle of groupHandles)
+    labelParts.push(`@${String(gidHandle).replace(/^@/, "")}`);
+  for (const u of selectedUsers) {
+    const name = await getUserDisplayName(teamId, u);
+    labelParts.push(`@${name}`);
+  }
+  const assigneeLabelRaw = labelParts.join(" ");
 
-    const title = generateTitleCandidate(description);
+  // dept resolve (A): requester + (personalのみ assignee)
+  const requesterDept = await resolveDeptForUser(teamId, requesterUserId);
+  const personalAssigneeId = isPersonal ? targetList[0] : null;
+  const assigneeDept = isPersonal
+    ? await resolveDeptForUser(teamId, personalAssigneeId)
+    : null;
+
+  let permalink = "";
+  if (channelId && parentTs) {
+    try {
+      const r = await client.chat.getPermalink({
+        channel: channelId,
+        message_ts: parentTs,
+      });
+      permalink = r?.permalink || "";
+    } catch (_) {}
+  }
+
+  const taskId = randomUUID();
+
+  const created = await dbCreateTask({
+    id: taskId,
+    team_id: teamId,
+    channel_id: channelId || null,
+    message_ts: parentTs || null,
+    source_permalink: permalink || null,
+    title,
+    description,
+    requester_user_id: requesterUserId,
+    created_by_user_id: actorUserId,
+    assignee_id: personalAssigneeId,
+    assignee_label: assigneeLabelRaw || null,
+    status,
+    due_date: due,
+    requester_dept: requesterDept,
+    assignee_dept: assigneeDept,
+    task_type: taskType,
+    broadcast_group_handle: groupHandles.length ? `@${groupHandles[0]}` : null,
+    broadcast_group_id: selectedGroupIds.length ? selectedGroupIds[0] : null,
+    total_count: taskType === "broadcast" ? targetList.length : null,
+    completed_count: 0,
+    schedule_id: scheduleId,
+    priority,
+    due_time: dueTime,
+    due_tz: dueTz,
+  });
+
+  // タグ：モーダルで選んだもの + 本文の #タグ
+  try {
+    await dbInsertTaskTags(teamId, taskId, [
+      ...tags,
+      ...extractHashTags(description),
+    ]);
+  } catch (e) {
+    console.error("insert task tags error:", e?.data || e);
+  }
+
+  // 元メッセージでメンションされた人はフォロワーに
+  if (sourceText) await addMentionWatchers(teamId, created, sourceText);
+
+  // broadcast: snapshot targets
+  if (taskType === "broadcast") {
+    await dbInsertTaskTargets(teamId, taskId, targetList);
+    const total = await dbCountTargets(teamId, taskId);
+    await dbUpdateBroadcastCounts(teamId, taskId, 0, total);
+    created.total_count = total;
+    created.completed_count = 0;
+  }
+
+  // ① 発行通知（personal / broadcast）
+  // - 自分が発行して自分が対象の場合は通知しない（うるささ回避）
+  try {
+    if (taskType === "personal") {
+      const to = personalAssigneeId;
+      if (to && to !== actorUserId) {
+        await notifyTaskSimpleDM(to, created, "📝 タスクが届いたよ");
+      }
+    } else if (taskType === "broadcast") {
+      // 対象者へ通知（必要ならここで数が多い場合は抑止もできる）
+      const targets = (targetList || []).filter((u) => u && u !== actorUserId);
+      for (const uid of targets) {
+        await notifyTaskSimpleDM(uid, created, "📝 タスクが届いたよ");
+      }
+    }
+  } catch (e) {
+    console.error("create notify error:", e?.data || e);
+  }
+
+  // broadcast creation notify: allow mention (only once)
+  if (taskType === "broadcast" && channelId) {
+    try {
+      const mentionParts = [];
+      // usergroups: ensure mention works using subteam token
+      const idToHandle = await getSubteamIdMap(teamId);
+      for (const gid of selectedGroupIds) {
+        const handle = idToHandle.get(gid);
+        if (handle) mentionParts.push(`<!subteam^${gid}|@${handle}>`);
+      }
+      // users: normal mention
+      for (const u of selectedUsers) mentionParts.push(`<@${u}>`);
+    } catch (e) {
+      if (e?.data?.error === "not_in_channel") {
+        await safeEphemeral(
+          client,
+          channelId,
+          actorUserId,
+          "🥺 このチャンネルにボットが参加してないよ…！ `/invite @アプリ名` してから試してね✨",
+        );
+      } else {
+        console.error("broadcast notify error:", e?.data || e);
+      }
+    }
+  }
+
+  // thread card
+  if (created?.channel_id && created?.message_ts) {
+    try {
+      const blocks = await buildThreadCardBlocks({ teamId, task: created });
+      if (!created.channel_id?.startsWith("D")) {
+        await upsertThreadCard(client, {
+          teamId,
+          channelId,
+          parentTs,
+          blocks,
+        });
+      }
+    } catch (e) {
+      if (e?.data?.error === "not_in_channel") {
+        await safeEphemeral(
+          client,
+          channelId,
+          actorUserId,
+          "🥺 このチャンネルにボットが参加してないよ…！ `/invite @アプリ名` してから試してね✨",
+        );
+      } else {
+        console.error("thread card error:", e?.data || e);
+      }
+    }
+  }
+
+  // Home refresh（スマホ反映対策：関係者＋対象者へ再描画）
+  publishHomeForUsers(client, teamId, [
+    actorUserId,
+    requesterUserId,
+    ...targetList,
+  ]);
+
+  return created;
+}
+
+app.view("task_modal", async ({ ack, body, view, client }) => {
+  try {
+    const meta = safeJsonParse(view.private_metadata || "{}") || {};
+    const actorUserId = body.user.id;
+
+    const teamId = meta.teamId || body.team?.id || body.team_id;
+    const channelId = meta.channelId || "";
+    const parentTs = meta.msgTs || "";
+
+    const description =
+      view.state.values.desc?.desc_input?.value?.trim() ||
+      meta.messageTextPretty ||
+      meta.messageText ||
+      "";
 
     const selectedUsers =
       view.state.values.assignee_users?.assignee_users_select?.selected_users ||
@@ -3467,10 +6388,12 @@ app.view("task_modal", async ({ ack, body, view, client }) => {
       .filter(Boolean);
 
     const due = view.state.values.due?.due_date?.selected_date || null;
+    const dueTime = due ? readDueTime(view) : null;
     //const status = view.state.values.status?.status_select?.selected_option?.value || "open";
-    // （B方針）作成時ステータスは in_progress 固定（迷わせない）
-    const status = "in_progress";
     const requesterUserId = meta.requesterUserId || actorUserId;
+    const recurrenceRule = readRecurrenceRule(view);
+    const priority = readPriority(view);
+    const tags = readTags(view);
 
     if (!selectedUsers.length && !selectedGroupIds.length) {
       // Phase8-2: 対応者（個人 or グループ）必須。モーダル内エラー表示で送信をブロックする
@@ -3491,245 +6414,603 @@ app.view("task_modal", async ({ ack, body, view, client }) => {
     // Phase8-2: バリデーション通過後にack（このハンドラ内でackは1回のみ）
     await ack();
 
-    // Expand group members
-    const { users: groupUsers, groupHandles } = await expandTargetsFromGroups(
+    const created = await createTaskFromInput(client, {
       teamId,
+      actorUserId,
+      requesterUserId,
+      channelId,
+      parentTs,
+      description,
+      selectedUsers,
       selectedGroupIds,
-    );
-
-    // targets = selectedUsers + groupUsers
-    const targets = new Set();
-    for (const u of selectedUsers) targets.add(u);
-    for (const u of groupUsers) targets.add(u);
-
-    const targetList = Array.from(targets);
-
-    const isPersonal = targetList.length === 1 && selectedGroupIds.length === 0;
-    const taskType = isPersonal ? "personal" : "broadcast";
-
-    // label for display (no mention)
-    // - broadcastは「選択された対象（個人/グループ）」だけをラベル化（グループの全員は展開しない）
-    // - メンション通知を避けるため、表示は noMention() を通す
-    const labelParts = [];
-    for (const gidHandle of groupHandles)
-      labelParts.push(`@${String(gidHandle).replace(/^@/, "")}`);
-    for (const u of selectedUsers) {
-      const name = await getUserDisplayName(teamId, u);
-      labelParts.push(`@${name}`);
-    }
-    const assigneeLabelRaw = labelParts.join(" ");
-
-    // dept resolve (A): requester + (personalのみ assignee)
-    const requesterDept = await resolveDeptForUser(teamId, requesterUserId);
-    const personalAssigneeId = isPersonal ? targetList[0] : null;
-    const assigneeDept = isPersonal
-      ? await resolveDeptForUser(teamId, personalAssigneeId)
-      : null;
+      due,
+      priority,
+      tags,
+      dueTime,
+      dueTz: dueTime ? await getUserTimezone(teamId, actorUserId) : null,
+      sourceText: meta.messageText || "",
+    });
 
-    let permalink = "";
-    if (channelId && parentTs) {
-      try {
-        const r = await client.chat.getPermalink({
-          channel: channelId,
-          message_ts: parentTs,
-        });
-        permalink = r?.permalink || "";
-      } catch (_) {}
+    // 繰り返し：このタスクをテンプレートにして次回以降を自動生成
+    if (created && recurrenceRule !== RECURRENCE_NONE) {
+      await createScheduleForTask({
+        teamId,
+        task: created,
+        rule: recurrenceRule,
+        actorUserId,
+        selectedUsers,
+        selectedGroupIds,
+      });
     }
+  } catch (e) {
+    console.error("view submit error:", e?.data || e);
+  }
+});
+
+// ================================
+// Slash command: /task（add / list / done / help）
+// ================================
+const TASK_SHORT_ID_LEN = 8;
 
-    const taskId = randomUUID();
+function shortTaskId(taskId) {
+  return String(taskId || "").slice(0, TASK_SHORT_ID_LEN);
+}
 
-    const created = await dbCreateTask({
-      id: taskId,
-      team_id: teamId,
-      channel_id: channelId || null,
-      message_ts: parentTs || null,
-      source_permalink: permalink || null,
-      title,
-      description,
-      requester_user_id: requesterUserId,
-      created_by_user_id: actorUserId,
-      assignee_id: personalAssigneeId,
-      assignee_label: assigneeLabelRaw || null,
-      status,
-      due_date: due,
-      requester_dept: requesterDept,
-      assignee_dept: assigneeDept,
-      task_type: taskType,
-      broadcast_group_handle: groupHandles.length
-        ? `@${groupHandles[0]}`
-        : null,
-      broadcast_group_id: selectedGroupIds.length ? selectedGroupIds[0] : null,
-      total_count: taskType === "broadcast" ? targetList.length : null,
-      completed_count: 0,
-      notified_at: null,
-    });
+async function dbFindTasksByShortId(teamId, shortId, limit = 2) {
+  const prefix = String(shortId || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f-]/g, "");
+  if (!prefix) return [];
+  const q = `
+    SELECT * FROM tasks
+    WHERE team_id=$1 AND id LIKE $2
+    ORDER BY created_at DESC
+    LIMIT $3;
+  `;
+  const res = await dbQuery(q, [teamId, `${prefix}%`, limit]);
+  return res.rows || [];
+}
 
-    // broadcast: snapshot targets
-    if (taskType === "broadcast") {
-      await dbInsertTaskTargets(teamId, taskId, targetList);
-      const total = await dbCountTargets(teamId, taskId);
-      await dbUpdateBroadcastCounts(teamId, taskId, 0, total);
-      created.total_count = total;
-      created.completed_count = 0;
-    }
+// JSTの YYYY-MM-DD に n 日足す
+function addDaysYmd(ymd, n) {
+  const [y, m, d] = String(ymd).split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + n));
+  return dt.toISOString().slice(0, 10);
+}
 
-    // ① 発行通知（personal / broadcast）
-    // - 自分が発行して自分が対象の場合は通知しない（うるささ回避）
-    try {
-      if (taskType === "personal") {
-        const to = personalAssigneeId;
-        if (to && to !== actorUserId) {
-          await notifyTaskSimpleDM(to, created, "📝 タスクが届いたよ");
-        }
-      } else if (taskType === "broadcast") {
-        // 対象者へ通知（必要ならここで数が多い場合は抑止もできる）
-        const targets = (targetList || []).filter(
-          (u) => u && u !== actorUserId,
-        );
-        for (const uid of targets) {
-          await notifyTaskSimpleDM(uid, created, "📝 タスクが届いたよ");
-        }
-      }
-    } catch (e) {
-      console.error("create notify error:", e?.data || e);
-    }
+// ================================
+// 期限の自然文パース（JST）
+// - 「明日まで」「金曜までに」「3/15締切」「来週中」「月末」など
+// - 本文から拾うときは「まで/締切」付きを優先、なければ最初に出てきたもの
+// - 「1/2」だけは分数/バージョンと紛らわしいので、本文では 締切/まで/期限 が付いたときだけ
+// ================================
+const DUE_SUFFIX_SRC =
+  "(?:までに|まで|締切|締め切り|〆切|〆|期限|中|いっぱい)?";
+const WEEKDAY_CHARS = "日月火水木金土";
 
-    // broadcast creation notify: allow mention (only once)
-    if (taskType === "broadcast" && channelId) {
-      try {
-        const mentionParts = [];
-        // usergroups: ensure mention works using subteam token
-        const idToHandle = await getSubteamIdMap(teamId);
-        for (const gid of selectedGroupIds) {
-          const handle = idToHandle.get(gid);
-          if (handle) mentionParts.push(`<!subteam^${gid}|@${handle}>`);
-        }
-        // users: normal mention
-        for (const u of selectedUsers) mentionParts.push(`<@${u}>`);
-      } catch (e) {
-        if (e?.data?.error === "not_in_channel") {
-          await safeEphemeral(
-            client,
-            channelId,
-            actorUserId,
-            "🥺 このチャンネルにボットが参加してないよ…！ `/invite @アプリ名` してから試してね✨",
-          );
-        } else {
-          console.error("broadcast notify error:", e?.data || e);
+// その週の月曜（週は月曜始まり）
+function mondayOfWeekYmd(ymd) {
+  return addDaysYmd(ymd, -((dayOfWeekYmd(ymd) + 6) % 7));
+}
+
+function validYmd(y, m, d) {
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= lastDayOfMonth(y, m))) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// 年なしの M/D は「今日以降で一番近い日付」（過ぎていれば来年）
+function nearestMonthDayYmd(today, m, d) {
+  const year = ymdParts(today).y;
+  const ymd = validYmd(year, m, d);
+  if (!ymd) return null;
+  return ymd >= today ? ymd : validYmd(year + 1, m, d);
+}
+
+const DUE_PHRASE_RULES = [
+  {
+    src: "(?<!\\d)(\\d{4})[-/年](\\d{1,2})[-/月](\\d{1,2})日?",
+    resolve: (m) => validYmd(Number(m[1]), Number(m[2]), Number(m[3])),
+  },
+  {
+    src: "(?<![\\d/])(\\d{1,2})月(\\d{1,2})(?!\\d)日?",
+    resolve: (m, today) =>
+      nearestMonthDayYmd(today, Number(m[1]), Number(m[2])),
+  },
+  {
+    src: "(?<![\\d/.])(\\d{1,2})/(\\d{1,2})(?![\\d/])",
+    needsDeadline: true,
+    resolve: (m, today) =>
+      nearestMonthDayYmd(today, Number(m[1]), Number(m[2])),
+  },
+  { src: "今日|本日", resolve: (m, today) => today },
+  { src: "明後日|あさって", resolve: (m, today) => addDaysYmd(today, 2) },
+  { src: "明日|あした", resolve: (m, today) => addDaysYmd(today, 1) },
+  {
+    src: "(?<!\\d)(\\d{1,2})日(?:後|以内)",
+    resolve: (m, today) => addDaysYmd(today, Number(m[1])),
+  },
+  {
+    // 「来週の月曜」も OK。曜日だけで今日と同じ曜日なら来週（今日なら「今日」と書くはず）
+    src: `(?:(今週|来週|再来週)の?)?([${WEEKDAY_CHARS}])曜日?`,
+    resolve: (m, today) => {
+      const dow = WEEKDAY_CHARS.indexOf(m[2]);
+      if (!m[1]) {
+        return addDaysYmd(today, (dow - dayOfWeekYmd(today) + 7) % 7 || 7);
+      }
+      const weeks = { 今週: 0, 来週: 1, 再来週: 2 }[m[1]];
+      const ymd = addDaysYmd(
+        mondayOfWeekYmd(today),
+        weeks * 7 + ((dow + 6) % 7),
+      );
+      return ymd >= today ? ymd : today;
+    },
+  },
+  {
+    // 週の締めは金曜
+    src: "(今週|来週|再来週)(?:中|末|いっぱい)",
+    resolve: (m, today) => {
+      const weeks = { 今週: 0, 来週: 1, 再来週: 2 }[m[1]];
+      const ymd = addDaysYmd(mondayOfWeekYmd(today), weeks * 7 + 4);
+      return ymd >= today ? ymd : today;
+    },
+  },
+  {
+    src: "週明け",
+    resolve: (m, today) => addDaysYmd(mondayOfWeekYmd(today), 7),
+  },
+  {
+    src: "(今月|来月)(?:末|中|いっぱい)|月末",
+    resolve: (m, today) => {
+      let { y, m: mon } = ymdParts(today);
+      if (m[1] === "来月") {
+        mon += 1;
+        if (mon > 12) {
+          mon = 1;
+          y += 1;
         }
       }
-    }
+      return validYmd(y, mon, lastDayOfMonth(y, mon));
+    },
+  },
+  {
+    // 「15日まで」：日付だけ（過ぎていれば来月）
+    src: "(?<![\\d/月])(\\d{1,2})日(?=までに|まで|締切|締め切り|〆)",
+    resolve: (m, today) => {
+      const { y, m: mon, d } = ymdParts(today);
+      const day = Number(m[1]);
+      if (day >= d) return validYmd(y, mon, day);
+      return mon === 12 ? validYmd(y + 1, 1, day) : validYmd(y, mon + 1, day);
+    },
+  },
+].map((r) => ({
+  ...r,
+  re: new RegExp(`(?:${r.src})${DUE_SUFFIX_SRC}`, "g"),
+  whole: new RegExp(`^(?:${r.src})${DUE_SUFFIX_SRC}$`),
+}));
+
+const DUE_DEADLINE_SUFFIX_RE =
+  /(までに|まで|締切|締め切り|〆切|〆|期限|中|末|いっぱい)$/;
+
+// 「1/2」用：後ろに 締切/まで/期限、または前に「期限：」「締切 」
+const DUE_STRICT_SUFFIX_RE = /(までに|まで|締切|締め切り|〆切|〆|期限)$/;
+const DUE_STRICT_PREFIX_RE = /(期限|締切|締め切り|〆切)(?:は)?[:：\s]*$/;
+
+function normalizeDueText(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/<[^>]*>/g, " ");
+}
 
-    // thread card
-    if (created?.channel_id && created?.message_ts) {
-      try {
-        const blocks = await buildThreadCardBlocks({ teamId, task: created });
-        if (!created.channel_id?.startsWith("D")) {
-          await upsertThreadCard(client, {
-            teamId,
-            channelId,
-            parentTs,
-            blocks,
-          });
-        }
-      } catch (e) {
-        if (e?.data?.error === "not_in_channel") {
-          await safeEphemeral(
-            client,
-            channelId,
-            actorUserId,
-            "🥺 このチャンネルにボットが参加してないよ…！ `/invite @アプリ名` してから試してね✨",
-          );
-        } else {
-          console.error("thread card error:", e?.data || e);
-        }
+// 本文から期限を拾う → { ymd, phrase } / 見つからなければ null
+function detectDueDate(text, today = todayJstYmd()) {
+  const s = normalizeDueText(text);
+  const hits = [];
+  for (const rule of DUE_PHRASE_RULES) {
+    for (const m of s.matchAll(rule.re)) {
+      if (
+        rule.needsDeadline &&
+        !DUE_STRICT_SUFFIX_RE.test(m[0]) &&
+        !DUE_STRICT_PREFIX_RE.test(s.slice(Math.max(0, m.index - 8), m.index))
+      ) {
+        continue;
       }
+      const ymd = rule.resolve(m, today);
+      if (ymd) hits.push({ ymd, phrase: m[0], index: m.index });
     }
-
-    // Home refresh（スマホ反映対策：関係者＋対象者へ再描画）
-    publishHomeForUsers(client, teamId, [
-      actorUserId,
-      requesterUserId,
-      ...targetList,
-    ]);
-  } catch (e) {
-    console.error("view submit error:", e?.data || e);
   }
-});
+  if (!hits.length) return null;
+
+  // 「まで/締切」付きを優先 → 先に出てきた順 → 長い表現
+  hits.sort(
+    (a, b) =>
+      Number(DUE_DEADLINE_SUFFIX_RE.test(b.phrase)) -
+        Number(DUE_DEADLINE_SUFFIX_RE.test(a.phrase)) ||
+      a.index - b.index ||
+      b.phrase.length - a.phrase.length,
+  );
+  const { ymd, phrase } = hits[0];
+  return { ymd, phrase };
+}
 
-// ================================
-// Actions
-// ================================
-app.action("open_detail_modal", async ({ ack, body, action, client }) => {
-  await ack();
-  const p = safeJsonParse(action.value || "{}") || {};
-  const teamId = p.teamId || body.team?.id || body.team_id;
-  const taskId = p.taskId;
-  const origin = p.origin || "home";
-  if (!teamId || !taskId) return;
+// 画面に出す「どこから拾ったか」
+function dueDetectedNote(duePhrase) {
+  return duePhrase ? `本文の「${duePhrase}」から` : "本文に期限なし → 今日";
+}
 
-  try {
-    await openDetailModal(client, {
-      trigger_id: body.trigger_id,
-      teamId,
-      taskId,
-      viewerUserId: body.user.id,
-      origin,
-      isFromModal: body.view?.type === "modal",
-    });
-  } catch (e) {
-    console.error("open_detail_modal error:", e?.data || e);
+// 期限トークン（/task add の1語）：上の表現と完全一致したときだけ
+function parseDueToken(token) {
+  const t = String(token || "")
+    .normalize("NFKC")
+    .trim();
+  if (!t) return null;
+
+  const today = todayJstYmd();
+  for (const rule of DUE_PHRASE_RULES) {
+    const m = t.match(rule.whole);
+    if (!m) continue;
+    const ymd = rule.resolve(m, today);
+    if (ymd) return ymd;
   }
-});
+  return null;
+}
 
-app.action("noop", async ({ ack }) => {
-  await ack();
-});
+// /task add の引数を 対応者（個人/グループ）・期限・本文 に分ける
+async function parseTaskAddArgs(teamId, text) {
+  let rest = String(text || "");
+  const selectedUsers = [];
+  const selectedGroupIds = [];
 
-app.action("my_tasks_scope_select", async ({ ack, body, client }) => {
-  await ack();
-  try {
-    const teamId = getTeamIdFromBody(body);
-    const userId = getUserIdFromBody(body);
-    const selected = body.actions?.[0]?.selected_option?.value || "to_me";
+  rest = rest.replace(/<@([A-Z0-9]+)(?:\|[^>]+)?>/g, (m, uid) => {
+    if (!selectedUsers.includes(uid)) selectedUsers.push(uid);
+    return " ";
+  });
+  rest = rest.replace(/<!subteam\^([A-Z0-9]+)(?:\|[^>]+)?>/g, (m, gid) => {
+    if (!selectedGroupIds.includes(gid)) selectedGroupIds.push(gid);
+    return " ";
+  });
 
-    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
-    const scopeKey = meta.scopeKey || "active";
+  const tokens = rest.split(/\s+/).filter(Boolean);
+  const remaining = [];
+  let due = null;
+  let duePhrase = "";
+  let dueTime = null;
+  let users = null;
+
+  for (const tok of tokens) {
+    // エスケープされていない @name は表示名で解決（見つからなければ本文扱い）
+    if (/^[@＠]\S+/.test(tok)) {
+      users = users || (await listUsersCached(teamId));
+      const name = tok.replace(/^[@＠]/, "").toLowerCase();
+      const hit = users.find((u) => String(u.name).toLowerCase() === name);
+      if (hit) {
+        if (!selectedUsers.includes(hit.id)) selectedUsers.push(hit.id);
+        continue;
+      }
+    }
+    // 「15:00」「17時まで」などは期限の時刻
+    if (!dueTime) {
+      const hm = normalizeDueTime(tok.replace(/(までに|まで)$/, ""));
+      if (hm) {
+        dueTime = hm;
+        continue;
+      }
+    }
+    if (!due) {
+      const ymd = parseDueToken(tok);
+      if (ymd) {
+        due = ymd;
+        duePhrase = tok;
+        continue;
+      }
+    }
+    remaining.push(tok);
+  }
 
-    const view = await buildTaskListModalView({
-      teamId,
-      userId,
-      rangeKey: selected,
-      scopeKey,
-    });
+  const description = remaining.join(" ").trim();
 
-    await client.views.update({
-      view_id: body.view.id,
-      hash: body.view.hash,
-      view,
-    });
-  } catch (e) {
-    console.error("my_tasks_scope_select error:", e?.data || e);
+  // 1語で取れなければ本文（「3/15締切で」など）から拾う（本文はそのまま残す）
+  if (!due) {
+    const hit = detectDueDate(description);
+    if (hit) ({ ymd: due, phrase: duePhrase } = hit);
   }
-});
 
-app.action("my_tasks_status_select", async ({ ack, body, client }) => {
-  await ack();
-  try {
-    const teamId = getTeamIdFromBody(body);
-    const userId = getUserIdFromBody(body);
-    const selected = body.actions?.[0]?.selected_option?.value || "active";
+  return {
+    selectedUsers,
+    selectedGroupIds,
+    due,
+    duePhrase,
+    dueTime,
+    description,
+  };
+}
 
-    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
-    const rangeKey = meta.rangeKey || "to_me";
-    const view = await buildTaskListModalView({
-      teamId,
-      userId,
-      rangeKey,
-      scopeKey: selected,
+const TASK_COMMAND_HELP = [
+  "*📝 /task の使い方*",
+  "• `/task add @ユーザー 明日まで 資料作成` … タスクを作成（対応者省略で自分、期限省略で今日）",
+  "　期限は「金曜まで」「3/15締切」「来週中」「月末」なども OK、時刻は「15:00」「17時まで」",
+  "• `/task list` … 自分あての未完了タスク一覧",
+  "• `/task done <ID>` … タスクを完了（IDは一覧に出る8文字）",
+  "• `/task help` … このヘルプ",
+].join("\n");
+
+async function handleTaskAddCommand({ client, respond, teamId, userId, args }) {
+  const parsed = await parseTaskAddArgs(teamId, args);
+  if (!parsed.description) {
+    await respond({
+      text: "🥺 タスクの内容を書いてね！ 例：`/task add @ユーザー 明日まで 資料作成`",
     });
-
+    return;
+  }
+
+  const selectedUsers =
+    parsed.selectedUsers.length || parsed.selectedGroupIds.length
+      ? parsed.selectedUsers
+      : [userId];
+
+  // task_modal と同じ作成経路（通知/Home再描画も同じ）
+  const created = await createTaskFromInput(client, {
+    teamId,
+    actorUserId: userId,
+    requesterUserId: userId,
+    description: parsed.description,
+    selectedUsers,
+    selectedGroupIds: parsed.selectedGroupIds,
+    due: parsed.due || todayJstYmd(),
+    dueTime: parsed.dueTime,
+    dueTz: parsed.dueTime ? await getUserTimezone(teamId, userId) : null,
+  });
+  await loadTeamAbsences(teamId);
+
+  await respond({
+    text: `📝 タスクを作成したよ：${noMention(created.title)}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `📝 *タスクを作成したよ*\n*${noMention(created.title)}*\n対応者：${assigneeDisplay(created)}　期限：${formatTaskDue(created)}（${dueDetectedNote(parsed.duePhrase)}）　ID：\`${shortTaskId(created.id)}\``,
+        },
+        accessory: {
+          type: "button",
+          text: { type: "plain_text", text: "詳細" },
+          action_id: "open_detail_modal",
+          value: JSON.stringify({ teamId, taskId: created.id }),
+        },
+      },
+    ],
+  });
+}
+
+async function handleTaskListCommand({ client, respond, teamId, userId }) {
+  const LIST_MAX = 20;
+  const tasks = await fetchHomeTasks({
+    client,
+    teamId,
+    userId,
+    rangeKey: "to_me",
+    statuses: ACTIVE_STATUSES,
+    limit: LIST_MAX,
+  });
+
+  if (!tasks.length) {
+    await respond({ text: "🎉 自分あての未完了タスクはないよ！" });
+    return;
+  }
+  await loadTeamAbsences(teamId);
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*📋 自分あての未完了タスク（${tasks.length}件）*`,
+      },
+    },
+    { type: "divider" },
+  ];
+
+  for (const t of tasks.slice(0, LIST_MAX)) {
+    const line = taskLineForHome(
+      t,
+      t.task_type === "broadcast" ? "broadcast" : "personal",
+    )
+      .replace(/\n+/g, " ")
+      .slice(0, 120);
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `\`${shortTaskId(t.id)}\` ${line}\n対応者：${t.task_type === "broadcast" || t.assignee_id ? assigneeDisplay(t) : "-"}　期限：${formatTaskDue(t)}`,
+      },
+      accessory: {
+        type: "button",
+        text: { type: "plain_text", text: "詳細" },
+        action_id: "open_detail_modal",
+        value: JSON.stringify({ teamId, taskId: t.id }),
+      },
+    });
+  }
+
+  blocks.push({
+    type: "context",
+    elements: [
+      { type: "mrkdwn", text: "✅ 完了は `/task done <ID>` でできるよ" },
+    ],
+  });
+
+  await respond({ text: "自分あての未完了タスク", blocks });
+}
+
+async function handleTaskDoneCommand({
+  client,
+  respond,
+  teamId,
+  userId,
+  args,
+}) {
+  const shortId = String(args || "")
+    .trim()
+    .split(/\s+/)[0];
+  if (!shortId) {
+    await respond({ text: "🥺 IDを指定してね！ 例：`/task done 1a2b3c4d`" });
+    return;
+  }
+
+  const found = await dbFindTasksByShortId(teamId, shortId);
+  if (!found.length) {
+    await respond({ text: `🥺 ID \`${shortId}\` のタスクが見つからないよ…` });
+    return;
+  }
+  if (found.length > 1) {
+    await respond({
+      text: `🥺 ID \`${shortId}\` に当てはまるタスクが複数あるよ。もう少し長く指定してね`,
+    });
+    return;
+  }
+
+  const task = found[0];
+  if (task.status === "done" || task.status === "cancelled") {
+    await respond({ text: "もう完了（または取り下げ）になってるよ！" });
+    return;
+  }
+
+  // personal は詳細画面と同じく依頼者/対応者のみ
+  if (
+    task.task_type !== "broadcast" &&
+    userId !== task.requester_user_id &&
+    userId !== task.assignee_id
+  ) {
+    await respond({
+      text: "🥺 完了にできるのは依頼者か対応者だけだよ…！",
+    });
+    return;
+  }
+
+  const result = await completeTaskByUser(client, {
+    teamId,
+    taskId: task.id,
+    userId,
+  });
+  if (!result.ok) {
+    await respond({
+      text:
+        result.reason === "not_target"
+          ? "🥺 このタスクの対象者じゃないみたい…！"
+          : "🥺 完了にできませんでした…",
+    });
+    return;
+  }
+
+  await respond({
+    text:
+      task.task_type === "broadcast"
+        ? `✅ 自分の分を完了にしたよ：${noMention(task.title)}`
+        : `✅ 完了にしたよ：${noMention(task.title)}`,
+  });
+}
+
+app.command("/task", async ({ command, ack, respond, client }) => {
+  await ack();
+
+  const teamId = command.team_id;
+  const userId = command.user_id;
+  const text = String(command.text || "").trim();
+  const [sub = "help"] = text.split(/\s+/);
+  const args = text.slice(sub.length).trim();
+
+  try {
+    if (sub === "add") {
+      await handleTaskAddCommand({ client, respond, teamId, userId, args });
+    } else if (sub === "list") {
+      await handleTaskListCommand({ client, respond, teamId, userId });
+    } else if (sub === "done") {
+      await handleTaskDoneCommand({ client, respond, teamId, userId, args });
+    } else {
+      await respond({ text: TASK_COMMAND_HELP });
+    }
+  } catch (e) {
+    console.error("/task command error:", e?.data || e);
+    await respond({
+      text: "🥺 うまく処理できませんでした…もう一度お試しください。",
+    });
+  }
+});
+
+// ================================
+// Actions
+// ================================
+app.action("open_detail_modal", async ({ ack, body, action, client }) => {
+  await ack();
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || body.team?.id || body.team_id;
+  const taskId = p.taskId;
+  const origin = p.origin || "home";
+  if (!teamId || !taskId) return;
+
+  try {
+    await openDetailModal(client, {
+      trigger_id: body.trigger_id,
+      teamId,
+      taskId,
+      viewerUserId: body.user.id,
+      origin,
+      isFromModal: body.view?.type === "modal",
+    });
+  } catch (e) {
+    console.error("open_detail_modal error:", e?.data || e);
+  }
+});
+
+app.action("noop", async ({ ack }) => {
+  await ack();
+});
+
+app.action("my_tasks_scope_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = body.actions?.[0]?.selected_option?.value || "to_me";
+
+    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+    const scopeKey = meta.scopeKey || "active";
+
+    const view = await buildTaskListModalView({
+      teamId,
+      userId,
+      rangeKey: selected,
+      scopeKey,
+      tagKeys: meta.tagKeys || [],
+    });
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view,
+    });
+  } catch (e) {
+    console.error("my_tasks_scope_select error:", e?.data || e);
+  }
+});
+
+app.action("my_tasks_status_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = body.actions?.[0]?.selected_option?.value || "active";
+
+    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+    const rangeKey = meta.rangeKey || "to_me";
+    const view = await buildTaskListModalView({
+      teamId,
+      userId,
+      rangeKey,
+      scopeKey: selected,
+      tagKeys: meta.tagKeys || [],
+    });
+
     await client.views.update({
       view_id: body.view.id,
       hash: body.view.hash,
@@ -3740,6 +7021,34 @@ app.action("my_tasks_status_select", async ({ ack, body, client }) => {
   }
 });
 
+app.action("list_tag_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = (body.actions?.[0]?.selected_options || []).map(
+      (o) => o.value,
+    );
+
+    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+    const view = await buildTaskListModalView({
+      teamId,
+      userId,
+      rangeKey: meta.rangeKey || "to_me",
+      scopeKey: meta.scopeKey || "active",
+      tagKeys: normalizeTags(selected),
+    });
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view,
+    });
+  } catch (e) {
+    console.error("list_tag_select error:", e?.data || e);
+  }
+});
+
 // 一覧を開く（作成完了エフェメラル等から）
 app.action("open_task_list_modal", async ({ ack, body, client }) => {
   await ack();
@@ -3772,7 +7081,7 @@ app.action("home_view_select", async ({ ack, body, client }) => {
     const userId = getUserIdFromBody(body);
 
     // ★表示は固定（保険：過去UIのイベントが飛んでも all に寄せる）
-    setHomeState(teamId, userId, { viewKey: "all" });
+    await setHomeState(teamId, userId, { viewKey: "all" });
 
     await publishHome({ client, teamId, userId });
   } catch (e) {
@@ -3787,7 +7096,7 @@ app.action("home_person_assignee_select", async ({ ack, body, client }) => {
     const userId = getUserIdFromBody(body);
     const selectedUser = body.actions?.[0]?.selected_option?.value || userId;
 
-    setHomeState(teamId, userId, { assigneeUserId: selectedUser });
+    await setHomeState(teamId, userId, { assigneeUserId: selectedUser });
     await publishHome({ client, teamId, userId });
   } catch (e) {
     console.error("home_person_assignee_select error:", e?.data || e);
@@ -3800,7 +7109,7 @@ app.action("home_person_assignee_clear", async ({ ack, body, client }) => {
   try {
     const teamId = getTeamIdFromBody(body);
     const userId = getUserIdFromBody(body);
-    setHomeState(teamId, userId, { assigneeUserId: null });
+    await setHomeState(teamId, userId, { assigneeUserId: null });
     await publishHome({ client, teamId, userId });
   } catch (e) {
     console.error("home_person_assignee_clear error:", e?.data || e);
@@ -3814,13 +7123,43 @@ app.action("home_scope_select", async ({ ack, body, client }) => {
     const userId = getUserIdFromBody(body);
     const selected = body.actions?.[0]?.selected_option?.value || "active";
 
-    setHomeState(teamId, userId, { scopeKey: selected });
+    await setHomeState(teamId, userId, { scopeKey: selected });
     await publishHome({ client, teamId, userId });
   } catch (e) {
     console.error("home_scope_select error:", e?.data || e);
   }
 });
 
+app.action("home_tag_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = (body.actions?.[0]?.selected_options || []).map(
+      (o) => o.value,
+    );
+
+    await setHomeState(teamId, userId, { tagKeys: normalizeTags(selected) });
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_tag_select error:", e?.data || e);
+  }
+});
+
+app.action("home_priority_select", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const selected = body.actions?.[0]?.selected_option?.value || "all";
+
+    await setHomeState(teamId, userId, { priorityKey: selected });
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_priority_select error:", e?.data || e);
+  }
+});
+
 app.action("home_dept_select", async ({ ack, body, client }) => {
   await ack();
   try {
@@ -3828,7 +7167,10 @@ app.action("home_dept_select", async ({ ack, body, client }) => {
     const userId = getUserIdFromBody(body);
     const selected = body.actions?.[0]?.selected_option?.value || "all";
 
-    setHomeState(teamId, userId, { deptKey: selected, assigneeUserId: null });
+    await setHomeState(teamId, userId, {
+      deptKey: selected,
+      assigneeUserId: null,
+    });
     await publishHome({ client, teamId, userId });
   } catch (e) {
     console.error("home_dept_select error:", e?.data || e);
@@ -3845,7 +7187,7 @@ app.action("home_broadcast_scope_select", async ({ ack, body, client }) => {
 
     // ★範囲は共通キーとして使う（表示は常に all）
     // ★範囲が all 以外なら dept は意味が薄いので初期化しておく
-    setHomeState(teamId, userId, {
+    await setHomeState(teamId, userId, {
       viewKey: "all",
       broadcastScopeKey: selected,
       personalScopeKey: selected,
@@ -3865,7 +7207,7 @@ app.action("home_reset_filters", async ({ ack, body, client }) => {
     const teamId = getTeamIdFromBody(body);
     const userId = getUserIdFromBody(body);
 
-    setHomeState(teamId, userId, {
+    await setHomeState(teamId, userId, {
       viewKey: "all",
       scopeKey: "active",
       personalScopeKey: "to_me",
@@ -3890,10 +7232,10 @@ app.action("home_personal_scope_select", async ({ ack, body, client }) => {
 
     if (selected === "all") {
       // すべて：検索UIが有効（dept/assignee）
-      setHomeState(teamId, userId, { personalScopeKey: "all" });
+      await setHomeState(teamId, userId, { personalScopeKey: "all" });
     } else {
       // すべて以外：隠れフィルタ事故を防ぐため検索条件をリセット
-      setHomeState(teamId, userId, {
+      await setHomeState(teamId, userId, {
         personalScopeKey: selected,
         deptKey: "all",
         assigneeUserId: userId,
@@ -3906,41 +7248,168 @@ app.action("home_personal_scope_select", async ({ ack, body, client }) => {
   }
 });
 
-// overflow menu (home/list modal): open detail
-app.action("task_row_overflow", async ({ ack, body, action, client }) => {
+// Home: プリセット切り替え
+app.action("home_preset_select", async ({ ack, body, client }) => {
   await ack();
   try {
-    const picked = action?.selected_option?.value || "";
-    const p = safeJsonParse(picked) || {};
-    const teamId = p.teamId || body.team?.id || body.team_id;
-    const taskId = p.taskId;
-    const origin = p.origin || "home";
-    if (!teamId || !taskId) return;
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const presetId = body.actions?.[0]?.selected_option?.value;
+    if (!teamId || !userId || !presetId) return;
 
-    // 一覧モーダル内なら、同一モーダルを詳細表示へ更新（既存 open_detail_in_list と同等）
-    if (origin === "list_modal" && body.view?.id) {
-      const listMeta = safeJsonParse(body.view?.private_metadata || "{}") || {};
-      const returnState = {
-        viewType: listMeta.viewType || "assigned",
-        userId: listMeta.userId || body.user.id,
-        status: listMeta.status || "open",
-        deptKey: listMeta.deptKey || "all",
-      };
+    const preset = await dbGetHomePreset(teamId, userId, presetId);
+    if (!preset) return;
 
-      const task = await dbGetTaskById(teamId, taskId);
-      if (!task) return;
+    await setHomeState(teamId, userId, {
+      ...pickPresetPrefs(preset.prefs),
+      assigneeUserId: userId,
+    });
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_preset_select error:", e?.data || e);
+  }
+});
 
-      const nextView = await buildListDetailView({
-        teamId,
-        task,
-        returnState,
-        viewerUserId: body.user.id,
-      });
+// Home: 今の条件をプリセットとして保存（名前入力モーダル）
+app.action("home_preset_save", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    if (!teamId || !userId) return;
 
-      await client.views.update({
-        view_id: body.view.id,
-        hash: body.view.hash,
-        view: nextView,
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "home_preset_save_modal",
+        private_metadata: JSON.stringify({ teamId, userId }),
+        title: { type: "plain_text", text: "プリセット保存" },
+        submit: { type: "plain_text", text: "保存" },
+        close: { type: "plain_text", text: "キャンセル" },
+        blocks: [
+          {
+            type: "input",
+            block_id: "name",
+            label: { type: "plain_text", text: "プリセット名" },
+            element: {
+              type: "plain_text_input",
+              action_id: "name_input",
+              max_length: 50,
+              placeholder: {
+                type: "plain_text",
+                text: "例：自部署の未完了",
+              },
+            },
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: "💡 いまHomeで選んでいる 範囲/部署/状態 を保存します（同じ名前は上書き）。",
+              },
+            ],
+          },
+        ],
+      },
+    });
+  } catch (e) {
+    console.error("home_preset_save error:", e?.data || e);
+  }
+});
+
+app.view("home_preset_save_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const name = (view.state.values.name?.name_input?.value || "").trim();
+
+  if (!name) {
+    await ack({
+      response_action: "errors",
+      errors: { name: "プリセット名を入力してください" },
+    });
+    return;
+  }
+
+  try {
+    const presets = await dbListHomePresets(teamId, userId);
+    const overwrite = presets.some((p) => p.name === name);
+    if (
+      !overwrite &&
+      (await dbCountHomePresets(teamId, userId)) >= HOME_PRESET_MAX
+    ) {
+      await ack({
+        response_action: "errors",
+        errors: {
+          name: `プリセットは${HOME_PRESET_MAX}件までです（不要なものを削除してね）`,
+        },
+      });
+      return;
+    }
+
+    await ack();
+
+    const st = await getHomeState(teamId, userId);
+    await dbUpsertHomePreset(teamId, userId, name, pickPresetPrefs(st));
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_preset_save_modal error:", e?.data || e);
+  }
+});
+
+// Home: プリセット削除（いま適用中のもの）
+app.action("home_preset_delete", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    if (!teamId || !userId || !p.presetId) return;
+
+    await dbDeleteHomePreset(teamId, userId, p.presetId);
+    await publishHome({ client, teamId, userId });
+  } catch (e) {
+    console.error("home_preset_delete error:", e?.data || e);
+  }
+});
+
+// overflow menu (home/list modal): open detail
+app.action("task_row_overflow", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const picked = action?.selected_option?.value || "";
+    const p = safeJsonParse(picked) || {};
+    const teamId = p.teamId || body.team?.id || body.team_id;
+    const taskId = p.taskId;
+    const origin = p.origin || "home";
+    if (!teamId || !taskId) return;
+
+    // 一覧モーダル内なら、同一モーダルを詳細表示へ更新（既存 open_detail_in_list と同等）
+    if (origin === "list_modal" && body.view?.id) {
+      const listMeta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+      const returnState = {
+        viewType: listMeta.viewType || "assigned",
+        userId: listMeta.userId || body.user.id,
+        status: listMeta.status || "open",
+        deptKey: listMeta.deptKey || "all",
+      };
+
+      const task = await dbGetTaskById(teamId, taskId);
+      if (!task) return;
+
+      const nextView = await buildListDetailView({
+        teamId,
+        task,
+        returnState,
+        viewerUserId: body.user.id,
+      });
+
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: nextView,
       });
       return;
     }
@@ -4001,17 +7470,7 @@ app.action("home_create_task", async ({ ack, body, client }) => {
           },
 
           // 対応者（個人：複数OK）
-          {
-            type: "input",
-            optional: true,
-            block_id: "assignee_users",
-            label: { type: "plain_text", text: "対応者（個人・複数OK）" },
-            element: {
-              type: "multi_users_select",
-              action_id: "assignee_users_select",
-              placeholder: { type: "plain_text", text: "ユーザーを選択" },
-            },
-          },
+          assigneeUsersInputBlock(),
 
           // 対応者（グループ：@ALL-xxx / @mk-all 等）
           {
@@ -4044,8 +7503,13 @@ app.action("home_create_task", async ({ ack, body, client }) => {
               placeholder: { type: "plain_text", text: "日付を選択" },
             },
           },
+          dueTimeInputBlock(),
           //{ type: "input", block_id: "status", label: { type: "plain_text", text: "ステータス" }, element: statusSelectElement("open") },
 
+          priorityInputBlock(),
+          tagsInputBlock(),
+          recurrenceInputBlock(),
+
           {
             type: "context",
             elements: [
@@ -4203,6 +7667,157 @@ app.action("back_to_list", async ({ ack, body, client }) => {
   }
 });
 
+// 完了処理（ボタン/コマンド共通）
+// - personal: status done + 通知 + スレッドカード
+// - broadcast: 自分の完了を記録 → 再集計 → 全員完了なら確認待ち + 依頼者へ確認DM
+// 戻り値：{ ok, reason?, task }（reason: not_found / not_target）
+async function completeTaskByUser(
+  client,
+  { teamId, taskId, userId, submission = null },
+) {
+  const task = await dbGetTaskById(teamId, taskId);
+  if (!task) return { ok: false, reason: "not_found", task: null };
+
+  if (task.task_type === "broadcast") {
+    const isTarget = await dbIsUserTarget(teamId, taskId, userId);
+    if (!isTarget) return { ok: false, reason: "not_target", task };
+
+    await dbUpsertCompletion(teamId, taskId, userId, submission);
+
+    const total = task.total_count || (await dbCountTargets(teamId, taskId));
+    const doneCount = await dbCountCompletions(teamId, taskId);
+    await dbUpdateBroadcastCounts(teamId, taskId, doneCount, total);
+
+    // 全員完了（= 依頼者の確認待ちへ）
+    if (doneCount >= total && total > 0) {
+      const fresh = await dbGetTaskById(teamId, taskId);
+      const toWaiting =
+        fresh && !["waiting", "done", "cancelled"].includes(fresh.status);
+      if (toWaiting) {
+        await dbUpdateStatus(teamId, taskId, "waiting", userId);
+      }
+      // 依頼者へ通知（確認待ちに入ったときに1回だけ）
+      if (
+        toWaiting &&
+        (await dbTryLogNotification(
+          fresh,
+          fresh.requester_user_id,
+          "broadcast_confirm",
+          todayJstYmd(),
+        ))
+      ) {
+        await postRequesterConfirmDM({
+          teamId,
+          taskId,
+          requesterUserId: fresh.requester_user_id,
+          title: fresh.title,
+        });
+        // ★Home再描画：全員完了→確認待ち（依頼者/対象者にも反映）
+        try {
+          const targets = await dbListTargetUserIds(teamId, taskId);
+          const toRefresh = Array.from(
+            new Set(
+              [fresh.requester_user_id, ...(targets || [])].filter(Boolean),
+            ),
+          );
+          publishHomeForUsers(client, teamId, toRefresh, 200);
+          setTimeout(() => {
+            publishHomeForUsers(client, teamId, toRefresh, 200);
+          }, 200);
+        } catch (_) {}
+      }
+    }
+
+    const refreshed = await dbGetTaskById(teamId, taskId);
+
+    // スレッドカード更新（進捗表示更新）
+    if (refreshed?.channel_id && refreshed?.message_ts) {
+      const blocks = await buildThreadCardBlocks({
+        teamId,
+        task: refreshed,
+      });
+      if (!refreshed.channel_id?.startsWith("D")) {
+        await upsertThreadCard(client, {
+          teamId,
+          channelId: refreshed.channel_id,
+          parentTs: refreshed.message_ts,
+          blocks,
+        });
+      }
+    }
+
+    // Home refresh（スマホ反映対策：関係者へまとめて再描画）
+    publishHomeForUsers(client, teamId, [userId, task.requester_user_id]);
+    return { ok: true, task: refreshed || task };
+  }
+
+  // personal
+  const updated = await dbUpdateStatus(teamId, taskId, "done", userId);
+  if (!updated) return { ok: false, reason: "not_found", task: null };
+
+  // ★通知：完了（personal）…タイトル＋詳細ボタンだけ
+  try {
+    const toNotify = Array.from(
+      new Set([updated.requester_user_id, updated.assignee_id].filter(Boolean)),
+    );
+    for (const uid of toNotify) {
+      await notifyTaskSimpleDM(uid, updated, "✅ 完了になったよ", {
+        undo: true,
+      });
+    }
+    for (const uid of await watchersToNotify(teamId, taskId, [
+      ...toNotify,
+      userId,
+    ])) {
+      await notifyTaskSimpleDM(
+        uid,
+        updated,
+        "👀 フォロー中のタスクが完了したよ",
+      );
+    }
+  } catch (_) {}
+
+  if (updated.channel_id && updated.message_ts) {
+    // スレッドカードは完了ボタンが無いので、表示だけ更新
+    const doneBlocks = [
+      {
+        type: "header",
+        text: { type: "plain_text", text: "✅ 完了しました" },
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${noMention(updated.title)}*\nタスクを完了にしました✨`,
+        },
+      },
+    ];
+    if (!updated.channel_id?.startsWith("D")) {
+      await upsertThreadCard(client, {
+        teamId,
+        channelId: updated.channel_id,
+        parentTs: updated.message_ts,
+        blocks: doneBlocks,
+      });
+    }
+  }
+
+  // Phase8-1: Homeリアルタイム再描画（モバイル反映遅延対策）
+  try {
+    const relatedIds = Array.from(
+      new Set(
+        [userId, task.requester_user_id, task.assignee_id].filter(Boolean),
+      ),
+    );
+    publishHomeForUsers(client, teamId, relatedIds, 200);
+    setTimeout(() => {
+      publishHomeForUsers(client, teamId, relatedIds, 200);
+    }, 200);
+  } catch (_) {}
+
+  return { ok: true, task: updated };
+}
+
 // complete (detail only) - personal: status done / broadcast: per-user completion + recount
 app.action("complete_task", async ({ ack, body, action, client }) => {
   await ack();
@@ -4213,144 +7828,59 @@ app.action("complete_task", async ({ ack, body, action, client }) => {
   if (!teamId || !taskId) return;
 
   try {
-    const task = await dbGetTaskById(teamId, taskId);
-    if (!task) return;
-
-    if (task.task_type === "broadcast") {
-      const userId = getUserIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const result = await completeTaskByUser(client, {
+      teamId,
+      taskId,
+      userId,
+    });
 
-      const isTarget = await dbIsUserTarget(teamId, taskId, userId);
-      if (!isTarget) {
+    if (!result.ok) {
+      if (result.reason === "not_target") {
         await safeEphemeral(
           client,
-          task.channel_id || body.user.id,
+          result.task?.channel_id || body.user.id,
           userId,
           "🥺 このタスクの対象者じゃないみたい…！",
         );
-        return;
-      }
-
-      await dbUpsertCompletion(teamId, taskId, userId);
-
-      const total = task.total_count || (await dbCountTargets(teamId, taskId));
-      const doneCount = await dbCountCompletions(teamId, taskId);
-
-      // 全員完了（= 依頼者の確認待ちへ）
-      if (doneCount >= total && total > 0) {
-        const fresh = await dbGetTaskById(teamId, taskId);
-        if (fresh && !["waiting", "done", "cancelled"].includes(fresh.status)) {
-          await dbUpdateStatus(teamId, taskId, "waiting");
-        }
-        // 依頼者へ通知（1回だけ）
-        if (fresh && !fresh.notified_at) {
-          await dbQuery(
-            `UPDATE tasks SET notified_at=now() WHERE team_id=$1 AND id=$2 AND notified_at IS NULL`,
-            [teamId, taskId],
-          );
-          await postRequesterConfirmDM({
-            teamId,
-            taskId,
-            requesterUserId: fresh.requester_user_id,
-            title: fresh.title,
-          });
-          // ★Home再描画：全員完了→確認待ち（依頼者/対象者にも反映）
-          try {
-            const targets = await dbListTargetUserIds(teamId, taskId);
-            const toRefresh = Array.from(
-              new Set(
-                [fresh.requester_user_id, ...(targets || [])].filter(Boolean),
-              ),
-            );
-            publishHomeForUsers(client, teamId, toRefresh, 200);
-            setTimeout(() => {
-              publishHomeForUsers(client, teamId, toRefresh, 200);
-            }, 200);
-          } catch (_) {}
-        }
-      }
-
-      // スレッドカード更新（進捗表示更新）
-      if (task.channel_id && task.message_ts) {
-        const refreshed = await dbGetTaskById(teamId, taskId);
-        if (refreshed) {
-          const blocks = await buildThreadCardBlocks({
-            teamId,
-            task: refreshed,
-          });
-          if (!refreshed.channel_id?.startsWith("D")) {
-            await upsertThreadCard(client, {
-              teamId,
-              channelId: refreshed.channel_id,
-              parentTs: refreshed.message_ts,
-              blocks,
-            });
-          }
-        }
-      }
-
-      // modal refresh
-      if (body.view?.id) {
-        const refreshed = await dbGetTaskById(teamId, taskId);
-        if (refreshed) {
-          if (body.view.callback_id === "list_detail_modal") {
-            const meta2 =
-              safeJsonParse(body.view?.private_metadata || "{}") || {};
-            const returnState = meta2.returnState || {
-              viewType: "assigned",
-              userId,
-              status: "open",
-              deptKey: "all",
-            };
-            await client.views.update({
-              view_id: body.view.id,
-              hash: body.view.hash,
-              view: await buildListDetailView({
-                teamId,
-                task: refreshed,
-                returnState,
-                viewerUserId: userId,
-              }),
-            });
-          } else {
-            await client.views.update({
-              view_id: body.view.id,
-              hash: body.view.hash,
-              view: await buildDetailModalView({
-                teamId,
-                task: refreshed,
-                viewerUserId: body.user.id,
-              }),
-            });
-          }
-        }
       }
-
-      // Home refresh（スマホ反映対策：関係者へまとめて再描画）
-      publishHomeForUsers(client, teamId, [userId, task.requester_user_id]);
       return;
     }
 
-    // personal
-    const updated = await dbUpdateStatus(teamId, taskId, "done");
-    if (!updated) return;
+    // best effort: リマインドDMから完了した場合はDMのボタンを消す
+    if (p.from === "remind" && body.channel?.id && body.message?.ts) {
+      try {
+        await client.chat.update({
+          channel: body.channel.id,
+          ts: body.message.ts,
+          text: "✅ 完了にしました",
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `✅ *完了にしました*\n「*${noMention(result.task?.title || "")}*」`,
+              },
+            },
+            {
+              type: "actions",
+              elements: [undoButtonElement(result.task)],
+            },
+          ],
+        });
+      } catch (_) {}
+    }
 
-    // ★通知：完了（personal）…タイトル＋詳細ボタンだけ
-    try {
-      const toNotify = Array.from(
-        new Set(
-          [updated.requester_user_id, updated.assignee_id].filter(Boolean),
-        ),
-      );
-      for (const uid of toNotify) {
-        await notifyTaskSimpleDM(uid, updated, "✅ 完了になったよ");
-      }
-    } catch (_) {}
+    // modal refresh
+    if (!body.view?.id) return;
+    const refreshed = await dbGetTaskById(teamId, taskId);
+    if (!refreshed) return;
 
-    if (body.view?.callback_id === "list_detail_modal") {
+    if (body.view.callback_id === "list_detail_modal") {
       const meta2 = safeJsonParse(body.view?.private_metadata || "{}") || {};
       const returnState = meta2.returnState || {
         viewType: "assigned",
-        userId: body.user.id,
+        userId,
         status: "open",
         deptKey: "all",
       };
@@ -4359,68 +7889,25 @@ app.action("complete_task", async ({ ack, body, action, client }) => {
         hash: body.view.hash,
         view: await buildListDetailView({
           teamId,
-          task: updated,
+          task: refreshed,
           returnState,
-          viewerUserId: body.user.id,
+          viewerUserId: userId,
+        }),
+      });
+    } else if (
+      body.view.callback_id === "detail_modal" ||
+      refreshed.task_type === "broadcast"
+    ) {
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: await buildDetailModalView({
+          teamId,
+          task: refreshed,
+          viewerUserId: userId,
         }),
       });
-      return;
     }
-
-    if (updated.channel_id && updated.message_ts) {
-      // スレッドカードは完了ボタンが無いので、表示だけ更新
-      const doneBlocks = [
-        {
-          type: "header",
-          text: { type: "plain_text", text: "✅ 完了しました" },
-        },
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*${noMention(updated.title)}*\nタスクを完了にしました✨`,
-          },
-        },
-      ];
-      if (!updated.channel_id?.startsWith("D")) {
-        await upsertThreadCard(client, {
-          teamId,
-          channelId: updated.channel_id,
-          parentTs: updated.message_ts,
-          blocks: doneBlocks,
-        });
-      }
-    }
-
-    if (body.view?.id && body.view.callback_id === "detail_modal") {
-      const refreshed = await dbGetTaskById(teamId, taskId);
-      if (refreshed) {
-        await client.views.update({
-          view_id: body.view.id,
-          hash: body.view.hash,
-          view: await buildDetailModalView({
-            teamId,
-            task: refreshed,
-            viewerUserId: body.user.id,
-          }),
-        });
-      }
-    }
-
-    // Phase8-1: Homeリアルタイム再描画（操作した本人のみ / モバイル反映遅延対策）
-    try {
-      const relatedIds = Array.from(
-        new Set(
-          [body.user.id, task.requester_user_id, task.assignee_id].filter(
-            Boolean,
-          ),
-        ),
-      );
-      publishHomeForUsers(client, teamId, relatedIds, 200);
-      setTimeout(() => {
-        publishHomeForUsers(client, teamId, relatedIds, 200);
-      }, 200);
-    } catch (_) {}
   } catch (e) {
     console.error("complete_task error:", e?.data || e);
   }
@@ -4454,7 +7941,7 @@ app.action("confirm_broadcast_done", async ({ ack, body, action, client }) => {
     }
 
     // waitingでなくても強制的にdoneへ
-    const updated = await dbUpdateStatus(teamId, taskId, "done");
+    const updated = await dbUpdateStatus(teamId, taskId, "done", body.user.id);
     if (!updated) return;
 
     // ★通知：完了（broadcast）…タイトル＋詳細ボタンだけ
@@ -4466,7 +7953,19 @@ app.action("confirm_broadcast_done", async ({ ack, body, action, client }) => {
         ),
       );
       for (const uid of toNotify) {
-        await notifyTaskSimpleDM(uid, updated, "✅ 完了になったよ");
+        await notifyTaskSimpleDM(uid, updated, "✅ 完了になったよ", {
+          undo: uid === updated.requester_user_id,
+        });
+      }
+      for (const uid of await watchersToNotify(teamId, taskId, [
+        ...toNotify,
+        body.user.id,
+      ])) {
+        await notifyTaskSimpleDM(
+          uid,
+          updated,
+          "👀 フォロー中のタスクが完了したよ",
+        );
       }
     } catch (_) {}
 
@@ -4560,780 +8059,4918 @@ app.action("confirm_broadcast_done", async ({ ack, body, action, client }) => {
   }
 });
 
-app.action("cancel_task", async ({ ack, body, action, client }) => {
+// ================================
+// Undo / reopen（完了の取り消し）
+// - 完了DMの「元に戻す」：UNDO_WINDOW_MS の間だけ有効
+// - 詳細モーダルの「再開」：done のタスクを進行中へ戻す
+// - broadcast 対象者：自分の完了だけ取り消せる
+// ================================
+const UNDO_WINDOW_MS = 10 * 60 * 1000;
+
+function undoButtonElement(task) {
+  return {
+    type: "button",
+    text: { type: "plain_text", text: "元に戻す ↩️" },
+    action_id: "undo_complete_task",
+    value: JSON.stringify({
+      teamId: task.team_id,
+      taskId: task.id,
+      until: Date.now() + UNDO_WINDOW_MS,
+    }),
+  };
+}
+
+function reopenButtonElement(teamId, task) {
+  return {
+    type: "button",
+    text: { type: "plain_text", text: "再開 ↩️" },
+    action_id: "reopen_task",
+    value: JSON.stringify({ teamId, taskId: task.id }),
+    confirm: {
+      title: { type: "plain_text", text: "確認" },
+      text: { type: "mrkdwn", text: "完了済みのタスクを*進行中*に戻します。" },
+      confirm: { type: "plain_text", text: "再開する" },
+      deny: { type: "plain_text", text: "やめる" },
+    },
+  };
+}
+
+// 取り消し（本人）/ 差し戻し（依頼者）共通。履歴の種類と理由は opts で
+async function dbDeleteCompletion(
+  teamId,
+  taskId,
+  userId,
+  {
+    actorUserId = userId,
+    eventType = "completion_withdrawn",
+    note = null,
+  } = {},
+) {
+  const q = `
+    DELETE FROM task_completions
+    WHERE team_id=$1 AND task_id=$2 AND user_id=$3
+    RETURNING user_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, userId]);
+  const removed = (res.rows || []).length > 0;
+  if (removed) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType,
+      field: "completion",
+      oldValue: userId,
+      newValue: note,
+    });
+  }
+  return removed;
+}
+
+// 「確認待ちの依頼者DMは1回だけ」の記録を消す（全員完了し直したら再送する）
+async function dbClearNotificationLog(teamId, taskId, kinds) {
+  const q = `
+    DELETE FROM task_notifications
+    WHERE team_id=$1 AND task_id=$2 AND kind = ANY($3::text[]);
+  `;
+  await dbQuery(q, [teamId, taskId, kinds]);
+}
+
+// broadcast：完了数を数え直して completed_count / status を揃える
+// - 全員完了なら waiting、そうでなければ in_progress（done/cancelled は keepFinal で維持）
+async function recountBroadcast(
+  teamId,
+  taskId,
+  { actorUserId = null, keepFinal = true } = {},
+) {
+  const total = await dbCountTargets(teamId, taskId);
+  const doneCount = await dbCountCompletions(teamId, taskId);
+  let task = await dbUpdateBroadcastCounts(teamId, taskId, doneCount, total);
+  if (!task) return null;
+
+  if (keepFinal && ["done", "cancelled"].includes(task.status)) return task;
+
+  const nextStatus =
+    total > 0 && doneCount >= total ? "waiting" : "in_progress";
+  if (task.status !== nextStatus) {
+    task = await dbUpdateStatus(teamId, taskId, nextStatus, actorUserId);
+  }
+  return task;
+}
+
+// 再開/取り消し後の共通処理：スレッドカード + Home
+async function refreshAfterReopen(client, teamId, task, extraUserIds = []) {
+  if (task.channel_id && task.message_ts && !task.channel_id.startsWith("D")) {
+    const blocks = await buildThreadCardBlocks({ teamId, task });
+    await upsertThreadCard(client, {
+      teamId,
+      channelId: task.channel_id,
+      parentTs: task.message_ts,
+      blocks,
+    });
+  }
+
+  try {
+    const targets =
+      task.task_type === "broadcast"
+        ? await dbListTargetUserIds(teamId, task.id)
+        : [];
+    const toRefresh = Array.from(
+      new Set(
+        [
+          task.requester_user_id,
+          task.assignee_id,
+          ...targets,
+          ...extraUserIds,
+        ].filter(Boolean),
+      ),
+    );
+    publishHomeForUsers(client, teamId, toRefresh, 200);
+  } catch (_) {}
+}
+
+// done → 再開（personal：依頼者/対応者、broadcast：依頼者）
+// 戻り値：{ ok, reason?, task }（reason: not_found / not_done / forbidden）
+async function reopenTaskByUser(client, { teamId, taskId, userId }) {
+  const task = await dbGetTaskById(teamId, taskId);
+  if (!task) return { ok: false, reason: "not_found", task: null };
+  if (task.status !== "done") return { ok: false, reason: "not_done", task };
+
+  const isBroadcast = task.task_type === "broadcast";
+  const canReopen = isBroadcast
+    ? userId === task.requester_user_id
+    : userId === task.requester_user_id || userId === task.assignee_id;
+  if (!canReopen) return { ok: false, reason: "forbidden", task };
+
+  let updated;
+  if (isBroadcast) {
+    await dbClearNotificationLog(teamId, taskId, ["broadcast_confirm"]);
+    updated = await recountBroadcast(teamId, taskId, {
+      actorUserId: userId,
+      keepFinal: false,
+    });
+  } else {
+    updated = await dbUpdateStatus(teamId, taskId, "in_progress", userId);
+  }
+  if (!updated) return { ok: false, reason: "not_found", task };
+
+  // 相手側にも知らせる（自分には送らない）
+  try {
+    const toNotify = Array.from(
+      new Set(
+        [
+          updated.requester_user_id,
+          ...(isBroadcast
+            ? await dbListTargetUserIds(teamId, taskId)
+            : [updated.assignee_id]),
+        ].filter((u) => u && u !== userId),
+      ),
+    );
+    for (const uid of toNotify) {
+      await notifyTaskSimpleDM(uid, updated, "↩️ タスクが再開されたよ");
+    }
+  } catch (_) {}
+
+  await refreshAfterReopen(client, teamId, updated, [userId]);
+  return { ok: true, task: updated };
+}
+
+// broadcast 対象者：自分の完了を取り消す（確認待ち → 進行中に戻る）
+// 戻り値：{ ok, reason?, task }（reason: not_found / closed / not_completed）
+async function withdrawCompletionByUser(client, { teamId, taskId, userId }) {
+  const task = await dbGetTaskById(teamId, taskId);
+  if (!task || task.task_type !== "broadcast")
+    return { ok: false, reason: "not_found", task };
+  if (["done", "cancelled"].includes(task.status))
+    return { ok: false, reason: "closed", task };
+
+  const removed = await dbDeleteCompletion(teamId, taskId, userId);
+  if (!removed) return { ok: false, reason: "not_completed", task };
+
+  await dbClearNotificationLog(teamId, taskId, ["broadcast_confirm"]);
+  const updated =
+    (await recountBroadcast(teamId, taskId, { actorUserId: userId })) || task;
+
+  await refreshAfterReopen(client, teamId, updated, [userId]);
+  return { ok: true, task: updated };
+}
+
+const REOPEN_ERROR_TEXT = {
+  not_done: "🥺 このタスクは完了になっていないみたい…！",
+  forbidden: "🥺 再開できるのは依頼者（個人タスクは対応者も）だけだよ…！",
+  closed: "🥺 もう完了/取り下げ済みだよ。依頼者に「再開」してもらってね",
+  not_completed: "🥺 まだ完了にしていないみたい…！",
+};
+
+async function refreshDetailModalIfOpen(client, body, teamId, task, userId) {
+  if (!body.view?.id || body.view.callback_id !== "detail_modal") return;
+  const meta = safeJsonParse(body.view.private_metadata || "{}") || {};
+  await client.views.update({
+    view_id: body.view.id,
+    hash: body.view.hash,
+    view: await buildDetailModalView({
+      teamId,
+      task,
+      viewerUserId: userId,
+      origin: meta.origin || "home",
+    }),
+  });
+}
+
+// 完了DMの「元に戻す」（時間切れなら詳細の「再開」へ誘導）
+app.action("undo_complete_task", async ({ ack, body, action, client }) => {
   await ack();
+
   const p = safeJsonParse(action.value || "{}") || {};
   const teamId = p.teamId || body.team?.id || body.team_id;
   const taskId = p.taskId;
+  const userId = getUserIdFromBody(body);
+  if (!teamId || !taskId || !userId) return;
 
-  if (!teamId || !taskId) return;
+  const channel = body.channel?.id || userId;
 
   try {
-    const task = await dbGetTaskById(teamId, taskId);
-    if (!task) return;
-
-    if (task.requester_user_id !== body.user.id) {
+    if (!p.until || Date.now() > Number(p.until)) {
       await safeEphemeral(
         client,
-        task.channel_id || body.user.id,
-        body.user.id,
-        "🥺 取り下げできるのは依頼者だけだよ…！",
+        channel,
+        userId,
+        "⌛ 元に戻せる時間を過ぎちゃった…！詳細の「再開」から戻してね",
       );
       return;
     }
 
-    const cancelled = await dbCancelTask(teamId, taskId, body.user.id);
-    if (!cancelled) return;
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task) return;
 
-    if (body.view?.callback_id === "list_detail_modal") {
-      const meta2 = safeJsonParse(body.view?.private_metadata || "{}") || {};
-      const returnState = meta2.returnState || {
-        viewType: "assigned",
-        userId: body.user.id,
-        status: "open",
-        deptKey: "all",
-      };
-      await client.views.update({
-        view_id: body.view.id,
-        hash: body.view.hash,
-        view: await buildListDetailView({
-          teamId,
-          task: cancelled,
-          returnState,
-          viewerUserId: body.user.id,
-        }),
-      });
+    // broadcast で全体が未完了なら「自分の完了」の取り消し
+    const result =
+      task.task_type === "broadcast" && task.status !== "done"
+        ? await withdrawCompletionByUser(client, { teamId, taskId, userId })
+        : await reopenTaskByUser(client, { teamId, taskId, userId });
+
+    if (!result.ok) {
+      const text = REOPEN_ERROR_TEXT[result.reason];
+      if (text) await safeEphemeral(client, channel, userId, text);
       return;
     }
 
-    if (cancelled.channel_id && cancelled.message_ts) {
-      const blocks = [
-        {
-          type: "header",
-          text: { type: "plain_text", text: "🚫 取り下げました" },
-        },
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*${noMention(cancelled.title)}*\n依頼者により取り下げられました。`,
-          },
-        },
-      ];
-      if (!cancelled.channel_id?.startsWith("D")) {
-        await upsertThreadCard(client, {
-          teamId,
-          channelId: cancelled.channel_id,
-          parentTs: cancelled.message_ts,
-          blocks,
+    if (body.channel?.id && body.message?.ts) {
+      try {
+        await client.chat.update({
+          channel: body.channel.id,
+          ts: body.message.ts,
+          text: "↩️ 元に戻しました",
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `↩️ *元に戻しました*\n「*${noMention(result.task.title)}*」は${statusLabel(result.task.status)}に戻ったよ`,
+              },
+            },
+          ],
         });
-      }
-    }
-
-    if (body.view?.id && body.view.callback_id === "detail_modal") {
-      await client.views.update({
-        view_id: body.view.id,
-        hash: body.view.hash,
-        view: await buildDetailModalView({
-          teamId,
-          task: cancelled,
-          viewerUserId: body.user.id,
-        }),
-      });
+      } catch (_) {}
     }
-
-    // Phase8-1: Homeリアルタイム再描画（操作した本人のみ / モバイル反映遅延対策）
-    try {
-      const relatedIds = Array.from(
-        new Set(
-          [
-            body.user.id,
-            cancelled.requester_user_id,
-            cancelled.assignee_id,
-          ].filter(Boolean),
-        ),
-      );
-      publishHomeForUsers(client, teamId, relatedIds, 200);
-      setTimeout(() => {
-        publishHomeForUsers(client, teamId, relatedIds, 200);
-      }, 200);
-    } catch (_) {}
   } catch (e) {
-    console.error("cancel_task error:", e?.data || e);
+    console.error("undo_complete_task error:", e?.data || e);
   }
 });
 
-app.action("status_select", async ({ ack, body, action, client }) => {
+// 詳細モーダル：done のタスクを再開
+app.action("reopen_task", async ({ ack, body, action, client }) => {
   await ack();
-  try {
-    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
-    const teamId = meta.teamId || body.team?.id || body.team_id;
-    const taskId = meta.taskId;
-    const nextStatus = action?.selected_option?.value;
 
-    if (!teamId || !taskId || !nextStatus) return;
-
-    const task = await dbGetTaskById(teamId, taskId);
-    if (!task) return;
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || body.team?.id || body.team_id;
+  const taskId = p.taskId;
+  const userId = getUserIdFromBody(body);
+  if (!teamId || !taskId || !userId) return;
 
-    // broadcast はステータス手動変更しない（検収フローで自動遷移）
-    if (task.task_type === "broadcast") {
-      await safeEphemeral(
-        client,
-        task.channel_id || body.user.id,
-        body.user.id,
-        "🥺 複数タスクのステータスは自動で進むよ（全員完了→確認待ち→依頼者の確認完了）",
-      );
-      return;
-    }
-
-    // personal：ウォッチャー等はステータス変更不可（依頼者 or 対応者のみ）
-    const actor = body.user.id;
-    if (task.requester_user_id !== actor && task.assignee_id !== actor) {
-      await safeEphemeral(
-        client,
-        task.channel_id || body.user.id,
-        actor,
-        "🥺 ステータス変更できるのは依頼者か対応者だけだよ…！",
-      );
+  try {
+    const result = await reopenTaskByUser(client, { teamId, taskId, userId });
+    if (!result.ok) {
+      const text = REOPEN_ERROR_TEXT[result.reason];
+      if (text)
+        await safeEphemeral(
+          client,
+          result.task?.channel_id || userId,
+          userId,
+          text,
+        );
       return;
     }
+    await refreshDetailModalIfOpen(client, body, teamId, result.task, userId);
+  } catch (e) {
+    console.error("reopen_task error:", e?.data || e);
+  }
+});
 
-    const updated = await dbUpdateStatus(teamId, taskId, nextStatus);
-    if (!updated) return;
+// 詳細モーダル：broadcast 対象者が自分の完了を取り消す
+app.action("withdraw_completion", async ({ ack, body, action, client }) => {
+  await ack();
 
-    if (body.view?.callback_id === "list_detail_modal") {
-      const meta2 = safeJsonParse(body.view?.private_metadata || "{}") || {};
-      const returnState = meta2.returnState || {
-        viewType: "assigned",
-        userId: body.user.id,
-        status: "open",
-        deptKey: "all",
-      };
-      await client.views.update({
-        view_id: body.view.id,
-        hash: body.view.hash,
-        view: await buildListDetailView({
-          teamId,
-          task: updated,
-          returnState,
-          viewerUserId: body.user.id,
-        }),
-      });
-      return;
-    }
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || body.team?.id || body.team_id;
+  const taskId = p.taskId;
+  const userId = getUserIdFromBody(body);
+  if (!teamId || !taskId || !userId) return;
 
-    await client.views.update({
-      view_id: body.view.id,
-      hash: body.view.hash,
-      view: await buildDetailModalView({
-        teamId,
-        task: updated,
-        viewerUserId: body.user.id,
-      }),
+  try {
+    const result = await withdrawCompletionByUser(client, {
+      teamId,
+      taskId,
+      userId,
     });
-
-    // スレッドカード：表示更新
-    if (updated.channel_id && updated.message_ts) {
-      const blocks = await buildThreadCardBlocks({ teamId, task: updated });
-      if (!updated.channel_id?.startsWith("D")) {
-        await upsertThreadCard(client, {
-          teamId,
-          channelId: updated.channel_id,
-          parentTs: updated.message_ts,
-          blocks,
-        });
-      }
-    }
-
-    // ★通知：確認待ち/完了（personalのみ）
-    try {
-      if (nextStatus === "waiting") {
-        if (updated.requester_user_id) {
-          await postDM(
-            updated.requester_user_id,
-            `⏳ 確認待ちになったよ\n・タイトル：${noMention(updated.title)}\n・期限：${formatDueDateOnly(updated.due_date)}\n・ステータス：${statusLabel(updated.status)}`,
-          );
-        }
-      } else if (nextStatus === "done") {
-        const toNotify = Array.from(
-          new Set(
-            [updated.requester_user_id, updated.assignee_id].filter(Boolean),
-          ),
+    if (!result.ok) {
+      const text = REOPEN_ERROR_TEXT[result.reason];
+      if (text)
+        await safeEphemeral(
+          client,
+          result.task?.channel_id || userId,
+          userId,
+          text,
         );
-        for (const uid of toNotify) {
-          await postDM(
-            uid,
-            `✅ 完了になったよ\n・タイトル：${noMention(updated.title)}\n・期限：${formatDueDateOnly(updated.due_date)}\n・ステータス：${statusLabel(updated.status)}`,
-          );
-        }
-      }
-    } catch (_) {}
-
-    // Phase8-1: Homeリアルタイム再描画（操作した本人のみ / モバイル反映遅延対策）
-    try {
-      const relatedIds = Array.from(
-        new Set(
-          [body.user.id, updated.requester_user_id, updated.assignee_id].filter(
-            Boolean,
-          ),
-        ),
-      );
-      publishHomeForUsers(client, teamId, relatedIds, 200);
-      setTimeout(() => {
-        publishHomeForUsers(client, teamId, relatedIds, 200);
-      }, 200);
-    } catch (_) {}
+      return;
+    }
+    await refreshDetailModalIfOpen(client, body, teamId, result.task, userId);
   } catch (e) {
-    console.error("status_select error:", e?.data || e);
+    console.error("withdraw_completion error:", e?.data || e);
   }
 });
 
-// progress modal: MVP placeholder (実装は後で拡張しやすいように入口だけ)
-app.action("open_progress_modal", async ({ ack, body, action, client }) => {
+// ================================
+// Broadcast reject（差し戻し）
+// - 依頼者が完了済みの対象者を選んで、理由つきで未完了に戻す
+// - 起点：依頼者への確認DM / 完了状況モーダル
+// ================================
+function rejectButtonElement(teamId, taskId, extra = {}) {
+  return {
+    type: "button",
+    text: { type: "plain_text", text: "差し戻し ↩️" },
+    style: "danger",
+    action_id: "open_reject_modal",
+    value: JSON.stringify({ teamId, taskId, ...extra }),
+  };
+}
+
+async function dbListCompletedUserIds(teamId, taskId) {
+  const q = `SELECT user_id FROM task_completions WHERE team_id=$1 AND task_id=$2 ORDER BY created_at ASC;`;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return (res.rows || []).map((r) => r.user_id).filter(Boolean);
+}
+
+app.action("open_reject_modal", async ({ ack, body, action, client }) => {
   await ack();
 
-  // value から取れないケースがあるので、modal meta も参照する（堅牢化）
-  const p = safeJsonParse(action?.value || "{}") || {};
-  const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
-  const teamId = p.teamId || meta.teamId || body.team?.id || body.team_id;
-  const taskId = p.taskId || meta.taskId;
-  if (!teamId || !taskId) return;
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || body.team?.id || body.team_id;
+  const taskId = p.taskId;
+  const userId = getUserIdFromBody(body);
+  if (!teamId || !taskId || !userId) return;
 
   try {
     const task = await dbGetTaskById(teamId, taskId);
-    if (!task) return;
-    if (task.task_type !== "broadcast") return;
+    if (!task || task.task_type !== "broadcast") return;
 
-    // 仕様変更：誰でも閲覧可（依頼者・対応者・対象者・ウォッチャー・その他）
-    // targets / completions
-    const targetsRes = await dbQuery(
-      `SELECT user_id FROM task_targets WHERE team_id=$1 AND task_id=$2 ORDER BY user_id`,
-      [teamId, taskId],
-    );
-    const completionsRes = await dbQuery(
-      `SELECT user_id FROM task_completions WHERE team_id=$1 AND task_id=$2 ORDER BY user_id`,
-      [teamId, taskId],
-    );
+    const channel = body.channel?.id || userId;
+    if (task.requester_user_id !== userId) {
+      await safeEphemeral(
+        client,
+        channel,
+        userId,
+        "🥺 差し戻しできるのは依頼者だけだよ…！",
+      );
+      return;
+    }
+    if (task.status === "done" || task.status === "cancelled") {
+      await safeEphemeral(
+        client,
+        channel,
+        userId,
+        "🥺 もう完了/取り下げ済みだよ。差し戻すなら先に「再開」してね",
+      );
+      return;
+    }
 
-    const targets = (targetsRes.rows || [])
-      .map((r) => r.user_id)
-      .filter(Boolean);
-    const doneSet = new Set(
-      (completionsRes.rows || []).map((r) => r.user_id).filter(Boolean),
-    );
+    const completed = await dbListCompletedUserIds(teamId, taskId);
+    if (!completed.length) {
+      await safeEphemeral(
+        client,
+        channel,
+        userId,
+        "🥺 まだ完了した人がいないみたい…！",
+      );
+      return;
+    }
 
-    const done = targets.filter((u) => doneSet.has(u));
-    const todo = targets.filter((u) => !doneSet.has(u));
-
-    const total = targets.length;
-    const doneCount = done.length;
-
-    const listText = (arr, emptyText) => {
-      if (!arr.length) return emptyText;
-      const MAX = 50;
-      const head = arr
-        .slice(0, MAX)
-        .map((u) => `• <@${u}>`)
-        .join("\n");
-      const more = arr.length > MAX ? `\n…ほか ${arr.length - MAX} 名` : "";
-      return `${head}${more}`;
-    };
+    // static_select の上限（100件）に収める
+    const options = [];
+    for (const uid of completed.slice(0, 100)) {
+      const name = await getUserDisplayName(teamId, uid);
+      options.push({
+        text: { type: "plain_text", text: String(name).slice(0, 75) },
+        value: uid,
+      });
+    }
 
-    const meta2 = { teamId, taskId, origin: "progress" };
+    const meta = {
+      teamId,
+      taskId,
+      // DM起点ならそのメッセージを書き換える
+      dmChannelId: body.view?.id ? null : body.channel?.id || null,
+      dmTs: body.view?.id ? null : body.message?.ts || null,
+    };
 
     const view = {
       type: "modal",
-      callback_id: "progress_modal",
-      private_metadata: JSON.stringify(meta2),
-      title: { type: "plain_text", text: "完了状況" },
-      close: { type: "plain_text", text: "閉じる" },
+      callback_id: "reject_completions_modal",
+      private_metadata: JSON.stringify(meta),
+      title: { type: "plain_text", text: "差し戻し" },
+      submit: { type: "plain_text", text: "差し戻す" },
+      close: { type: "plain_text", text: "キャンセル" },
       blocks: [
-        {
-          type: "header",
-          text: { type: "plain_text", text: "📊 完了/未完了一覧" },
-        },
         {
           type: "section",
           text: { type: "mrkdwn", text: `*${noMention(task.title)}*` },
         },
-        { type: "divider" },
-        {
-          type: "section",
-          text: { type: "mrkdwn", text: `進捗：*${doneCount} / ${total}*` },
-        },
-        { type: "divider" },
-
-        {
-          type: "section",
-          text: { type: "mrkdwn", text: `✅ *完了済み（${done.length}）*` },
-        },
         {
-          type: "section",
-          text: { type: "mrkdwn", text: listText(done, "（まだいません）") },
+          type: "input",
+          block_id: "targets",
+          label: { type: "plain_text", text: "差し戻す人" },
+          element: {
+            type: "multi_static_select",
+            action_id: "targets_select",
+            placeholder: { type: "plain_text", text: "完了済みの人から選択" },
+            options,
+          },
         },
-        { type: "divider" },
-
         {
-          type: "section",
-          text: { type: "mrkdwn", text: `⏳ *未完了（${todo.length}）*` },
+          type: "input",
+          block_id: "reason",
+          label: { type: "plain_text", text: "理由" },
+          element: {
+            type: "plain_text_input",
+            action_id: "reason_input",
+            multiline: true,
+            placeholder: {
+              type: "plain_text",
+              text: "例）添付ファイルが違うので再提出をお願いします",
+            },
+          },
         },
         {
-          type: "section",
-          text: { type: "mrkdwn", text: listText(todo, "（全員完了！🎉）") },
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: "💡 選んだ人の完了を取り消して、理由をDMで送ります。",
+            },
+          ],
         },
       ],
     };
 
-    // modal 上からの遷移は push を優先（挙動が安定）
     if (body.view?.id) {
       await client.views.push({ trigger_id: body.trigger_id, view });
     } else {
       await client.views.open({ trigger_id: body.trigger_id, view });
     }
   } catch (e) {
-    console.error("open_progress_modal error:", e?.data || e);
+    console.error("open_reject_modal error:", e?.data || e);
   }
 });
 
-// ================================
-// Due notify (09:00 JST) - personal tasks only (broadcastは完了トラッキングのため別通知設計にする想定)
-// ================================
-function todayJstYmd() {
-  const now = new Date();
-  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
-  const y = jst.getUTCFullYear();
-  const m = String(jst.getUTCMonth() + 1).padStart(2, "0");
-  const d = String(jst.getUTCDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
+app.view("reject_completions_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const taskId = meta.taskId;
+  const userId = getUserIdFromBody(body);
 
-async function notifyUserDM(userId, task, roleLabel) {
-  if (!userId) return;
+  const selected = (
+    view.state.values.targets?.targets_select?.selected_options || []
+  )
+    .map((o) => o?.value)
+    .filter(Boolean);
+  const reason = (view.state.values.reason?.reason_input?.value || "").trim();
 
-  const dm = await app.client.conversations.open({ users: userId });
-  const channel = dm.channel?.id;
-  if (!channel) return;
+  if (!reason) {
+    await ack({
+      response_action: "errors",
+      errors: { reason: "理由を入力してください" },
+    });
+    return;
+  }
+  await ack();
 
-  // 期限表示：JST基準で「今日」を優先。DB/pgの型差（Date/文字列）にも耐える。
-  const today = todayJstYmd();
-  const dueYmd =
-    slackDateYmd(task.due_date) ||
-    (typeof task.due_date === "string" ? task.due_date.slice(0, 10) : "");
+  if (!teamId || !taskId || !userId || !selected.length) return;
 
-  const payload = JSON.stringify({ teamId: task.team_id, taskId: task.id });
-  const hasLink = !!task?.source_permalink;
+  try {
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task || task.task_type !== "broadcast") return;
+    if (task.requester_user_id !== userId) return;
+    if (task.status === "done" || task.status === "cancelled") return;
+
+    const rejected = [];
+    for (const uid of selected) {
+      const removed = await dbDeleteCompletion(teamId, taskId, uid, {
+        actorUserId: userId,
+        eventType: "completion_rejected",
+        note: reason,
+      });
+      if (removed) rejected.push(uid);
+    }
+    if (!rejected.length) return;
 
-  await app.client.chat.postMessage({
-    channel,
-    text: `⏰ 今日が期限です（${roleLabel}）: ${noMention(task.title)}`,
-    blocks: [
-      {
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `⏰ *今日が期限です*（${roleLabel}）\n*${noMention(task.title)}*`,
-        },
-      },
-      {
-        type: "actions",
-        elements: [
-          {
-            type: "button",
-            text: { type: "plain_text", text: "詳細を開く" },
-            action_id: "open_detail_modal",
-            value: payload,
-          },
-          ...(hasLink
-            ? [
-                {
-                  type: "button",
-                  text: { type: "plain_text", text: "元メッセージへ" },
-                  url: task.source_permalink,
-                },
-              ]
-            : []),
-        ],
-      },
-    ],
+    await dbClearNotificationLog(teamId, taskId, ["broadcast_confirm"]);
+    const updated =
+      (await recountBroadcast(teamId, taskId, { actorUserId: userId })) || task;
+
+    // 差し戻された人へ：理由 + もう一度完了できるボタン
+    for (const uid of rejected) {
+      try {
+        await postBroadcastReminderDM(
+          uid,
+          updated,
+          `↩️ <@${userId}> さんから差し戻しがあったよ\n*理由*：${noMention(reason)}`,
+        );
+      } catch (e) {
+        console.error("reject DM error:", e?.data || e);
+      }
+    }
+
+    await refreshAfterReopen(client, teamId, updated, [userId]);
+
+    const notice = `↩️ ${rejected.map((u) => `<@${u}>`).join(" ")} を差し戻したよ`;
+
+    // DM起点：確認DMを書き換え（確認完了ボタンを消す）
+    if (meta.dmChannelId && meta.dmTs) {
+      try {
+        await client.chat.update({
+          channel: meta.dmChannelId,
+          ts: meta.dmTs,
+          text: "↩️ 差し戻しました",
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `${notice}\n「*${noMention(updated.title)}*」は進行中に戻りました。全員が完了したらまた確認DMが届きます。`,
+              },
+            },
+          ],
+        });
+      } catch (_) {}
+    }
+
+    // 完了状況モーダル起点：戻った先を更新
+    const prevViewId = body.view?.previous_view_id;
+    if (prevViewId) {
+      try {
+        await client.views.update({
+          view_id: prevViewId,
+          view: await buildProgressModalView({
+            teamId,
+            task: updated,
+            viewerUserId: userId,
+            notice,
+          }),
+        });
+      } catch (e) {
+        console.error("update progress view error:", e?.data || e);
+      }
+    }
+  } catch (e) {
+    console.error("reject_completions_modal error:", e?.data || e);
+  }
+});
+
+app.action("cancel_task", async ({ ack, body, action, client }) => {
+  await ack();
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || body.team?.id || body.team_id;
+  const taskId = p.taskId;
+
+  if (!teamId || !taskId) return;
+
+  try {
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task) return;
+
+    if (task.requester_user_id !== body.user.id) {
+      await safeEphemeral(
+        client,
+        task.channel_id || body.user.id,
+        body.user.id,
+        "🥺 取り下げできるのは依頼者だけだよ…！",
+      );
+      return;
+    }
+
+    const cancelled = await dbCancelTask(teamId, taskId, body.user.id);
+    if (!cancelled) return;
+
+    if (body.view?.callback_id === "list_detail_modal") {
+      const meta2 = safeJsonParse(body.view?.private_metadata || "{}") || {};
+      const returnState = meta2.returnState || {
+        viewType: "assigned",
+        userId: body.user.id,
+        status: "open",
+        deptKey: "all",
+      };
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: await buildListDetailView({
+          teamId,
+          task: cancelled,
+          returnState,
+          viewerUserId: body.user.id,
+        }),
+      });
+      return;
+    }
+
+    if (cancelled.channel_id && cancelled.message_ts) {
+      const blocks = [
+        {
+          type: "header",
+          text: { type: "plain_text", text: "🚫 取り下げました" },
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*${noMention(cancelled.title)}*\n依頼者により取り下げられました。`,
+          },
+        },
+      ];
+      if (!cancelled.channel_id?.startsWith("D")) {
+        await upsertThreadCard(client, {
+          teamId,
+          channelId: cancelled.channel_id,
+          parentTs: cancelled.message_ts,
+          blocks,
+        });
+      }
+    }
+
+    if (body.view?.id && body.view.callback_id === "detail_modal") {
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: await buildDetailModalView({
+          teamId,
+          task: cancelled,
+          viewerUserId: body.user.id,
+        }),
+      });
+    }
+
+    // Phase8-1: Homeリアルタイム再描画（操作した本人のみ / モバイル反映遅延対策）
+    try {
+      const relatedIds = Array.from(
+        new Set(
+          [
+            body.user.id,
+            cancelled.requester_user_id,
+            cancelled.assignee_id,
+          ].filter(Boolean),
+        ),
+      );
+      publishHomeForUsers(client, teamId, relatedIds, 200);
+      setTimeout(() => {
+        publishHomeForUsers(client, teamId, relatedIds, 200);
+      }, 200);
+    } catch (_) {}
+  } catch (e) {
+    console.error("cancel_task error:", e?.data || e);
+  }
+});
+
+app.action("status_select", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+    const teamId = meta.teamId || body.team?.id || body.team_id;
+    const taskId = meta.taskId;
+    const nextStatus = action?.selected_option?.value;
+
+    if (!teamId || !taskId || !nextStatus) return;
+
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task) return;
+
+    // broadcast はステータス手動変更しない（検収フローで自動遷移）
+    if (task.task_type === "broadcast") {
+      await safeEphemeral(
+        client,
+        task.channel_id || body.user.id,
+        body.user.id,
+        "🥺 複数タスクのステータスは自動で進むよ（全員完了→確認待ち→依頼者の確認完了）",
+      );
+      return;
+    }
+
+    // personal：ウォッチャー等はステータス変更不可（依頼者 or 対応者のみ）
+    const actor = body.user.id;
+    if (task.requester_user_id !== actor && task.assignee_id !== actor) {
+      await safeEphemeral(
+        client,
+        task.channel_id || body.user.id,
+        actor,
+        "🥺 ステータス変更できるのは依頼者か対応者だけだよ…！",
+      );
+      return;
+    }
+
+    const updated = await dbUpdateStatus(teamId, taskId, nextStatus, actor);
+    if (!updated) return;
+
+    if (body.view?.callback_id === "list_detail_modal") {
+      const meta2 = safeJsonParse(body.view?.private_metadata || "{}") || {};
+      const returnState = meta2.returnState || {
+        viewType: "assigned",
+        userId: body.user.id,
+        status: "open",
+        deptKey: "all",
+      };
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: await buildListDetailView({
+          teamId,
+          task: updated,
+          returnState,
+          viewerUserId: body.user.id,
+        }),
+      });
+      return;
+    }
+
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: await buildDetailModalView({
+        teamId,
+        task: updated,
+        viewerUserId: body.user.id,
+      }),
+    });
+
+    // スレッドカード：表示更新
+    if (updated.channel_id && updated.message_ts) {
+      const blocks = await buildThreadCardBlocks({ teamId, task: updated });
+      if (!updated.channel_id?.startsWith("D")) {
+        await upsertThreadCard(client, {
+          teamId,
+          channelId: updated.channel_id,
+          parentTs: updated.message_ts,
+          blocks,
+        });
+      }
+    }
+
+    // ★通知：確認待ち/完了（personalのみ）
+    try {
+      if (nextStatus === "waiting") {
+        if (updated.requester_user_id) {
+          await postDM(
+            updated.requester_user_id,
+            `⏳ 確認待ちになったよ\n・タイトル：${noMention(updated.title)}\n・期限：${formatTaskDue(updated)}\n・ステータス：${statusLabel(updated.status)}`,
+          );
+        }
+      } else if (nextStatus === "done") {
+        const toNotify = Array.from(
+          new Set(
+            [updated.requester_user_id, updated.assignee_id].filter(Boolean),
+          ),
+        );
+        for (const uid of toNotify) {
+          await postDM(
+            uid,
+            `✅ 完了になったよ\n・タイトル：${noMention(updated.title)}\n・期限：${formatTaskDue(updated)}\n・ステータス：${statusLabel(updated.status)}`,
+          );
+        }
+      }
+
+      // フォロワーへはどのステータス変更でも
+      for (const uid of await watchersToNotify(teamId, taskId, [
+        updated.requester_user_id,
+        nextStatus === "done" ? updated.assignee_id : null,
+        actor,
+      ])) {
+        await postDM(
+          uid,
+          `👀 フォロー中のタスクのステータスが変わったよ\n・タイトル：${noMention(updated.title)}\n・期限：${formatTaskDue(updated)}\n・ステータス：${statusLabel(updated.status)}`,
+        );
+      }
+    } catch (_) {}
+
+    // Phase8-1: Homeリアルタイム再描画（操作した本人のみ / モバイル反映遅延対策）
+    try {
+      const relatedIds = Array.from(
+        new Set(
+          [body.user.id, updated.requester_user_id, updated.assignee_id].filter(
+            Boolean,
+          ),
+        ),
+      );
+      publishHomeForUsers(client, teamId, relatedIds, 200);
+      setTimeout(() => {
+        publishHomeForUsers(client, teamId, relatedIds, 200);
+      }, 200);
+    } catch (_) {}
+  } catch (e) {
+    console.error("status_select error:", e?.data || e);
+  }
+});
+
+// broadcast: 完了/未完了一覧（notice があれば上部に出す：リマインド送信結果など）
+async function buildProgressModalView({
+  teamId,
+  task,
+  viewerUserId,
+  notice = "",
+}) {
+  const taskId = task.id;
+
+  // 仕様変更：誰でも閲覧可（依頼者・対応者・対象者・ウォッチャー・その他）
+  // targets / completions
+  const targetsRes = await dbQuery(
+    `SELECT user_id FROM task_targets WHERE team_id=$1 AND task_id=$2 ORDER BY user_id`,
+    [teamId, taskId],
+  );
+  const completionRows = await dbListCompletionRows(teamId, taskId);
+
+  const targets = (targetsRes.rows || []).map((r) => r.user_id).filter(Boolean);
+  const submissionByUser = new Map(completionRows.map((r) => [r.user_id, r]));
+  const doneSet = new Set(submissionByUser.keys());
+
+  const done = targets.filter((u) => doneSet.has(u));
+  const todo = targets.filter((u) => !doneSet.has(u));
+
+  const total = targets.length;
+  const doneCount = done.length;
+
+  const listText = (arr, emptyText) => {
+    if (!arr.length) return emptyText;
+    const MAX = 50;
+    const head = arr
+      .slice(0, MAX)
+      .map((u) => `• <@${u}>`)
+      .join("\n");
+    const more = arr.length > MAX ? `\n…ほか ${arr.length - MAX} 名` : "";
+    return `${head}${more}`;
+  };
+
+  const meta2 = { teamId, taskId, origin: "progress" };
+
+  // 未完了者へのリマインド / 差し戻しは依頼者だけ（完了/取り下げ済みは出さない）
+  const isOpenRequester =
+    viewerUserId === task.requester_user_id &&
+    !["done", "cancelled"].includes(task.status);
+  const canRemind = isOpenRequester && todo.length > 0;
+  const canReject = isOpenRequester && done.length > 0;
+
+  return {
+    type: "modal",
+    callback_id: "progress_modal",
+    private_metadata: JSON.stringify(meta2),
+    title: { type: "plain_text", text: "完了状況" },
+    close: { type: "plain_text", text: "閉じる" },
+    blocks: [
+      {
+        type: "header",
+        text: { type: "plain_text", text: "📊 完了/未完了一覧" },
+      },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `*${noMention(task.title)}*` },
+      },
+      ...(notice
+        ? [{ type: "context", elements: [{ type: "mrkdwn", text: notice }] }]
+        : []),
+      { type: "divider" },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `進捗：*${doneCount} / ${total}*` },
+      },
+      { type: "divider" },
+
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `✅ *完了済み（${done.length}）*` },
+      },
+      ...(done.some((u) => hasSubmission(submissionByUser.get(u)))
+        ? chunkedSectionBlocks(
+            done
+              .slice(0, 50)
+              .map((u) => submissionLine(u, submissionByUser.get(u)))
+              .concat(done.length > 50 ? [`…ほか ${done.length - 50} 名`] : []),
+          )
+        : [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: listText(done, "（まだいません）"),
+              },
+            },
+          ]),
+      { type: "divider" },
+
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `⏳ *未完了（${todo.length}）*` },
+      },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: listText(todo, "（全員完了！🎉）") },
+      },
+      ...(task.follow_group
+        ? [
+            {
+              type: "context",
+              elements: [
+                {
+                  type: "mrkdwn",
+                  text: `🔄 グループに追随中（${noMention(task.broadcast_group_handle || "対象グループ")} のメンバーに毎日同期）`,
+                },
+              ],
+            },
+          ]
+        : []),
+      ...(isOpenRequester
+        ? [
+            {
+              type: "actions",
+              elements: [
+                ...(canReject ? [rejectButtonElement(teamId, taskId)] : []),
+                ...(canRemind
+                  ? [remindButtonElement(teamId, taskId, todo.length)]
+                  : []),
+                {
+                  type: "button",
+                  text: { type: "plain_text", text: "対象者を追加/除外" },
+                  action_id: "open_edit_targets_modal",
+                  value: JSON.stringify({ teamId, taskId }),
+                },
+              ],
+            },
+          ]
+        : []),
+    ],
+  };
+}
+
+function remindButtonElement(teamId, taskId, todoCount) {
+  return {
+    type: "button",
+    text: { type: "plain_text", text: "未完了者にリマインド 📣" },
+    action_id: "remind_incomplete_targets",
+    value: JSON.stringify({ teamId, taskId }),
+    confirm: {
+      title: { type: "plain_text", text: "リマインド" },
+      text: {
+        type: "mrkdwn",
+        text: `未完了の ${todoCount} 名にDMでリマインドを送ります。`,
+      },
+      confirm: { type: "plain_text", text: "送る" },
+      deny: { type: "plain_text", text: "やめる" },
+    },
+  };
+}
+
+app.action("open_progress_modal", async ({ ack, body, action, client }) => {
+  await ack();
+
+  // value から取れないケースがあるので、modal meta も参照する（堅牢化）
+  const p = safeJsonParse(action?.value || "{}") || {};
+  const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+  const teamId = p.teamId || meta.teamId || body.team?.id || body.team_id;
+  const taskId = p.taskId || meta.taskId;
+  if (!teamId || !taskId) return;
+
+  try {
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task) return;
+    if (task.task_type !== "broadcast") return;
+
+    const view = await buildProgressModalView({
+      teamId,
+      task,
+      viewerUserId: getUserIdFromBody(body),
+    });
+
+    // modal 上からの遷移は push を優先（挙動が安定）
+    if (body.view?.id) {
+      await client.views.push({ trigger_id: body.trigger_id, view });
+    } else {
+      await client.views.open({ trigger_id: body.trigger_id, view });
+    }
+  } catch (e) {
+    console.error("open_progress_modal error:", e?.data || e);
+  }
+});
+
+// 依頼者：未完了者へ手動リマインド（同じ人へは1日1回まで）
+app.action(
+  "remind_incomplete_targets",
+  async ({ ack, body, action, client }) => {
+    await ack();
+
+    const p = safeJsonParse(action?.value || "{}") || {};
+    const teamId = p.teamId || body.team?.id || body.team_id;
+    const taskId = p.taskId;
+    const userId = getUserIdFromBody(body);
+    if (!teamId || !taskId || !userId) return;
+
+    try {
+      const task = await dbGetTaskById(teamId, taskId);
+      if (!task || task.task_type !== "broadcast") return;
+      if (task.requester_user_id !== userId) return;
+      if (task.status === "done" || task.status === "cancelled") return;
+
+      const { sent, skipped } = await sendBroadcastReminders(task, {
+        kind: "broadcast_manual",
+        headerText: `📣 <@${userId}> さんからリマインドが届いたよ`,
+      });
+
+      const notice = sent
+        ? `📣 未完了の ${sent} 名にリマインドを送ったよ${skipped ? `（今日送信済みの ${skipped} 名はスキップ）` : ""}`
+        : "📣 今日はもう全員にリマインド済みだよ";
+
+      if (body.view?.id) {
+        await client.views.update({
+          view_id: body.view.id,
+          hash: body.view.hash,
+          view: await buildProgressModalView({
+            teamId,
+            task,
+            viewerUserId: userId,
+            notice,
+          }),
+        });
+      }
+    } catch (e) {
+      console.error("remind_incomplete_targets error:", e?.data || e);
+    }
+  },
+);
+
+// ================================
+// Completion submission（broadcast：メモ / リンク / ファイルを添えて完了）
+// - 「提出して完了」から任意で入力（何も入れなければ普通の完了と同じ）
+// - task_completions の同じ行に保存 → 完了状況モーダル / Excel出力に出す
+// - file_input のファイルはどこにも共有されない（本人しか開けない）ので、
+//   依頼者へのDMに permalink を貼って共有する（DMに入っている人だけ開ける）
+// ================================
+const SUBMISSION_NOTE_PREVIEW = 120;
+const SUBMISSION_MAX_FILES = 5;
+
+async function dbGetCompletion(teamId, taskId, userId) {
+  const q = `
+    SELECT * FROM task_completions
+    WHERE team_id=$1 AND task_id=$2 AND user_id=$3
+    LIMIT 1;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, userId]);
+  return res.rows[0] || null;
+}
+
+async function dbListCompletionRows(teamId, taskId) {
+  const q = `
+    SELECT user_id, note, link_url, files, created_at
+    FROM task_completions
+    WHERE team_id=$1 AND task_id=$2
+    ORDER BY created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return res.rows || [];
+}
+
+function hasSubmission(s) {
+  return !!(s?.note || s?.link_url || s?.files?.length);
+}
+
+// 完了状況モーダル用：1人1行（メモは先頭だけ）
+function submissionLine(userId, s) {
+  const parts = [`• <@${userId}>`];
+  if (s?.note) {
+    const note = noMention(String(s.note).replace(/\s+/g, " ").trim());
+    parts.push(
+      `📝 ${note.length > SUBMISSION_NOTE_PREVIEW ? `${note.slice(0, SUBMISSION_NOTE_PREVIEW)}…` : note}`,
+    );
+  }
+  if (s?.link_url) parts.push(`🔗 <${s.link_url}|リンク>`);
+  for (const f of s?.files || []) {
+    parts.push(
+      f.permalink
+        ? `📎 <${f.permalink}|${noMention(f.name || "ファイル")}>`
+        : `📎 ${noMention(f.name || "ファイル")}`,
+    );
+  }
+  return parts.join("　");
+}
+
+// section の文字数上限（3000）に収まるように分割
+function chunkedSectionBlocks(lines, maxChars = 2800) {
+  const blocks = [];
+  let buf = "";
+  for (const line of lines) {
+    if (buf && buf.length + line.length + 1 > maxChars) {
+      blocks.push({ type: "section", text: { type: "mrkdwn", text: buf } });
+      buf = "";
+    }
+    buf = buf ? `${buf}\n${line}` : line;
+  }
+  if (buf)
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: buf } });
+  return blocks;
+}
+
+// permalink をメッセージ本文に入れると、そのDMにファイルが共有される
+async function shareSubmittedFiles(task, userId, files) {
+  const requesterId = task?.requester_user_id;
+  if (!requesterId || requesterId === userId || !files?.length) return;
+  const lines = files
+    .filter((f) => f.permalink)
+    .map((f) => `📎 <${f.permalink}|${noMention(f.name || "ファイル")}>`);
+  if (!lines.length) return;
+  await postDM(
+    requesterId,
+    `📎 <@${userId}> さんが「*${noMention(task.title)}*」の提出ファイルを送りました\n${lines.join("\n")}`,
+  );
+}
+
+function submitButtonElement(
+  teamId,
+  taskId,
+  { from = null, update = false } = {},
+) {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: update ? "📎 提出内容を更新" : "📎 提出して完了",
+    },
+    action_id: "open_completion_submit_modal",
+    value: JSON.stringify({ teamId, taskId, ...(from ? { from } : {}) }),
+  };
+}
+
+app.action(
+  "open_completion_submit_modal",
+  async ({ ack, body, action, client }) => {
+    await ack();
+    try {
+      const p = safeJsonParse(action.value || "{}") || {};
+      const teamId = p.teamId || getTeamIdFromBody(body);
+      const userId = getUserIdFromBody(body);
+      const task = await dbGetTaskById(teamId, p.taskId);
+      if (!task || task.task_type !== "broadcast") return;
+      if (["done", "cancelled"].includes(task.status)) return;
+      if (!(await dbIsUserTarget(teamId, task.id, userId))) {
+        await safeEphemeral(
+          client,
+          body.channel?.id || task.channel_id || userId,
+          userId,
+          "🥺 このタスクの対象者じゃないみたい…！",
+        );
+        return;
+      }
+
+      const current = await dbGetCompletion(teamId, task.id, userId);
+      const view = {
+        type: "modal",
+        callback_id: "completion_submit_modal",
+        private_metadata: JSON.stringify({
+          teamId,
+          taskId: task.id,
+          parent_view_id: body.view?.id || null,
+          dmChannelId: p.from === "remind" ? body.channel?.id || null : null,
+          dmTs: p.from === "remind" ? body.message?.ts || null : null,
+        }),
+        title: { type: "plain_text", text: "提出して完了" },
+        submit: { type: "plain_text", text: current ? "更新" : "完了にする" },
+        close: { type: "plain_text", text: "キャンセル" },
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `*${noMention(task.title)}*\nメモ・リンク・ファイルはどれも任意です。`,
+            },
+          },
+          {
+            type: "input",
+            block_id: "sub_note",
+            optional: true,
+            label: { type: "plain_text", text: "メモ" },
+            element: {
+              type: "plain_text_input",
+              action_id: "note",
+              multiline: true,
+              ...(current?.note ? { initial_value: current.note } : {}),
+            },
+          },
+          {
+            type: "input",
+            block_id: "sub_link",
+            optional: true,
+            label: { type: "plain_text", text: "リンク" },
+            element: {
+              type: "url_text_input",
+              action_id: "url",
+              ...(current?.link_url ? { initial_value: current.link_url } : {}),
+            },
+          },
+          {
+            type: "input",
+            block_id: "sub_files",
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: current?.files?.length
+                ? `ファイル（選ぶと差し替え・今は${current.files.length}件）`
+                : "ファイル",
+            },
+            element: {
+              type: "file_input",
+              action_id: "files",
+              max_files: SUBMISSION_MAX_FILES,
+            },
+          },
+        ],
+      };
+
+      if (body.view?.id) {
+        await client.views.push({ trigger_id: body.trigger_id, view });
+      } else {
+        await client.views.open({ trigger_id: body.trigger_id, view });
+      }
+    } catch (e) {
+      console.error("open_completion_submit_modal error:", e?.data || e);
+    }
+  },
+);
+
+app.view("completion_submit_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const v = view.state.values;
+  const note = v.sub_note?.note?.value?.trim() || null;
+  const linkUrl = v.sub_link?.url?.value?.trim() || null;
+  const files = (v.sub_files?.files?.files || []).map((f) => ({
+    id: f.id,
+    name: f.name || f.title || "",
+    permalink: f.permalink || "",
+  }));
+  await ack();
+
+  try {
+    const current = await dbGetCompletion(teamId, meta.taskId, userId);
+    const submission = {
+      note,
+      linkUrl,
+      // ファイルを選ばなかったら前のまま
+      files: files.length ? files : current?.files || [],
+    };
+
+    const result = await completeTaskByUser(client, {
+      teamId,
+      taskId: meta.taskId,
+      userId,
+      submission,
+    });
+    if (!result.ok) return;
+
+    // 新しく添付したファイルだけ依頼者に共有（差し替えなしなら共有済み）
+    await shareSubmittedFiles(result.task, userId, files);
+
+    if (meta.parent_view_id) {
+      try {
+        await client.views.update({
+          view_id: meta.parent_view_id,
+          view: await buildDetailModalView({
+            teamId,
+            task: (await dbGetTaskById(teamId, meta.taskId)) || result.task,
+            viewerUserId: userId,
+          }),
+        });
+      } catch (e) {
+        console.error("update detail after submit error:", e?.data || e);
+      }
+    }
+
+    if (meta.dmChannelId && meta.dmTs) {
+      try {
+        await client.chat.update({
+          channel: meta.dmChannelId,
+          ts: meta.dmTs,
+          text: "✅ 提出して完了にしました",
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `✅ *提出して完了にしました*\n「*${noMention(result.task?.title || "")}*」`,
+              },
+            },
+            {
+              type: "actions",
+              elements: [undoButtonElement(result.task)],
+            },
+          ],
+        });
+      } catch (_) {}
+    }
+  } catch (e) {
+    console.error("completion_submit_modal error:", e?.data || e);
+  }
+});
+
+// ================================
+// Broadcast targets（作成後の対象者の追加 / 除外・グループ追随）
+// - 依頼者が完了状況モーダルから追加/除外できる
+// - 「グループに追随」ON なら broadcast_group_id のメンバーに毎日合わせる
+//   ・手で追加した人（source=manual）は残す / 手で除外した人は戻さない
+// - どちらも件数を数え直して、確認待ちへの遷移もやり直す
+// ================================
+const TARGET_RESYNC_CRON = "0 7 * * *";
+
+async function dbAddTaskTarget(teamId, taskId, userId, source, actorUserId) {
+  const q = `
+    INSERT INTO task_targets (task_id, team_id, user_id, source)
+    VALUES ($1,$2,$3,$4)
+    ON CONFLICT (task_id, user_id) DO NOTHING
+    RETURNING user_id;
+  `;
+  const res = await dbQuery(q, [taskId, teamId, userId, source]);
+  const added = (res.rows || []).length > 0;
+  if (added) {
+    await dbQuery(
+      `DELETE FROM task_target_exclusions WHERE team_id=$1 AND task_id=$2 AND user_id=$3;`,
+      [teamId, taskId, userId],
+    );
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "target_added",
+      newValue: userId,
+    });
+  }
+  return added;
+}
+
+// 除外：完了記録も一緒に消す（件数に残らないように）
+async function dbRemoveTaskTarget(teamId, taskId, userId, actorUserId) {
+  const res = await dbQuery(
+    `DELETE FROM task_targets WHERE team_id=$1 AND task_id=$2 AND user_id=$3 RETURNING user_id;`,
+    [teamId, taskId, userId],
+  );
+  const removed = (res.rows || []).length > 0;
+  if (removed) {
+    await dbQuery(
+      `DELETE FROM task_completions WHERE team_id=$1 AND task_id=$2 AND user_id=$3;`,
+      [teamId, taskId, userId],
+    );
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "target_removed",
+      newValue: userId,
+    });
+  }
+  return removed;
+}
+
+async function dbExcludeTaskTarget(teamId, taskId, userId) {
+  const q = `
+    INSERT INTO task_target_exclusions (team_id, task_id, user_id, created_at)
+    VALUES ($1,$2,$3, now())
+    ON CONFLICT (task_id, user_id) DO NOTHING;
+  `;
+  await dbQuery(q, [teamId, taskId, userId]);
+}
+
+async function dbListTaskTargetRows(teamId, taskId) {
+  const q = `SELECT user_id, source FROM task_targets WHERE team_id=$1 AND task_id=$2;`;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return res.rows || [];
+}
+
+async function dbListTaskExclusions(teamId, taskId) {
+  const q = `SELECT user_id FROM task_target_exclusions WHERE team_id=$1 AND task_id=$2;`;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return (res.rows || []).map((r) => r.user_id);
+}
+
+async function dbSetFollowGroup(teamId, taskId, enabled, actorUserId) {
+  const res = await dbQuery(
+    `UPDATE tasks SET follow_group=$3, updated_at=now() WHERE team_id=$1 AND id=$2 RETURNING *;`,
+    [teamId, taskId, !!enabled],
+  );
+  const updated = res.rows[0] || null;
+  if (updated) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "follow_group",
+      newValue: enabled ? "on" : "off",
+    });
+  }
+  return updated;
+}
+
+// 追随ONにした時点で「グループ外の対象者」は手動扱いにして残す
+async function dbMarkNonGroupTargetsManual(teamId, taskId, memberIds) {
+  const q = `
+    UPDATE task_targets
+    SET source='manual'
+    WHERE team_id=$1 AND task_id=$2 AND NOT (user_id = ANY($3::text[]));
+  `;
+  await dbQuery(q, [teamId, taskId, memberIds]);
+}
+
+// 追加/除外のあと：件数・ステータスを揃えて、確認待ちに入ったら依頼者へ
+async function afterTargetsChanged(client, teamId, taskId, actorUserId) {
+  const before = await dbGetTaskById(teamId, taskId);
+  const updated = await recountBroadcast(teamId, taskId, { actorUserId });
+  if (!updated) return before;
+
+  if (before?.status === "waiting" && updated.status !== "waiting") {
+    // 未完了の人が増えた → 全員完了し直したら確認DMを出し直す
+    await dbClearNotificationLog(teamId, taskId, ["broadcast_confirm"]);
+  }
+  if (
+    updated.status === "waiting" &&
+    before?.status !== "waiting" &&
+    (await dbTryLogNotification(
+      updated,
+      updated.requester_user_id,
+      "broadcast_confirm",
+      todayJstYmd(),
+    ))
+  ) {
+    await postRequesterConfirmDM({
+      teamId,
+      taskId,
+      requesterUserId: updated.requester_user_id,
+      title: updated.title,
+    });
+  }
+
+  await refreshAfterReopen(client, teamId, updated);
+  return updated;
+}
+
+// 追加/除外を反映（新しく入った人には「届いたよ」DM）
+async function applyTargetChanges(
+  client,
+  task,
+  { addIds = [], removeIds = [], actorUserId, source = "manual" },
+) {
+  const teamId = task.team_id;
+  const added = [];
+  const removed = [];
+
+  for (const uid of removeIds) {
+    if (await dbRemoveTaskTarget(teamId, task.id, uid, actorUserId))
+      removed.push(uid);
+    if (source === "manual") await dbExcludeTaskTarget(teamId, task.id, uid);
+  }
+  for (const uid of addIds) {
+    if (await dbAddTaskTarget(teamId, task.id, uid, source, actorUserId))
+      added.push(uid);
+  }
+
+  if (!added.length && !removed.length) return { task, added, removed };
+
+  const updated = await afterTargetsChanged(
+    client,
+    teamId,
+    task.id,
+    actorUserId,
+  );
+  for (const uid of added) {
+    if (uid !== actorUserId)
+      await notifyTaskSimpleDM(uid, updated, "📝 タスクの対象に追加されたよ");
+  }
+  for (const uid of removed) {
+    if (uid !== actorUserId)
+      await notifyTaskSimpleDM(uid, updated, "🙆 タスクの対象から外れたよ");
+  }
+  // 外れた人の Home からも消す
+  publishHomeForUsers(client, teamId, removed);
+  return { task: updated, added, removed };
+}
+
+// グループのメンバーに合わせる（追随ONのタスクだけ）
+async function resyncTargetsFromGroup(client, task, actorUserId = null) {
+  if (!task?.follow_group || !task.broadcast_group_id) return null;
+  if (["done", "cancelled"].includes(task.status)) return null;
+
+  usergroupMembersCache.delete(`${task.team_id}:${task.broadcast_group_id}`);
+  const members = await getUsergroupMembers(
+    task.team_id,
+    task.broadcast_group_id,
+  );
+  // 取れなかった（API失敗/空）ときは全員外れてしまうので何もしない
+  if (!members.length) return null;
+
+  const memberSet = new Set(members);
+  const rows = await dbListTaskTargetRows(task.team_id, task.id);
+  const current = new Set(rows.map((r) => r.user_id));
+  const excluded = new Set(await dbListTaskExclusions(task.team_id, task.id));
+
+  const addIds = members.filter((u) => !current.has(u) && !excluded.has(u));
+  const removeIds = rows
+    .filter((r) => r.source !== "manual" && !memberSet.has(r.user_id))
+    .map((r) => r.user_id);
+
+  return await applyTargetChanges(client, task, {
+    addIds,
+    removeIds,
+    actorUserId,
+    source: "group",
+  });
+}
+
+app.action("open_edit_targets_modal", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const task = await dbGetTaskById(teamId, p.taskId);
+    if (!task || task.task_type !== "broadcast") return;
+    if (task.requester_user_id !== userId) return;
+    if (["done", "cancelled"].includes(task.status)) return;
+
+    const followOption = {
+      text: {
+        type: "plain_text",
+        text: "グループに追随（毎日メンバーを同期）",
+      },
+      description: {
+        type: "plain_text",
+        text: "グループに入った人は追加、抜けた人は除外（手で追加した人は残ります）",
+      },
+      value: "on",
+    };
+
+    await client.views.push({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "edit_targets_modal",
+        private_metadata: JSON.stringify({ teamId, taskId: task.id }),
+        title: { type: "plain_text", text: "対象者を追加/除外" },
+        submit: { type: "plain_text", text: "反映" },
+        close: { type: "plain_text", text: "キャンセル" },
+        blocks: [
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: `*${noMention(task.title)}*` },
+          },
+          {
+            type: "input",
+            block_id: "targets_add",
+            optional: true,
+            label: { type: "plain_text", text: "追加する人" },
+            element: { type: "multi_users_select", action_id: "users" },
+          },
+          {
+            type: "input",
+            block_id: "targets_remove",
+            optional: true,
+            label: { type: "plain_text", text: "除外する人" },
+            hint: {
+              type: "plain_text",
+              text: "除外した人の完了記録は件数から外れます",
+            },
+            element: { type: "multi_users_select", action_id: "users" },
+          },
+          ...(task.broadcast_group_id
+            ? [
+                {
+                  type: "input",
+                  block_id: "follow_group",
+                  optional: true,
+                  label: {
+                    type: "plain_text",
+                    text: `グループ（${task.broadcast_group_handle || "対象グループ"}）`,
+                  },
+                  element: {
+                    type: "checkboxes",
+                    action_id: "follow",
+                    options: [followOption],
+                    ...(task.follow_group
+                      ? { initial_options: [followOption] }
+                      : {}),
+                  },
+                },
+              ]
+            : []),
+        ],
+      },
+    });
+  } catch (e) {
+    console.error("open_edit_targets_modal error:", e?.data || e);
+  }
+});
+
+app.view("edit_targets_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const v = view.state.values;
+  const addIds = v.targets_add?.users?.selected_users || [];
+  const removeIds = v.targets_remove?.users?.selected_users || [];
+  const follow = (v.follow_group?.follow?.selected_options || []).some(
+    (o) => o.value === "on",
+  );
+
+  const overlap = addIds.filter((u) => removeIds.includes(u));
+  if (overlap.length) {
+    await ack({
+      response_action: "errors",
+      errors: { targets_remove: "追加と除外の両方に同じ人が入っています" },
+    });
+    return;
+  }
+  await ack();
+
+  try {
+    let task = await dbGetTaskById(teamId, meta.taskId);
+    if (!task || task.task_type !== "broadcast") return;
+    if (task.requester_user_id !== userId) return;
+    if (["done", "cancelled"].includes(task.status)) return;
+
+    const {
+      task: changed,
+      added,
+      removed,
+    } = await applyTargetChanges(client, task, {
+      addIds,
+      removeIds,
+      actorUserId: userId,
+    });
+    task = changed;
+
+    let synced = null;
+    if (task.broadcast_group_id && follow !== !!task.follow_group) {
+      task = (await dbSetFollowGroup(teamId, task.id, follow, userId)) || task;
+      if (follow) {
+        const members = await getUsergroupMembers(
+          teamId,
+          task.broadcast_group_id,
+        );
+        // 取れなかった（API失敗/空）ときは全員が手動扱いになるので触らない（毎朝の同期でやり直し）
+        if (members.length) {
+          await dbMarkNonGroupTargetsManual(teamId, task.id, members);
+          synced = await resyncTargetsFromGroup(client, task, userId);
+          if (synced?.task) task = synced.task;
+        }
+      }
+    }
+
+    const parts = [];
+    if (added.length) parts.push(`➕ 追加 ${added.length}名`);
+    if (removed.length) parts.push(`➖ 除外 ${removed.length}名`);
+    if (synced && (synced.added.length || synced.removed.length))
+      parts.push(
+        `🔄 グループと同期（+${synced.added.length} / -${synced.removed.length}）`,
+      );
+    if (follow !== !!changed.follow_group && task.broadcast_group_id)
+      parts.push(follow ? "グループ追随ON" : "グループ追随OFF");
+
+    const prevViewId = body.view?.previous_view_id;
+    if (prevViewId) {
+      await client.views.update({
+        view_id: prevViewId,
+        view: await buildProgressModalView({
+          teamId,
+          task: (await dbGetTaskById(teamId, task.id)) || task,
+          viewerUserId: userId,
+          notice: parts.length ? parts.join("　") : "変更はありませんでした",
+        }),
+      });
+    }
+  } catch (e) {
+    console.error("edit_targets_modal error:", e?.data || e);
+  }
+});
+
+async function runTargetResyncJob() {
+  const q = `
+    SELECT *
+    FROM tasks
+    WHERE task_type='broadcast'
+      AND follow_group = true
+      AND broadcast_group_id IS NOT NULL
+      AND status NOT IN ('done','cancelled')
+    ORDER BY created_at ASC
+    LIMIT 500;
+  `;
+  const tasks = (await dbQuery(q, [])).rows;
+
+  let changed = 0;
+  for (const t of tasks) {
+    try {
+      const r = await resyncTargetsFromGroup(app.client, t);
+      if (r && (r.added.length || r.removed.length)) changed++;
+    } catch (e) {
+      console.error("target resync error:", t.id, e?.data || e);
+    }
+  }
+  console.log(`[target-resync] tasks=${tasks.length} changed=${changed}`);
+}
+
+cron.schedule(
+  TARGET_RESYNC_CRON,
+  () => {
+    runTargetResyncJob().catch((e) =>
+      console.error("runTargetResyncJob error:", e?.data || e),
+    );
+  },
+  { timezone: "Asia/Tokyo" },
+);
+
+// ================================
+// Due notify（各自の現地 09:00）- personal tasks only (broadcastは下の Broadcast remind で未完了者だけに通知)
+// ================================
+function todayJstYmd() {
+  const now = new Date();
+  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+  const y = jst.getUTCFullYear();
+  const m = String(jst.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(jst.getUTCDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+// opts: { icon, message, note } で文言を差し替え（期限切れ/エスカレーション用）
+async function notifyUserDM(userId, task, roleLabel, opts = {}) {
+  if (!userId) return;
+  const icon = opts.icon || "⏰";
+  const message = opts.message || "今日が期限です";
+  const note = opts.note ? `\n${opts.note}` : "";
+
+  const dm = await app.client.conversations.open({ users: userId });
+  const channel = dm.channel?.id;
+  if (!channel) return;
+
+  // 期限表示：JST基準で「今日」を優先。DB/pgの型差（Date/文字列）にも耐える。
+  const today = todayJstYmd();
+  const dueYmd =
+    slackDateYmd(task.due_date) ||
+    (typeof task.due_date === "string" ? task.due_date.slice(0, 10) : "");
+
+  const payload = JSON.stringify({ teamId: task.team_id, taskId: task.id });
+  const hasLink = hasSourceLink(task);
+
+  await app.client.chat.postMessage({
+    channel,
+    text: `${icon} ${message}（${roleLabel}）: ${noMention(task.title)}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${icon} *${message}*（${roleLabel}）\n*${noMention(task.title)}*${note}`,
+        },
+      },
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: "詳細を開く" },
+            action_id: "open_detail_modal",
+            value: payload,
+          },
+          ...(hasLink
+            ? [
+                {
+                  type: "button",
+                  text: { type: "plain_text", text: "元メッセージへ" },
+                  url: task.source_permalink,
+                },
+              ]
+            : []),
+        ],
+      },
+    ],
+  });
+}
+
+// 期限切れエスカレーション（personal）
+// - 当日：依頼者/対応者へ「今日が期限です」
+// - 期限切れ：対応者へ毎日（PERSONAL_OVERDUE_MAX_DAYS 日目まで）
+// - N日超過：依頼者へ1回 / 部署リーダーへ1回（任意）
+// - 優先度「高」：期限の HIGH_PRIORITY_REMIND_DAYS_BEFORE 日前に対応者へ1回
+// 送信済みは task_notifications に記録（期限が変わったらその期限で改めて通知）
+const PERSONAL_OVERDUE_MAX_DAYS = Number(
+  process.env.PERSONAL_OVERDUE_MAX_DAYS || "14",
+);
+const ESCALATE_REQUESTER_AFTER_DAYS = Number(
+  process.env.ESCALATE_REQUESTER_AFTER_DAYS || "3",
+);
+// 部署リーダー通知：両方設定されているときだけ有効
+const ESCALATE_LEAD_AFTER_DAYS = Number(
+  process.env.ESCALATE_LEAD_AFTER_DAYS || "0",
+);
+const DEPT_LEAD_USER_IDS = (process.env.DEPT_LEAD_USER_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+// 優先度「高」は期限のN日前にも対応者へ知らせる（0で無効、broadcast も同じ値）
+const HIGH_PRIORITY_REMIND_DAYS_BEFORE = Number(
+  process.env.HIGH_PRIORITY_REMIND_DAYS_BEFORE || "2",
+);
+
+// 通知は受け手の現地時刻で送る（users.info の tz）
+// - 日付ベースのリマインド：現地 LOCAL_NOTIFY_HOUR 時〜LOCAL_NOTIFY_LAST_HOUR 時の間に1回
+//   （夜中に起動した日などに深夜のDMが飛ばないように上限をつける）
+// - 時刻付きの期限：DUE_TIME_REMIND_HOURS_BEFORE 時間前にも1回（0で無効）
+const NOTIFY_TICK_CRON = "*/15 * * * *";
+const LOCAL_NOTIFY_HOUR = Number(process.env.LOCAL_NOTIFY_HOUR || "9");
+const LOCAL_NOTIFY_LAST_HOUR = 20;
+const DUE_TIME_REMIND_HOURS_BEFORE = Number(
+  process.env.DUE_TIME_REMIND_HOURS_BEFORE || "1",
+);
+
+function isLocalNotifyTime(local) {
+  return (
+    local.hour >= LOCAL_NOTIFY_HOUR && local.hour <= LOCAL_NOTIFY_LAST_HOUR
+  );
+}
+
+// 時刻付きの期限が近い（N時間以内で、まだ過ぎていない）
+function isDueTimeSoon(task, now = new Date()) {
+  if (DUE_TIME_REMIND_HOURS_BEFORE <= 0) return false;
+  const dueAt = taskDueAt(task);
+  if (!dueAt) return false;
+  const msLeft = dueAt.getTime() - now.getTime();
+  return msLeft > 0 && msLeft <= DUE_TIME_REMIND_HOURS_BEFORE * 60 * 60 * 1000;
+}
+
+async function notifyDueTimeSoon(task, userId, roleLabel, now = new Date()) {
+  if (!userId || !isDueTimeSoon(task, now)) return false;
+  return await notifyOnce(
+    task,
+    userId,
+    "due_time_soon",
+    slackDateYmd(task.due_date),
+    roleLabel,
+    {
+      icon: "⏳",
+      message: `まもなく期限です（${formatTaskDue(task)}）`,
+    },
+  );
+}
+
+// 対応者の部署（user_departments）から、同じ部署のリーダーを引く
+async function dbListDeptLeadUserIds(teamId, deptKey) {
+  if (!deptKey || !DEPT_LEAD_USER_IDS.length) return [];
+  const q = `
+    SELECT user_id
+    FROM user_departments
+    WHERE team_id=$1 AND dept_key=$2 AND user_id = ANY($3::text[]);
+  `;
+  const res = await dbQuery(q, [teamId, deptKey, DEPT_LEAD_USER_IDS]);
+  return (res.rows || []).map((r) => r.user_id).filter(Boolean);
+}
+
+// 記録できたときだけ送る（= 二重送信しない）
+async function notifyOnce(task, userId, kind, notifyDate, roleLabel, opts) {
+  if (!userId) return false;
+  if (!(await dbTryLogNotification(task, userId, kind, notifyDate)))
+    return false;
+  await notifyUserDM(userId, task, roleLabel, opts);
+  return true;
+}
+
+async function runDueNotifyJob(now = new Date()) {
+  const today = todayJstYmd();
+  const maxDays = Math.max(
+    PERSONAL_OVERDUE_MAX_DAYS,
+    ESCALATE_REQUESTER_AFTER_DAYS,
+    ESCALATE_LEAD_AFTER_DAYS,
+  );
+  const leadEnabled =
+    ESCALATE_LEAD_AFTER_DAYS > 0 && DEPT_LEAD_USER_IDS.length > 0;
+
+  // 受け手の「今日」は JST と ±1日ずれるので、範囲は1日ずつ広めに取る
+  const q = `
+    SELECT *
+    FROM tasks
+    WHERE due_date BETWEEN ($1::date - $2::int - 1) AND ($1::date + $3::int + 1)
+      AND status NOT IN ('done','cancelled')
+      AND (task_type IS NULL OR task_type='personal')
+    ORDER BY due_date ASC, created_at ASC
+    LIMIT 500;
+  `;
+  const tasks = (
+    await dbQuery(q, [
+      today,
+      maxDays,
+      Math.max(0, HIGH_PRIORITY_REMIND_DAYS_BEFORE),
+    ])
+  ).rows;
+
+  let sent = 0;
+  for (const t of tasks) {
+    try {
+      const dueYmd = slackDateYmd(t.due_date);
+
+      // 時刻付きの期限：N時間前に対応者へ（現地時刻に関係なく）
+      if (await notifyDueTimeSoon(t, t.assignee_id, "対応者", now)) sent++;
+
+      // 受け手の現地で「今日」が期限から何日目か（通知時間帯の外なら null）
+      const overdueDaysFor = async (userId) => {
+        if (!userId) return null;
+        const local = await userLocalClock(t.team_id, userId, now);
+        if (!isLocalNotifyTime(local)) return null;
+        return { localToday: local.ymd, days: diffDaysYmd(dueYmd, local.ymd) };
+      };
+
+      const dueTodayOpts = {
+        message: `今日が期限です${t.due_time ? `（${formatTaskDue(t)}まで）` : ""}`,
+      };
+
+      // 対応者：期限前（優先度「高」）/ 当日 / 期限切れは毎日
+      const a = await overdueDaysFor(t.assignee_id);
+      if (a && a.days < 0) {
+        if (
+          normalizePriority(t.priority) === "high" &&
+          -a.days === HIGH_PRIORITY_REMIND_DAYS_BEFORE &&
+          (await notifyOnce(
+            t,
+            t.assignee_id,
+            "personal_due_soon",
+            dueYmd,
+            "対応者",
+            {
+              icon: "🔴",
+              message: `優先度「高」：期限まであと${-a.days}日です`,
+            },
+          ))
+        )
+          sent++;
+      } else if (a && a.days === 0) {
+        if (
+          await notifyOnce(
+            t,
+            t.assignee_id,
+            "personal_due",
+            dueYmd,
+            "対応者",
+            dueTodayOpts,
+          )
+        )
+          sent++;
+      } else if (
+        a &&
+        a.days <= PERSONAL_OVERDUE_MAX_DAYS &&
+        (await notifyOnce(
+          t,
+          t.assignee_id,
+          "personal_overdue",
+          a.localToday,
+          "対応者",
+          { icon: "⚠️", message: `期限を${a.days}日過ぎています` },
+        ))
+      )
+        sent++;
+
+      // 対応者が不在中：代理にも（当日 / 期限切れは毎日）
+      // 不在かどうかも代理の現地の「今日」で見る（DMの判定と同じ日付）
+      const delegateId = (await loadTeamAbsences(t.team_id)).get(
+        t.assignee_id,
+      )?.delegate_user_id;
+      const d =
+        delegateId && delegateId !== t.assignee_id
+          ? await overdueDaysFor(delegateId)
+          : null;
+      const absence = d
+        ? cachedAbsence(t.team_id, t.assignee_id, d.localToday)
+        : null;
+      if (absence) {
+        const delegateNote = `対応者 <@${t.assignee_id}> さんが不在中（${absenceRangeText(absence)}）のため代理でお知らせしています`;
+        if (
+          d &&
+          d.days === 0 &&
+          (await notifyOnce(t, delegateId, "delegate_due", dueYmd, "代理", {
+            ...dueTodayOpts,
+            note: delegateNote,
+          }))
+        )
+          sent++;
+        else if (
+          d &&
+          d.days > 0 &&
+          d.days <= PERSONAL_OVERDUE_MAX_DAYS &&
+          (await notifyOnce(
+            t,
+            delegateId,
+            "delegate_overdue",
+            d.localToday,
+            "代理",
+            {
+              icon: "⚠️",
+              message: `期限を${d.days}日過ぎています`,
+              note: delegateNote,
+            },
+          ))
+        )
+          sent++;
+      }
+
+      // 依頼者：当日 / N日超過で1回
+      const r = await overdueDaysFor(t.requester_user_id);
+      const escalateOpts = (days) => ({
+        icon: "🚨",
+        message: `期限を${days}日過ぎています`,
+        note: `対応者：<@${t.assignee_id}>（期限 ${formatTaskDue(t)}）`,
+      });
+
+      if (
+        r &&
+        r.days === 0 &&
+        (await notifyOnce(
+          t,
+          t.requester_user_id,
+          "personal_due",
+          dueYmd,
+          "依頼者",
+          dueTodayOpts,
+        ))
+      )
+        sent++;
+
+      if (
+        r &&
+        r.days > 0 &&
+        r.days >= ESCALATE_REQUESTER_AFTER_DAYS &&
+        t.requester_user_id !== t.assignee_id &&
+        (await notifyOnce(
+          t,
+          t.requester_user_id,
+          "escalate_requester",
+          dueYmd,
+          "依頼者",
+          escalateOpts(r.days),
+        ))
+      )
+        sent++;
+
+      // 超過日数はリーダーごとの現地の「今日」で判定（下の l.days）
+      if (leadEnabled) {
+        const deptKey =
+          t.assignee_dept ||
+          (await resolveDeptForUser(t.team_id, t.assignee_id));
+        const leads = (await dbListDeptLeadUserIds(t.team_id, deptKey)).filter(
+          (u) => u !== t.assignee_id,
+        );
+        for (const lead of leads) {
+          const l = await overdueDaysFor(lead);
+          if (
+            l &&
+            l.days > 0 &&
+            l.days >= ESCALATE_LEAD_AFTER_DAYS &&
+            (await notifyOnce(
+              t,
+              lead,
+              "escalate_lead",
+              dueYmd,
+              "部署リーダー",
+              escalateOpts(l.days),
+            ))
+          )
+            sent++;
+        }
+      }
+    } catch (e) {
+      console.error("notify error:", e?.data || e);
+    }
+  }
+
+  // 15分おきに回るので、送ったときだけログ
+  if (sent > 0) {
+    console.log(
+      `[notify] done. today=${today} tasks=${tasks.length} sent=${sent}`,
+    );
+  }
+}
+
+// 各自の現地 LOCAL_NOTIFY_HOUR 時に届くよう、15分おきに見る（送信済みは記録で弾く）
+cron.schedule(NOTIFY_TICK_CRON, () => {
+  runDueNotifyJob().catch((e) =>
+    console.error("runDueNotifyJob error:", e?.data || e),
+  );
+});
+
+if (process.env.RUN_NOTIFY_NOW === "true") {
+  runDueNotifyJob().catch(console.error);
+}
+
+// ================================
+// Broadcast remind（各自の現地 09:00）- 未完了の対象者だけにDM
+// - 期限N日前 / 当日 / 期限切れ後は毎日（env で調整）
+// - 時刻付きの期限は N 時間前にも（DUE_TIME_REMIND_HOURS_BEFORE）
+// - 送信済みは task_notifications に記録（同じ日に同じ人へ二重送信しない）
+// ================================
+const BROADCAST_REMIND_DAYS_BEFORE = (
+  process.env.BROADCAST_REMIND_DAYS_BEFORE ?? "1"
+)
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((n) => Number.isInteger(n) && n > 0);
+const BROADCAST_REMIND_ON_DUE = process.env.BROADCAST_REMIND_ON_DUE !== "false";
+const BROADCAST_REMIND_OVERDUE =
+  process.env.BROADCAST_REMIND_OVERDUE !== "false";
+// 期限切れリマインドは何日目まで送るか（無限に続かないように）
+const BROADCAST_REMIND_OVERDUE_MAX_DAYS = Number(
+  process.env.BROADCAST_REMIND_OVERDUE_MAX_DAYS || "14",
+);
+
+async function dbListPendingTargetUserIds(teamId, taskId) {
+  const q = `
+    SELECT tt.user_id
+    FROM task_targets tt
+    LEFT JOIN task_completions tc
+      ON tc.task_id = tt.task_id AND tc.team_id = tt.team_id AND tc.user_id = tt.user_id
+    WHERE tt.team_id=$1 AND tt.task_id=$2 AND tc.user_id IS NULL
+    ORDER BY tt.user_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return (res.rows || []).map((r) => r.user_id).filter(Boolean);
+}
+
+// 記録できた（= まだ送っていない）ときだけ true
+async function dbTryLogNotification(task, userId, kind, notifyDate) {
+  const q = `
+    INSERT INTO task_notifications (team_id, task_id, user_id, kind, notify_date, sent_at)
+    VALUES ($1,$2,$3,$4,$5, now())
+    ON CONFLICT (task_id, user_id, kind, notify_date) DO NOTHING
+    RETURNING task_id;
+  `;
+  const res = await dbQuery(q, [
+    task.team_id,
+    task.id,
+    userId,
+    kind,
+    notifyDate,
+  ]);
+  return (res.rows || []).length > 0;
+}
+
+// 期限に対してどのリマインドか（対象外なら null）
+// 優先度「高」は HIGH_PRIORITY_REMIND_DAYS_BEFORE 日前にも送る
+function broadcastRemindKind(dueYmd, today, priority) {
+  if (!dueYmd) return null;
+  const daysLeft = diffDaysYmd(today, dueYmd);
+  if (daysLeft > 0)
+    return BROADCAST_REMIND_DAYS_BEFORE.includes(daysLeft) ||
+      (normalizePriority(priority) === "high" &&
+        daysLeft === HIGH_PRIORITY_REMIND_DAYS_BEFORE)
+      ? "broadcast_before"
+      : null;
+  if (daysLeft === 0) return BROADCAST_REMIND_ON_DUE ? "broadcast_due" : null;
+  return BROADCAST_REMIND_OVERDUE &&
+    -daysLeft <= BROADCAST_REMIND_OVERDUE_MAX_DAYS
+    ? "broadcast_overdue"
+    : null;
+}
+
+function broadcastRemindHeader(kind, dueYmd, today) {
+  const daysLeft = diffDaysYmd(today, dueYmd);
+  if (kind === "broadcast_before") return `🔔 期限まであと${daysLeft}日だよ`;
+  if (kind === "broadcast_due") return "⏰ 今日が期限だよ";
+  return `⚠️ 期限を${-daysLeft}日過ぎてるよ`;
+}
+
+async function postBroadcastReminderDM(userId, task, headerText) {
+  const dm = await app.client.conversations.open({ users: userId });
+  const channel = dm.channel?.id;
+  if (!channel) return;
+
+  const payload = { teamId: task.team_id, taskId: task.id };
+  const hasLink = hasSourceLink(task);
+
+  await app.client.chat.postMessage({
+    channel,
+    text: `${headerText}: ${noMention(task.title)}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${headerText}\n*${noMention(task.title)}*\n期限：${formatTaskDue(task)}`,
+        },
+      },
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: { type: "plain_text", text: "完了 ✅" },
+            style: "primary",
+            action_id: "complete_task",
+            value: JSON.stringify({ ...payload, from: "remind" }),
+          },
+          submitButtonElement(task.team_id, task.id, { from: "remind" }),
+          {
+            type: "button",
+            text: { type: "plain_text", text: "詳細を開く" },
+            action_id: "open_detail_modal",
+            value: JSON.stringify(payload),
+          },
+          ...(hasLink
+            ? [
+                {
+                  type: "button",
+                  text: { type: "plain_text", text: "元メッセージへ" },
+                  url: task.source_permalink,
+                },
+              ]
+            : []),
+        ],
+      },
+    ],
+  });
+}
+
+// 未完了者へリマインド（cron / 手動 共通）
+async function sendBroadcastReminders(task, { kind, headerText }) {
+  const today = todayJstYmd();
+  const pending = await dbListPendingTargetUserIds(task.team_id, task.id);
+
+  let sent = 0;
+  let skipped = 0;
+  for (const uid of pending) {
+    if (!(await dbTryLogNotification(task, uid, kind, today))) {
+      skipped++;
+      continue;
+    }
+    try {
+      await postBroadcastReminderDM(uid, task, headerText);
+      sent++;
+    } catch (e) {
+      console.error("broadcast remind DM error:", e?.data || e);
+    }
+  }
+  return { sent, skipped };
+}
+
+async function runBroadcastRemindJob(now = new Date()) {
+  const today = todayJstYmd();
+  const maxBefore = Math.max(
+    0,
+    HIGH_PRIORITY_REMIND_DAYS_BEFORE,
+    ...BROADCAST_REMIND_DAYS_BEFORE,
+  );
+
+  // waiting は全員完了済みなので対象外（受け手の「今日」のずれ用に±1日広め）
+  const q = `
+    SELECT *
+    FROM tasks
+    WHERE task_type='broadcast'
+      AND status NOT IN ('done','cancelled','waiting')
+      AND due_date IS NOT NULL
+      AND due_date BETWEEN ($1::date - $2::int - 1) AND ($1::date + $3::int + 1)
+    ORDER BY due_date ASC, created_at ASC
+    LIMIT 500;
+  `;
+  const tasks = (
+    await dbQuery(q, [today, BROADCAST_REMIND_OVERDUE_MAX_DAYS, maxBefore])
+  ).rows;
+
+  let sentTotal = 0;
+  for (const t of tasks) {
+    try {
+      const dueYmd = slackDateYmd(t.due_date);
+      const timeSoon = isDueTimeSoon(t, now);
+      const pending = await dbListPendingTargetUserIds(t.team_id, t.id);
+
+      for (const uid of pending) {
+        // 時刻付きの期限：N時間前
+        if (
+          timeSoon &&
+          (await dbTryLogNotification(t, uid, "due_time_soon", dueYmd))
+        ) {
+          await postBroadcastReminderDM(
+            uid,
+            t,
+            `⏳ まもなく期限だよ（${formatTaskDue(t)}）`,
+          );
+          sentTotal++;
+        }
+
+        // 日付ベース：その人の現地の「今日」で判定
+        const local = await userLocalClock(t.team_id, uid, now);
+        if (!isLocalNotifyTime(local)) continue;
+        const kind = broadcastRemindKind(dueYmd, local.ymd, t.priority);
+        if (!kind) continue;
+        if (!(await dbTryLogNotification(t, uid, kind, local.ymd))) continue;
+        await postBroadcastReminderDM(
+          uid,
+          t,
+          broadcastRemindHeader(kind, dueYmd, local.ymd),
+        );
+        sentTotal++;
+      }
+    } catch (e) {
+      console.error("broadcast remind error:", e?.data || e);
+    }
+  }
+
+  if (sentTotal > 0) {
+    console.log(
+      `[remind] done. today=${today} tasks=${tasks.length} sent=${sentTotal}`,
+    );
+  }
+}
+
+cron.schedule(NOTIFY_TICK_CRON, () => {
+  runBroadcastRemindJob().catch((e) =>
+    console.error("runBroadcastRemindJob error:", e?.data || e),
+  );
+});
+
+if (process.env.RUN_REMIND_NOW === "true") {
+  runBroadcastRemindJob().catch(console.error);
+}
+
+// ================================
+// Recurring tasks（task_schedules）
+// - task_modal / edit_task_modal で繰り返しを設定
+// - 毎朝 cron でテンプレートから新しいタスクを作る（グループは生成時に再展開）
+// ================================
+const RECURRENCE_NONE = "none";
+
+// value: weekdays / weekly:<0-6> / monthly:<1-31|last> / last_business_day
+const RECURRENCE_OPTION_GROUPS = [
+  {
+    label: "なし",
+    options: [{ value: RECURRENCE_NONE, text: "繰り返さない" }],
+  },
+  {
+    label: "毎日/毎週",
+    options: [
+      { value: "weekdays", text: "毎日（平日）" },
+      { value: "weekly:1", text: "毎週 月曜" },
+      { value: "weekly:2", text: "毎週 火曜" },
+      { value: "weekly:3", text: "毎週 水曜" },
+      { value: "weekly:4", text: "毎週 木曜" },
+      { value: "weekly:5", text: "毎週 金曜" },
+    ],
+  },
+  {
+    label: "毎月",
+    options: [
+      { value: "monthly:1", text: "毎月 1日" },
+      { value: "monthly:10", text: "毎月 10日" },
+      { value: "monthly:15", text: "毎月 15日" },
+      { value: "monthly:20", text: "毎月 20日" },
+      { value: "monthly:25", text: "毎月 25日" },
+      { value: "monthly:last", text: "毎月 末日" },
+      { value: "last_business_day", text: "毎月 最終営業日" },
+    ],
+  },
+];
+
+const RECURRENCE_OPTIONS = RECURRENCE_OPTION_GROUPS.flatMap((g) => g.options);
+
+function recurrenceLabel(rule) {
+  const f = RECURRENCE_OPTIONS.find((o) => o.value === rule);
+  return f ? f.text : "繰り返さない";
+}
+
+function isValidRecurrenceRule(rule) {
+  return (
+    !!rule &&
+    rule !== RECURRENCE_NONE &&
+    RECURRENCE_OPTIONS.some((o) => o.value === rule)
+  );
+}
+
+function recurrenceInputBlock(currentRule = RECURRENCE_NONE) {
+  const toOption = (o) => ({
+    text: { type: "plain_text", text: o.text },
+    value: o.value,
+  });
+  const cur =
+    RECURRENCE_OPTIONS.find((o) => o.value === currentRule) ||
+    RECURRENCE_OPTIONS[0];
+  return {
+    type: "input",
+    block_id: "recurrence",
+    optional: true,
+    label: { type: "plain_text", text: "繰り返し" },
+    element: {
+      type: "static_select",
+      action_id: "recurrence_select",
+      initial_option: toOption(cur),
+      option_groups: RECURRENCE_OPTION_GROUPS.map((g) => ({
+        label: { type: "plain_text", text: g.label },
+        options: g.options.map(toOption),
+      })),
+    },
+  };
+}
+
+function readRecurrenceRule(view) {
+  const v =
+    view?.state?.values?.recurrence?.recurrence_select?.selected_option
+      ?.value || RECURRENCE_NONE;
+  return isValidRecurrenceRule(v) ? v : RECURRENCE_NONE;
+}
+
+// YYYY-MM-DD（JST日付）ユーティリティ
+function ymdParts(ymd) {
+  const [y, m, d] = String(ymd).split("-").map(Number);
+  return { y, m, d };
+}
+
+function dayOfWeekYmd(ymd) {
+  const { y, m, d } = ymdParts(ymd);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function lastDayOfMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function diffDaysYmd(fromYmd, toYmd) {
+  const a = ymdParts(fromYmd);
+  const b = ymdParts(toYmd);
+  const ms = Date.UTC(b.y, b.m - 1, b.d) - Date.UTC(a.y, a.m - 1, a.d);
+  return Math.round(ms / (24 * 60 * 60 * 1000));
+}
+
+// 期限の「作成日から何日後か」（タスク生成時に同じ間隔で期限を付ける）
+function dueOffsetDaysForTask(task) {
+  const dueYmd = slackDateYmd(task.due_date);
+  if (!dueYmd) return 0;
+  const created = task.created_at ? new Date(task.created_at) : new Date();
+  const jst = new Date(created.getTime() + 9 * 60 * 60 * 1000);
+  const baseYmd = jst.toISOString().slice(0, 10);
+  return Math.max(0, diffDaysYmd(baseYmd, dueYmd));
+}
+
+// ※祝日は考慮しない（土日のみ休み扱い）
+function isBusinessDayYmd(ymd) {
+  const dow = dayOfWeekYmd(ymd);
+  return dow !== 0 && dow !== 6;
+}
+
+function matchesRecurrence(rule, ymd) {
+  const { y, m, d } = ymdParts(ymd);
+  const dow = dayOfWeekYmd(ymd);
+
+  if (rule === "weekdays") return isBusinessDayYmd(ymd);
+
+  if (rule.startsWith("weekly:")) return dow === Number(rule.slice(7));
+
+  if (rule.startsWith("monthly:")) {
+    const last = lastDayOfMonth(y, m);
+    const arg = rule.slice(8);
+    // 31日指定で30日までしかない月は末日に寄せる
+    const target = arg === "last" ? last : Math.min(Number(arg), last);
+    return d === target;
+  }
+
+  if (rule === "last_business_day") {
+    if (!isBusinessDayYmd(ymd)) return false;
+    for (let dd = d + 1; dd <= lastDayOfMonth(y, m); dd++) {
+      const next = `${y}-${String(m).padStart(2, "0")}-${String(dd).padStart(2, "0")}`;
+      if (isBusinessDayYmd(next)) return false;
+    }
+    return true;
+  }
+
+  return false;
+}
+
+// afterYmd より後で rule に合う最初の日
+function nextRunDate(rule, afterYmd) {
+  for (let i = 1; i <= 400; i++) {
+    const ymd = addDaysYmd(afterYmd, i);
+    if (matchesRecurrence(rule, ymd)) return ymd;
+  }
+  return null;
+}
+
+async function dbCreateTaskSchedule(s) {
+  const q = `
+    INSERT INTO task_schedules (
+      id, team_id, template_task_id, rule,
+      description, requester_user_id, created_by_user_id,
+      target_user_ids, target_group_ids, due_offset_days,
+      next_run_date, priority, tags, due_time, due_tz,
+      active, created_at, updated_at
+    ) VALUES (
+      $1,$2,$3,$4,
+      $5,$6,$7,
+      $8,$9,$10,
+      $11,$12,$13,$14,$15,
+      true, now(), now()
+    )
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    s.id,
+    s.team_id,
+    s.template_task_id,
+    s.rule,
+    s.description,
+    s.requester_user_id,
+    s.created_by_user_id,
+    s.target_user_ids || [],
+    s.target_group_ids || [],
+    s.due_offset_days ?? 0,
+    s.next_run_date,
+    normalizePriority(s.priority),
+    normalizeTags(s.tags),
+    s.due_time || null,
+    s.due_tz || null,
+  ]);
+  return res.rows[0] || null;
+}
+
+async function dbGetTaskSchedule(teamId, scheduleId) {
+  const q = `SELECT * FROM task_schedules WHERE team_id=$1 AND id=$2 LIMIT 1;`;
+  const res = await dbQuery(q, [teamId, scheduleId]);
+  return res.rows[0] || null;
+}
+
+async function dbUpdateTaskSchedule(teamId, scheduleId, patch) {
+  const q = `
+    UPDATE task_schedules
+    SET rule = COALESCE($3, rule),
+        description = COALESCE($4, description),
+        due_offset_days = COALESCE($5, due_offset_days),
+        next_run_date = COALESCE($6, next_run_date),
+        active = COALESCE($7, active),
+        priority = COALESCE($8, priority),
+        tags = COALESCE($9, tags),
+        due_time = CASE WHEN $10 THEN $11 ELSE due_time END,
+        due_tz = CASE WHEN $10 THEN $12 ELSE due_tz END,
+        updated_at = now()
+    WHERE team_id=$1 AND id=$2
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    teamId,
+    scheduleId,
+    patch?.rule ?? null,
+    patch?.description ?? null,
+    patch?.due_offset_days ?? null,
+    patch?.next_run_date ?? null,
+    patch?.active ?? null,
+    patch?.priority ?? null,
+    patch?.tags ?? null,
+    // due_time は「なし」に戻すことがあるので、キーがあるときだけ上書き
+    patch ? "due_time" in patch : false,
+    patch?.due_time ?? null,
+    patch?.due_tz ?? null,
+  ]);
+  return res.rows[0] || null;
+}
+
+async function dbSetTaskScheduleId(teamId, taskId, scheduleId) {
+  const q = `UPDATE tasks SET schedule_id=$3, updated_at=now() WHERE team_id=$1 AND id=$2;`;
+  await dbQuery(q, [teamId, taskId, scheduleId]);
+}
+
+// 生成の取り合い防止：next_run_date が変わっていなければ自分が取る（複数インスタンス対策）
+async function dbClaimScheduleRun(schedule, today, nextYmd) {
+  const q = `
+    UPDATE task_schedules
+    SET last_run_date=$3, next_run_date=$4, updated_at=now()
+    WHERE id=$1 AND next_run_date=$2 AND active
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    schedule.id,
+    slackDateYmd(schedule.next_run_date),
+    today,
+    nextYmd,
+  ]);
+  return res.rows[0] || null;
+}
+
+// 作成したタスクをテンプレートにして繰り返しを登録
+async function createScheduleForTask({
+  teamId,
+  task,
+  rule,
+  actorUserId,
+  selectedUsers = [],
+  selectedGroupIds = [],
+}) {
+  const schedule = await dbCreateTaskSchedule({
+    id: randomUUID(),
+    team_id: teamId,
+    template_task_id: task.id,
+    rule,
+    description: task.description || "",
+    requester_user_id: task.requester_user_id,
+    created_by_user_id: actorUserId,
+    target_user_ids: selectedUsers,
+    target_group_ids: selectedGroupIds,
+    due_offset_days: dueOffsetDaysForTask(task),
+    next_run_date: nextRunDate(rule, todayJstYmd()),
+    priority: task.priority,
+    tags: await dbListTaskTags(teamId, task.id),
+    due_time: task.due_time || null,
+    due_tz: task.due_tz || null,
+  });
+  if (schedule) await dbSetTaskScheduleId(teamId, task.id, schedule.id);
+  return schedule;
+}
+
+// 編集モーダルから：既存タスクの対象者を復元して繰り返し登録
+// - broadcast はグループ指定があればグループ（生成時に再展開）、なければ対象者スナップショット
+async function targetsForExistingTask(teamId, task) {
+  if (task.task_type !== "broadcast") {
+    return {
+      selectedUsers: [task.assignee_id].filter(Boolean),
+      selectedGroupIds: [],
+    };
+  }
+  if (task.broadcast_group_id) {
+    return { selectedUsers: [], selectedGroupIds: [task.broadcast_group_id] };
+  }
+  return {
+    selectedUsers: await dbListTargetUserIds(teamId, task.id),
+    selectedGroupIds: [],
+  };
+}
+
+// edit_task_modal から：繰り返しの追加 / 変更 / 停止
+// 変更があれば { from, to } を返す（証跡用）
+async function applyRecurrenceEdit(
+  client,
+  { teamId, task, rule, actorUserId },
+) {
+  const schedule = task.schedule_id
+    ? await dbGetTaskSchedule(teamId, task.schedule_id)
+    : null;
+  const currentRule = schedule?.active ? schedule.rule : RECURRENCE_NONE;
+
+  const isTemplate = schedule && schedule.template_task_id === task.id;
+
+  if (rule === RECURRENCE_NONE) {
+    if (currentRule === RECURRENCE_NONE) return null;
+    await dbUpdateTaskSchedule(teamId, schedule.id, { active: false });
+    return { from: currentRule, to: rule };
+  }
+
+  if (!schedule) {
+    const targets = await targetsForExistingTask(teamId, task);
+    await createScheduleForTask({
+      teamId,
+      task,
+      rule,
+      actorUserId,
+      ...targets,
+    });
+    return { from: currentRule, to: rule };
+  }
+
+  // テンプレート本体を編集したときだけ内容/期限の間隔も追従させる
+  await dbUpdateTaskSchedule(teamId, schedule.id, {
+    rule,
+    active: true,
+    ...(rule !== currentRule
+      ? { next_run_date: nextRunDate(rule, todayJstYmd()) }
+      : {}),
+    ...(isTemplate
+      ? {
+          description: task.description || "",
+          due_offset_days: dueOffsetDaysForTask(task),
+          priority: normalizePriority(task.priority),
+          tags: await dbListTaskTags(teamId, task.id),
+          due_time: task.due_time || null,
+          due_tz: task.due_tz || null,
+        }
+      : {}),
+  });
+
+  return rule !== currentRule ? { from: currentRule, to: rule } : null;
+}
+
+// 繰り返し変更も履歴に残す
+async function applyRecurrenceEditWithEvent(client, args) {
+  const change = await applyRecurrenceEdit(client, args);
+  if (change) {
+    await dbInsertTaskEvent(args.teamId, args.task.id, {
+      actorUserId: args.actorUserId,
+      eventType: "edit",
+      field: "recurrence",
+      oldValue: change.from,
+      newValue: change.to,
+    });
+  }
+  return change;
+}
+
+async function runRecurringTaskJob() {
+  const today = todayJstYmd();
+
+  const q = `
+    SELECT *
+    FROM task_schedules
+    WHERE active AND next_run_date <= $1
+    ORDER BY next_run_date ASC, created_at ASC
+    LIMIT 200;
+  `;
+  const schedules = (await dbQuery(q, [today])).rows;
+
+  let created = 0;
+  for (const s of schedules) {
+    try {
+      // 取りこぼし（停止中など）があっても生成は1回だけ、次回は今日以降で計算
+      const claimed = await dbClaimScheduleRun(
+        s,
+        today,
+        nextRunDate(s.rule, today),
+      );
+      if (!claimed) continue;
+
+      await createTaskFromInput(app.client, {
+        teamId: s.team_id,
+        actorUserId: s.created_by_user_id,
+        requesterUserId: s.requester_user_id,
+        description: s.description || "",
+        selectedUsers: s.target_user_ids || [],
+        selectedGroupIds: s.target_group_ids || [],
+        due: addDaysYmd(today, Number(s.due_offset_days || 0)),
+        scheduleId: s.id,
+        priority: s.priority,
+        tags: s.tags || [],
+        dueTime: s.due_time || null,
+        dueTz: s.due_tz || null,
+      });
+      created++;
+    } catch (e) {
+      console.error("recurring task error:", e?.data || e);
+    }
+  }
+
+  console.log(
+    `[recurring] done. today=${today} schedules=${schedules.length} created=${created}`,
+  );
+}
+
+// 期限通知（09:00）より前に生成して、当日期限のものも通知に乗せる
+cron.schedule(
+  "30 8 * * *",
+  () => {
+    runRecurringTaskJob().catch((e) =>
+      console.error("runRecurringTaskJob error:", e?.data || e),
+    );
+  },
+  { timezone: "Asia/Tokyo" },
+);
+
+if (process.env.RUN_RECURRING_NOW === "true") {
+  runRecurringTaskJob().catch(console.error);
+}
+
+// ================================
+// Edit Task modal
+// ================================
+app.action("open_edit_task_modal", async ({ ack, body, action, client }) => {
+  await ack();
+
+  const meta = safeJsonParse(action.value || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const taskId = meta.taskId;
+  const viewerUserId = getUserIdFromBody(body);
+
+  if (!teamId || !taskId || !viewerUserId) return;
+
+  try {
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task) return;
+
+    const isBroadcast = task.task_type === "broadcast";
+    const canEditTask =
+      (!isBroadcast &&
+        (viewerUserId === task.requester_user_id ||
+          viewerUserId === task.assignee_id)) ||
+      (isBroadcast && viewerUserId === task.requester_user_id);
+
+    if (!canEditTask) return;
+
+    const initDue = slackDateYmd(task.due_date);
+
+    const blocks = [];
+
+    // personal のみ：対応者を変更できる（broadcastは対象者集合の整合性があるため変更しない）
+    if (!isBroadcast) {
+      blocks.push({
+        type: "input",
+        block_id: "assignee",
+        label: { type: "plain_text", text: "対応者" },
+        hint: {
+          type: "plain_text",
+          text: "変えると相手に担当変更の依頼が届き、引き受けたら切り替わります",
+        },
+        element: {
+          type: "users_select",
+          action_id: "assignee_user",
+          initial_user: task.assignee_id,
+        },
+      });
+    }
+
+    blocks.push({
+      type: "input",
+      block_id: "due",
+      optional: true,
+      label: { type: "plain_text", text: "期限" },
+      element: {
+        type: "datepicker",
+        action_id: "due_date",
+        ...(initDue ? { initial_date: initDue } : {}),
+        placeholder: { type: "plain_text", text: "日付を選択" },
+      },
+    });
+    blocks.push(dueTimeInputBlock(task.due_time));
+
+    blocks.push({
+      type: "input",
+      block_id: "content",
+      label: { type: "plain_text", text: "タスク内容" },
+      element: {
+        type: "plain_text_input",
+        action_id: "content_text",
+        multiline: true,
+        initial_value: task.description || "",
+      },
+    });
+
+    // personal：チェックリストが全部終わったら確認待ちへ
+    if (!isBroadcast) {
+      const autoOption = {
+        text: {
+          type: "plain_text",
+          text: "チェックリストが全部終わったら「確認待ち」にする",
+        },
+        value: "on",
+      };
+      blocks.push({
+        type: "input",
+        block_id: "checklist_auto",
+        optional: true,
+        label: { type: "plain_text", text: "チェックリスト" },
+        element: {
+          type: "checkboxes",
+          action_id: "checklist_auto_wait",
+          options: [autoOption],
+          ...(task.checklist_auto_wait
+            ? { initial_options: [autoOption] }
+            : {}),
+        },
+      });
+    }
+
+    blocks.push(priorityInputBlock(task.priority));
+    blocks.push(tagsInputBlock(await dbListTaskTags(teamId, taskId)));
+
+    // blocked-by（検索して選ぶ）
+    const blockers = await dbListBlockerTasks(teamId, taskId);
+    blocks.push({
+      type: "input",
+      block_id: "blocked_by",
+      optional: true,
+      label: { type: "plain_text", text: "先に終わらせるタスク（ブロッカー）" },
+      element: {
+        type: "multi_external_select",
+        action_id: "blocked_by_select",
+        min_query_length: 0,
+        max_selected_items: DEPENDENCY_MAX_BLOCKERS,
+        placeholder: { type: "plain_text", text: "タスクを検索" },
+        ...(blockers.length
+          ? { initial_options: blockers.map(dependencyOption) }
+          : {}),
+      },
+    });
+
+    // 繰り返し（生成されたタスクから開いた場合もシリーズ全体の設定として扱う）
+    const schedule = task.schedule_id
+      ? await dbGetTaskSchedule(teamId, task.schedule_id)
+      : null;
+    blocks.push(
+      recurrenceInputBlock(schedule?.active ? schedule.rule : RECURRENCE_NONE),
+    );
+
+    await client.views.push({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "edit_task_modal",
+        private_metadata: JSON.stringify({ teamId, taskId }),
+        title: { type: "plain_text", text: "タスク編集" },
+        submit: { type: "plain_text", text: "保存" },
+        close: { type: "plain_text", text: "キャンセル" },
+        blocks,
+      },
+    });
+  } catch (e) {
+    console.error("open_edit_task_modal error:", e?.data || e);
+  }
+});
+
+app.view("edit_task_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const taskId = meta.taskId;
+  const actorUserId = getUserIdFromBody(body);
+
+  const nextAssignee =
+    view.state.values.assignee?.assignee_user?.selected_user || null;
+  const nextDue = view.state.values.due?.due_date?.selected_date || null;
+  const nextDueTime = nextDue ? readDueTime(view) : null;
+  const nextContent = (
+    view.state.values.content?.content_text?.value || ""
+  ).trim();
+  const nextRecurrence = readRecurrenceRule(view);
+  const nextPriority = readPriority(view);
+  const nextTags = readTags(view);
+  const nextChecklistAutoWait = (
+    view.state.values.checklist_auto?.checklist_auto_wait?.selected_options ||
+    []
+  ).some((o) => o.value === "on");
+
+  const nextBlockerIds = (
+    view.state.values.blocked_by?.blocked_by_select?.selected_options || []
+  )
+    .map((o) => o?.value)
+    .filter(Boolean);
+
+  if (!nextContent) {
+    await ack({
+      response_action: "errors",
+      errors: { content: "タスク内容を入力してください" },
+    });
+    return;
+  }
+
+  // 循環（A→B→A）になるリンクは保存させない
+  try {
+    for (const blockerId of nextBlockerIds) {
+      if (await dbWouldCreateCycle(teamId, taskId, blockerId)) {
+        await ack({
+          response_action: "errors",
+          errors: {
+            blocked_by:
+              "循環する依存になるので設定できません（このタスクを待っているタスクが含まれています）",
+          },
+        });
+        return;
+      }
+    }
+  } catch (e) {
+    console.error("dependency cycle check error:", e?.data || e);
+  }
+
+  // ① まず軽い画面へ差し替え（hash_conflict回避）
+  await ack({
+    response_action: "update",
+    view: {
+      type: "modal",
+      callback_id: "edit_task_modal_saving",
+      title: { type: "plain_text", text: "保存中..." },
+      close: { type: "plain_text", text: "閉じる" },
+      blocks: [
+        { type: "section", text: { type: "mrkdwn", text: "更新しています。" } },
+      ],
+    },
+  });
+
+  try {
+    const before = await dbGetTaskById(teamId, taskId);
+    if (!before) return;
+
+    const isBroadcast = before.task_type === "broadcast";
+    const canEditTask =
+      (!isBroadcast &&
+        (actorUserId === before.requester_user_id ||
+          actorUserId === before.assignee_id)) ||
+      (isBroadcast && actorUserId === before.requester_user_id);
+
+    if (!canEditTask) return;
+
+    // personal だけ対応者変更を許可（broadcastは対象者集合の整合性があるため変更しない）
+    // ※対応者はここでは書き換えず「担当変更」の依頼にする（相手が引き受けたら変わる）
+    if (!isBroadcast && !nextAssignee) {
+      // users_select なので通常は入るが、万一の保険
+      return;
+    }
+
+    let updated = await dbUpdateTaskContent(
+      teamId,
+      taskId,
+      {
+        due_date: nextDue,
+        due_time: nextDueTime,
+        // 時刻が変わらなければ元のタイムゾーンのまま
+        due_tz:
+          nextDueTime && nextDueTime === normalizeDueTime(before.due_time)
+            ? before.due_tz
+            : await getUserTimezone(teamId, actorUserId),
+        description: nextContent,
+        priority: nextPriority,
+      },
+      actorUserId,
+    );
+    if (!updated) return;
+
+    let handoffRequested = null;
+    if (!isBroadcast && nextAssignee !== before.assignee_id) {
+      try {
+        const result = await requestHandoff(client, {
+          teamId,
+          task: updated,
+          toUserId: nextAssignee,
+          actorUserId,
+        });
+        if (result?.task) updated = result.task;
+        else if (result?.handoff) handoffRequested = result.handoff;
+      } catch (e) {
+        console.error("handoff request error:", e?.data || e);
+      }
+    }
+
+    if (!isBroadcast) {
+      try {
+        await dbSetChecklistAutoWait(
+          teamId,
+          taskId,
+          nextChecklistAutoWait,
+          actorUserId,
+        );
+        await maybeAutoWaitByChecklist(client, {
+          teamId,
+          taskId,
+          userId: actorUserId,
+        });
+      } catch (e) {
+        console.error("checklist auto wait error:", e?.data || e);
+      }
+    }
+
+    try {
+      await applyDependencyEdit({
+        teamId,
+        taskId,
+        nextBlockerIds,
+        actorUserId,
+      });
+    } catch (e) {
+      console.error("dependency edit error:", e?.data || e);
+    }
+
+    // タグ（モーダルの選択で置き換え）
+    try {
+      await dbSetTaskTags(teamId, taskId, nextTags, actorUserId);
+    } catch (e) {
+      console.error("tags edit error:", e?.data || e);
+    }
+
+    // 繰り返し設定の反映（追加 / 変更 / 停止）
+    let recurrenceChange = null;
+    try {
+      recurrenceChange = await applyRecurrenceEditWithEvent(client, {
+        teamId,
+        task: updated,
+        rule: nextRecurrence,
+        actorUserId,
+      });
+    } catch (e) {
+      console.error("recurrence edit error:", e?.data || e);
+    }
+
+    // スレッドカード更新 + 変更通知（証跡）
+    if (updated.channel_id && updated.message_ts) {
+      const cardBlocks = await buildThreadCardBlocks({ teamId, task: updated });
+      if (!updated.channel_id?.startsWith("D")) {
+        await upsertThreadCard(client, {
+          teamId,
+          channelId: updated.channel_id,
+          parentTs: updated.message_ts,
+          blocks: cardBlocks,
+        });
+      }
+      // 変更点を作る（証跡用）
+      const changes = [];
+      if (
+        !isBroadcast &&
+        before.assignee_id &&
+        updated.assignee_id &&
+        before.assignee_id !== updated.assignee_id
+      ) {
+        changes.push(
+          `• *対応者*：<@${before.assignee_id}> → <@${updated.assignee_id}>`,
+        );
+      }
+      if (handoffRequested) {
+        changes.push(
+          `• *対応者*：<@${before.assignee_id}> → <@${handoffRequested.to_user_id}>（引き継ぎ依頼中）`,
+        );
+      }
+      if (formatTaskDue(before) !== formatTaskDue(updated)) {
+        changes.push(
+          `• *期限*：${formatTaskDue(before)} → ${formatTaskDue(updated)}`,
+        );
+      }
+      if ((before.description || "") !== (updated.description || "")) {
+        changes.push("• *タスク内容*：変更あり");
+      }
+      if (recurrenceChange) {
+        changes.push(
+          `• *繰り返し*：${recurrenceLabel(recurrenceChange.from)} → ${recurrenceLabel(recurrenceChange.to)}`,
+        );
+      }
+      const changesText = changes.length
+        ? changes.join("\n")
+        : "• 変更点：軽微な更新";
+
+      const beforeDesc = noMention(
+        String(before.description || "").slice(0, 400),
+      );
+      const afterDesc = noMention(
+        String(updated.description || "").slice(0, 400),
+      );
+
+      const blocks = [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `:鉛筆_2: *タスク内容が更新されました*\n更新者：<@${actorUserId}>\n*変更点*\n${changesText}`,
+          },
+        },
+      ];
+
+      if ((before.description || "") !== (updated.description || "")) {
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*変更前*\n\`\`\`\n${beforeDesc}\n\`\`\`\n*変更後*\n\`\`\`\n${afterDesc}\n\`\`\``,
+          },
+        });
+      }
+
+      await client.chat.postMessage({
+        channel: updated.channel_id,
+        thread_ts: updated.message_ts,
+        text: "タスク内容が更新されました",
+        blocks,
+      });
+    }
+
+    // Home再描画（操作者のみ）
+    try {
+      publishHomeForUsers(client, teamId, [actorUserId], 200);
+      setTimeout(
+        () => publishHomeForUsers(client, teamId, [actorUserId], 200),
+        200,
+      );
+    } catch (_) {}
+
+    // ② 最後に「更新後の詳細」を表示（不安解消・hash_conflict回避）
+    try {
+      const detailView = await buildDetailModalView({
+        teamId,
+        task: updated,
+        viewerUserId: actorUserId,
+        origin: "home",
+      });
+
+      // ✅ コメント保存と同じ考え方：
+      // - まず「前の詳細モーダル」を最新内容で更新しておく
+      // - いま表示中（保存中/保存完了）のモーダルは「保存しました✅」だけにする
+      //   → 閉じると、更新済みの詳細モーダルに戻る（古いモーダルが残らない）
+      const prevViewId = body?.view?.previous_view_id;
+
+      // ① 前の詳細モーダルを更新（あれば）
+      if (prevViewId) {
+        try {
+          await client.views.update({
+            view_id: prevViewId,
+            view: detailView,
+          });
+        } catch (e) {
+          console.error("update previous detail view error:", e?.data || e);
+        }
+      }
+
+      // ② 現在のモーダルは「保存しました✅」最小UI
+      await client.views.update({
+        view_id: body.view.id,
+        view: {
+          type: "modal",
+          callback_id: "edit_task_modal_done",
+          title: { type: "plain_text", text: "保存しました✅" },
+          close: { type: "plain_text", text: "閉じる" },
+          blocks: [
+            {
+              type: "section",
+              text: { type: "mrkdwn", text: "タスク内容を更新しました。" },
+            },
+          ],
+        },
+      });
+    } catch (_) {}
+  } catch (e) {
+    console.error("edit_task_modal submit error:", e?.data || e);
+
+    // 失敗画面（最小UI）
+    try {
+      await client.views.update({
+        view_id: body.view.id,
+        view: {
+          type: "modal",
+          callback_id: "edit_task_modal_error",
+          title: { type: "plain_text", text: "保存できませんでした" },
+          close: { type: "plain_text", text: "閉じる" },
+          blocks: [
+            {
+              type: "section",
+              text: { type: "mrkdwn", text: "もう一度お試しください。" },
+            },
+          ],
+        },
+      });
+    } catch (_) {}
+  }
+});
+
+// ================================
+// Tags（task_tags）
+// - 作成/編集モーダルで選ぶ（新しいタグはその場で作れる）＋ 本文の #タグ も拾う
+// - Home / 一覧モーダルでタグ絞り込み（いずれかを含む）
+// ================================
+async function dbListTaskTags(teamId, taskId) {
+  const q = `
+    SELECT tag FROM task_tags
+    WHERE team_id=$1 AND task_id=$2
+    ORDER BY tag ASC;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return (res.rows || []).map((r) => r.tag);
+}
+
+// 一覧用：taskId -> [tag]
+async function dbTagsByTaskIds(teamId, taskIds) {
+  const ids = Array.from(new Set((taskIds || []).filter(Boolean)));
+  if (!ids.length) return new Map();
+  const q = `
+    SELECT task_id, tag FROM task_tags
+    WHERE team_id=$1 AND task_id = ANY($2::text[])
+    ORDER BY tag ASC;
+  `;
+  const res = await dbQuery(q, [teamId, ids]);
+  const map = new Map();
+  for (const r of res.rows || []) {
+    if (!map.has(r.task_id)) map.set(r.task_id, []);
+    map.get(r.task_id).push(r.tag);
+  }
+  return map;
+}
+
+// 追加だけ（作成時用：履歴は created に含める）
+async function dbInsertTaskTags(teamId, taskId, tags) {
+  const list = normalizeTags(tags);
+  if (!list.length) return;
+  const q = `
+    INSERT INTO task_tags (team_id, task_id, tag, created_at)
+    SELECT $1, $2, unnest($3::text[]), now()
+    ON CONFLICT (task_id, tag) DO NOTHING;
+  `;
+  await dbQuery(q, [teamId, taskId, list]);
+}
+
+// 置き換え（差分があれば履歴に残す）
+async function dbSetTaskTags(teamId, taskId, tags, actorUserId = null) {
+  const next = normalizeTags(tags);
+  const current = await dbListTaskTags(teamId, taskId);
+  if (current.join("\n") === next.join("\n")) return false;
+
+  await dbQuery(
+    `DELETE FROM task_tags WHERE team_id=$1 AND task_id=$2 AND NOT (tag = ANY($3::text[]));`,
+    [teamId, taskId, next],
+  );
+  await dbInsertTaskTags(teamId, taskId, next);
+
+  await dbInsertTaskEvent(teamId, taskId, {
+    actorUserId,
+    eventType: "edit",
+    field: "tags",
+    oldValue: formatTags(current),
+    newValue: formatTags(next),
   });
+  return true;
+}
+
+// 補完用：チームで使われているタグ（よく使う順）
+async function dbSearchTeamTags(teamId, query, limit = 30) {
+  const q = `
+    SELECT tag, count(*) AS n
+    FROM task_tags
+    WHERE team_id=$1 AND ($2 = '' OR tag ILIKE $3)
+    GROUP BY tag
+    ORDER BY n DESC, tag ASC
+    LIMIT $4;
+  `;
+  const query2 = normalizeTag(query || "");
+  const res = await dbQuery(q, [teamId, query2, `%${query2}%`, limit]);
+  return (res.rows || []).map((r) => r.tag);
+}
+
+function tagOption(tag) {
+  return {
+    text: { type: "plain_text", text: `#${tag}`.slice(0, 75) },
+    value: tag,
+  };
+}
+
+// 作成/編集モーダル用
+function tagsInputBlock(currentTags = []) {
+  const initial = normalizeTags(currentTags).map(tagOption);
+  return {
+    type: "input",
+    block_id: "tags",
+    optional: true,
+    label: { type: "plain_text", text: "タグ" },
+    hint: {
+      type: "plain_text",
+      text: "本文の #タグ も自動で付きます",
+    },
+    element: {
+      type: "multi_external_select",
+      action_id: "tags_select",
+      placeholder: { type: "plain_text", text: "タグを検索 / 入力" },
+      min_query_length: 0,
+      max_selected_items: TAGS_MAX_PER_TASK,
+      ...(initial.length ? { initial_options: initial } : {}),
+    },
+  };
+}
+
+function readTags(view) {
+  const opts = view?.state?.values?.tags?.tags_select?.selected_options || [];
+  return normalizeTags(opts.map((o) => o.value));
+}
+
+// 絞り込み（Home / 一覧モーダル）用の multi select
+function tagFilterSelectElement(actionId, tagKeys = []) {
+  const initial = normalizeTags(tagKeys).map(tagOption);
+  return {
+    type: "multi_external_select",
+    action_id: actionId,
+    placeholder: { type: "plain_text", text: "タグで絞り込み" },
+    min_query_length: 0,
+    ...(initial.length ? { initial_options: initial } : {}),
+  };
+}
+
+async function attachTaskTags(teamId, tasks) {
+  if (!tasks?.length) return tasks;
+  try {
+    const map = await dbTagsByTaskIds(
+      teamId,
+      tasks.map((t) => t.id),
+    );
+    for (const t of tasks) t.tags = map.get(t.id) || [];
+  } catch (e) {
+    console.error("attachTaskTags error:", e?.data || e);
+  }
+  return tasks;
+}
+
+// external select の候補（allowNew：入力中の文字をそのまま新しいタグとして出す）
+async function ackTagOptions({ ack, body, payload }, { allowNew }) {
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const query = normalizeTag(payload?.value || "");
+    const tags = await dbSearchTeamTags(teamId, query);
+    const options = tags.map(tagOption);
+    if (allowNew && query && !tags.includes(query)) {
+      options.unshift({
+        text: { type: "plain_text", text: `＋ #${query}（新しいタグ）` },
+        value: query,
+      });
+    }
+    await ack({ options });
+  } catch (e) {
+    console.error("tag options error:", e?.data || e);
+    await ack({ options: [] });
+  }
+}
+
+app.options("tags_select", async (args) => {
+  await ackTagOptions(args, { allowNew: true });
+});
+
+app.options("home_tag_select", async (args) => {
+  await ackTagOptions(args, { allowNew: false });
+});
+
+app.options("list_tag_select", async (args) => {
+  await ackTagOptions(args, { allowNew: false });
+});
+
+// ================================
+// Task dependencies（blocked-by）
+// - 編集モーダルで「先に終わらせるタスク」を指定（循環は作れない）
+// - 最後のブロッカーが done になったら、待っていたタスクの担当へDM
+// ================================
+const DEPENDENCY_MAX_BLOCKERS = 10;
+
+async function dbListBlockerTasks(teamId, taskId) {
+  const q = `
+    SELECT t.*
+    FROM task_dependencies d
+    JOIN tasks t ON t.team_id = d.team_id AND t.id = d.blocked_by_task_id
+    WHERE d.team_id=$1 AND d.task_id=$2
+    ORDER BY t.created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return res.rows || [];
+}
+
+// このタスクを待っている（まだ終わっていない）タスク
+async function dbListTasksBlockedBy(teamId, blockerTaskId) {
+  const q = `
+    SELECT t.*
+    FROM task_dependencies d
+    JOIN tasks t ON t.team_id = d.team_id AND t.id = d.task_id
+    WHERE d.team_id=$1 AND d.blocked_by_task_id=$2
+      AND t.status NOT IN ('done','cancelled')
+    ORDER BY t.created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, blockerTaskId]);
+  return res.rows || [];
+}
+
+async function dbOpenBlockerCountsByTaskIds(teamId, taskIds) {
+  const map = new Map();
+  if (!taskIds?.length) return map;
+  const q = `
+    SELECT d.task_id, COUNT(*)::int AS c
+    FROM task_dependencies d
+    JOIN tasks b ON b.team_id = d.team_id AND b.id = d.blocked_by_task_id
+    WHERE d.team_id=$1 AND d.task_id = ANY($2::text[])
+      AND b.status NOT IN ('done','cancelled')
+    GROUP BY d.task_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskIds]);
+  for (const r of res.rows || []) map.set(r.task_id, r.c);
+  return map;
+}
+
+// blocker が（間接的にでも）taskId を待っていたら循環
+async function dbWouldCreateCycle(teamId, taskId, blockerTaskId) {
+  if (taskId === blockerTaskId) return true;
+  const q = `
+    WITH RECURSIVE chain(id) AS (
+      SELECT blocked_by_task_id FROM task_dependencies
+      WHERE team_id=$1 AND task_id=$2
+      UNION
+      SELECT d.blocked_by_task_id
+      FROM task_dependencies d
+      JOIN chain c ON d.task_id = c.id
+      WHERE d.team_id=$1
+    )
+    SELECT 1 FROM chain WHERE id=$3 LIMIT 1;
+  `;
+  const res = await dbQuery(q, [teamId, blockerTaskId, taskId]);
+  return !!res.rows[0];
+}
+
+async function dbAddTaskDependency(teamId, taskId, blockerTaskId, actorUserId) {
+  const q = `
+    INSERT INTO task_dependencies (team_id, task_id, blocked_by_task_id, created_by_user_id, created_at)
+    VALUES ($1,$2,$3,$4, now())
+    ON CONFLICT (task_id, blocked_by_task_id) DO NOTHING
+    RETURNING task_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, blockerTaskId, actorUserId]);
+  if ((res.rows || []).length) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "dependency_added",
+      field: "blocked_by",
+      newValue: blockerTaskId,
+    });
+  }
+}
+
+async function dbRemoveTaskDependency(
+  teamId,
+  taskId,
+  blockerTaskId,
+  actorUserId,
+) {
+  const q = `
+    DELETE FROM task_dependencies
+    WHERE team_id=$1 AND task_id=$2 AND blocked_by_task_id=$3
+    RETURNING task_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, blockerTaskId]);
+  if ((res.rows || []).length) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "dependency_removed",
+      field: "blocked_by",
+      oldValue: blockerTaskId,
+    });
+  }
+}
+
+// 編集モーダルの検索：タイトル/本文の部分一致（自分自身は除外）
+async function dbSearchTasksForDependency(teamId, excludeTaskId, query) {
+  const q = `
+    SELECT id, title, status, due_date
+    FROM tasks
+    WHERE team_id=$1 AND id <> $2
+      AND status NOT IN ('cancelled')
+      AND ($3 = '' OR title ILIKE $4 OR description ILIKE $4)
+    ORDER BY (status = 'done') ASC, created_at DESC
+    LIMIT 30;
+  `;
+  const text = String(query || "").trim();
+  const like = `%${text.replace(/[\\%_]/g, (m) => `\\${m}`)}%`;
+  const res = await dbQuery(q, [teamId, excludeTaskId, text, like]);
+  return res.rows || [];
+}
+
+function dependencyOption(task) {
+  const label = `${task.status === "done" ? "✅ " : ""}${String(task.title || "（無題）")}`;
+  return {
+    text: { type: "plain_text", text: label.slice(0, 75) },
+    value: task.id,
+  };
+}
+
+function blockedMarker(openBlockerCount) {
+  return openBlockerCount > 0
+    ? `🔒 ブロック中（${openBlockerCount}件待ち）`
+    : "";
+}
+
+// 詳細モーダル用
+function buildDependencyBlocks(blockers) {
+  if (!blockers.length) return [];
+  const open = blockers.filter(
+    (b) => !["done", "cancelled"].includes(b.status),
+  );
+  const lines = blockers.map(
+    (b) =>
+      `${["done", "cancelled"].includes(b.status) ? "✅" : "🔒"} ${noMention(b.title || "")}（${statusLabel(b.status)} / 期限 ${formatTaskDue(b)}）`,
+  );
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${open.length ? "🔒 先に終わらせるタスク" : "🔓 先に終わらせるタスク（すべて完了）"}*\n${lines.join("\n")}`,
+      },
+    },
+  ];
+}
+
+// dbUpdateStatus から：blocker が done になったら、待っていたタスクを確認
+async function notifyUnblockedTasks(teamId, blockerTaskId) {
+  const waiting = await dbListTasksBlockedBy(teamId, blockerTaskId);
+  if (!waiting.length) return;
+
+  const counts = await dbOpenBlockerCountsByTaskIds(
+    teamId,
+    waiting.map((t) => t.id),
+  );
+
+  for (const t of waiting) {
+    if ((counts.get(t.id) || 0) > 0) continue;
+
+    // personal は担当者、broadcast は未完了の対象者へ
+    const to =
+      t.task_type === "broadcast"
+        ? await dbListPendingTargetUserIds(teamId, t.id)
+        : [t.assignee_id].filter(Boolean);
+    for (const uid of to) {
+      await notifyTaskSimpleDM(
+        uid,
+        t,
+        "🔓 待っていたタスクが全部完了したよ。着手できます！",
+      );
+    }
+  }
+}
+
+// 依存リンクの更新（編集モーダル）
+async function applyDependencyEdit({
+  teamId,
+  taskId,
+  nextBlockerIds,
+  actorUserId,
+}) {
+  const current = (await dbListBlockerTasks(teamId, taskId)).map((t) => t.id);
+  const next = Array.from(new Set(nextBlockerIds || []));
+
+  for (const id of current) {
+    if (!next.includes(id))
+      await dbRemoveTaskDependency(teamId, taskId, id, actorUserId);
+  }
+  for (const id of next) {
+    if (!current.includes(id))
+      await dbAddTaskDependency(teamId, taskId, id, actorUserId);
+  }
+}
+
+app.options("blocked_by_select", async ({ ack, body, payload }) => {
+  try {
+    const meta = safeJsonParse(body?.view?.private_metadata || "{}") || {};
+    const teamId = meta.teamId || getTeamIdFromBody(body);
+    const tasks = await dbSearchTasksForDependency(
+      teamId,
+      meta.taskId || "",
+      payload?.value || "",
+    );
+    await ack({ options: tasks.map(dependencyOption) });
+  } catch (e) {
+    console.error("blocked_by_select options error:", e?.data || e);
+    await ack({ options: [] });
+  }
+});
+
+// ================================
+// Checklist（タスク内のチェック項目）
+// - 詳細モーダルで追加 / チェック、項目ごとに担当者を付けられる
+// - 進捗（3/7）は Home 行とスレッドカードにも出す
+// - personal は「全部チェックで確認待ちへ」を編集モーダルで選べる
+// ================================
+const CHECKLIST_MAX_ITEMS = 50;
+// checkboxes 要素の options 上限（10）ごとにブロックを分ける
+const CHECKLIST_CHUNK = 10;
+
+async function dbListChecklistItems(teamId, taskId) {
+  const q = `
+    SELECT *
+    FROM task_checklist_items
+    WHERE team_id=$1 AND task_id=$2
+    ORDER BY position ASC, created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return res.rows || [];
+}
+
+async function dbInsertChecklistItem(
+  teamId,
+  taskId,
+  { body, assigneeUserId = null, actorUserId },
+) {
+  const q = `
+    INSERT INTO task_checklist_items (
+      id, team_id, task_id, body, assignee_user_id,
+      position, created_by_user_id, created_at, updated_at
+    )
+    SELECT $1,$2,$3,$4,$5,
+      COALESCE(MAX(position), 0) + 1, $6, now(), now()
+    FROM task_checklist_items
+    WHERE team_id=$2 AND task_id=$3
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    randomUUID(),
+    teamId,
+    taskId,
+    body,
+    assigneeUserId,
+    actorUserId,
+  ]);
+  const item = res.rows[0] || null;
+  if (item) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "checklist_added",
+      field: "checklist",
+      newValue: body,
+    });
+  }
+  return item;
+}
+
+async function dbSetChecklistItemChecked(teamId, itemId, checked, actorUserId) {
+  const q = `
+    UPDATE task_checklist_items
+    SET checked=$3,
+        checked_by_user_id = CASE WHEN $3 THEN $4 ELSE NULL END,
+        checked_at = CASE WHEN $3 THEN now() ELSE NULL END,
+        updated_at = now()
+    WHERE team_id=$1 AND id=$2 AND checked <> $3
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [teamId, itemId, checked, actorUserId]);
+  const item = res.rows[0] || null;
+  if (item) {
+    await dbInsertTaskEvent(teamId, item.task_id, {
+      actorUserId,
+      eventType: checked ? "checklist_checked" : "checklist_unchecked",
+      field: "checklist",
+      newValue: item.body,
+    });
+  }
+  return item;
+}
+
+async function dbChecklistCountsByTaskIds(teamId, taskIds) {
+  const map = new Map();
+  if (!taskIds?.length) return map;
+  const q = `
+    SELECT task_id,
+           COUNT(*)::int AS total,
+           COUNT(*) FILTER (WHERE checked)::int AS done
+    FROM task_checklist_items
+    WHERE team_id=$1 AND task_id = ANY($2::text[])
+    GROUP BY task_id;
+  `;
+  const res = await dbQuery(q, [teamId, taskIds]);
+  for (const r of res.rows || []) map.set(r.task_id, r);
+  return map;
+}
+
+async function dbSetChecklistAutoWait(teamId, taskId, enabled, actorUserId) {
+  const q = `
+    UPDATE tasks
+    SET checklist_auto_wait=$3, updated_at=now()
+    WHERE team_id=$1 AND id=$2 AND checklist_auto_wait IS DISTINCT FROM $3
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, enabled]);
+  if (res.rows[0]) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "edit",
+      field: "checklist_auto_wait",
+      oldValue: String(!enabled),
+      newValue: String(enabled),
+    });
+  }
+  return res.rows[0] || null;
+}
+
+// 一覧系：tasks に checklist_total / checklist_done を付ける（taskLineForHome 用）
+async function attachChecklistCounts(teamId, tasks) {
+  if (!tasks?.length) return tasks;
+  try {
+    const counts = await dbChecklistCountsByTaskIds(
+      teamId,
+      tasks.map((t) => t.id),
+    );
+    for (const t of tasks) {
+      const c = counts.get(t.id);
+      t.checklist_total = c?.total || 0;
+      t.checklist_done = c?.done || 0;
+    }
+  } catch (e) {
+    console.error("attachChecklistCounts error:", e?.data || e);
+  }
+  return tasks;
+}
+
+// 一覧系：チェックリスト進捗 + 🔒（未完了のブロッカー数）+ タグ をまとめて付ける
+async function attachTaskRowMeta(teamId, tasks) {
+  await attachChecklistCounts(teamId, tasks);
+  await attachTaskTags(teamId, tasks);
+  if (!tasks?.length) return tasks;
+  try {
+    const counts = await dbOpenBlockerCountsByTaskIds(
+      teamId,
+      tasks.map((t) => t.id),
+    );
+    for (const t of tasks) t.open_blocker_count = counts.get(t.id) || 0;
+  } catch (e) {
+    console.error("attach blocker counts error:", e?.data || e);
+  }
+  return tasks;
+}
+
+function checklistProgressText(done, total) {
+  return total ? `☑️ ${done}/${total}` : "";
 }
 
-async function runDueNotifyJob() {
-  const today = todayJstYmd();
+// チェックできるのは 依頼者 / 対応者 / broadcast の対象者 / 項目の担当者
+async function canEditChecklist(teamId, task, userId, items = []) {
+  if (!userId) return false;
+  if (userId === task.requester_user_id || userId === task.assignee_id)
+    return true;
+  if (items.some((it) => it.assignee_user_id === userId)) return true;
+  if (task.task_type === "broadcast")
+    return await dbIsUserTarget(teamId, task.id, userId);
+  return false;
+}
+
+// 詳細モーダル用ブロック
+async function buildChecklistBlocks({
+  teamId,
+  task,
+  viewerUserId,
+  isReadOnly,
+}) {
+  const items = await dbListChecklistItems(teamId, task.id);
+  const doneCount = items.filter((it) => it.checked).length;
+  const canEdit =
+    !isReadOnly &&
+    !["done", "cancelled"].includes(task.status) &&
+    (await canEditChecklist(teamId, task, viewerUserId, items));
+
+  const blocks = [
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*☑️ チェックリスト*${items.length ? `（${doneCount}/${items.length}）` : ""}`,
+      },
+    },
+  ];
+
+  if (!items.length) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "（項目なし）" }],
+    });
+  } else if (canEdit) {
+    for (let i = 0; i < items.length; i += CHECKLIST_CHUNK) {
+      const chunk = items.slice(i, i + CHECKLIST_CHUNK);
+      const options = chunk.map((it) => ({
+        text: { type: "mrkdwn", text: noMention(it.body).slice(0, 75) },
+        ...(it.assignee_user_id
+          ? {
+              description: {
+                type: "mrkdwn",
+                text: `担当：<@${it.assignee_user_id}>`,
+              },
+            }
+          : {}),
+        value: it.id,
+      }));
+      const checked = options.filter((o, idx) => chunk[idx].checked);
+      blocks.push({
+        type: "actions",
+        block_id: `checklist_${i / CHECKLIST_CHUNK}`,
+        elements: [
+          {
+            type: "checkboxes",
+            action_id: "checklist_toggle",
+            options,
+            ...(checked.length ? { initial_options: checked } : {}),
+          },
+        ],
+      });
+    }
+  } else {
+    const lines = items.map(
+      (it) =>
+        `${it.checked ? "✅" : "⬜"} ${noMention(it.body)}${it.assignee_user_id ? `（<@${it.assignee_user_id}>）` : ""}`,
+    );
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: lines.join("\n").slice(0, 2900) },
+    });
+  }
+
+  if (canEdit && items.length < CHECKLIST_MAX_ITEMS) {
+    blocks.push({
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: "open_checklist_add_modal",
+          text: { type: "plain_text", text: "＋ 項目を追加" },
+          value: JSON.stringify({ teamId, taskId: task.id }),
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+// personal：全部チェック → 確認待ちへ（設定ONのときだけ）
+async function maybeAutoWaitByChecklist(client, { teamId, taskId, userId }) {
+  const task = await dbGetTaskById(teamId, taskId);
+  if (!task || task.task_type === "broadcast") return task;
+  if (!task.checklist_auto_wait) return task;
+  if (!["open", "in_progress"].includes(task.status)) return task;
+
+  const items = await dbListChecklistItems(teamId, taskId);
+  if (!items.length || items.some((it) => !it.checked)) return task;
+
+  const updated = await dbUpdateStatus(teamId, taskId, "waiting", userId);
+  if (!updated) return task;
+
+  if (updated.requester_user_id && updated.requester_user_id !== userId) {
+    await notifyTaskSimpleDM(
+      updated.requester_user_id,
+      updated,
+      "☑️ チェックリストが全部終わったよ（確認待ち）",
+    );
+  }
+  return updated;
+}
+
+async function refreshChecklistViews(client, teamId, task) {
+  if (task.channel_id && task.message_ts && !task.channel_id.startsWith("D")) {
+    try {
+      const blocks = await buildThreadCardBlocks({ teamId, task });
+      await upsertThreadCard(client, {
+        teamId,
+        channelId: task.channel_id,
+        parentTs: task.message_ts,
+        blocks,
+      });
+    } catch (e) {
+      console.error("checklist thread card error:", e?.data || e);
+    }
+  }
+  publishHomeForUsers(
+    client,
+    teamId,
+    [task.requester_user_id, task.assignee_id].filter(Boolean),
+    200,
+  );
+}
+
+app.action("checklist_toggle", async ({ ack, body, action, client }) => {
+  await ack();
+
+  const meta = safeJsonParse(body.view?.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const taskId = meta.taskId;
+  const userId = getUserIdFromBody(body);
+  if (!teamId || !taskId || !userId) return;
+
+  try {
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task || ["done", "cancelled"].includes(task.status)) return;
+
+    const items = await dbListChecklistItems(teamId, taskId);
+    if (!(await canEditChecklist(teamId, task, userId, items))) return;
+
+    // このブロックに出ていた項目だけを対象に差分を反映
+    const block = (body.view?.blocks || []).find(
+      (b) => b.block_id === action.block_id,
+    );
+    const shownIds = (block?.elements?.[0]?.options || []).map((o) => o.value);
+    const selected = new Set(
+      (action.selected_options || []).map((o) => o.value),
+    );
+
+    for (const it of items) {
+      if (!shownIds.includes(it.id)) continue;
+      const next = selected.has(it.id);
+      if (next !== !!it.checked) {
+        await dbSetChecklistItemChecked(teamId, it.id, next, userId);
+      }
+    }
+
+    const updated =
+      (await maybeAutoWaitByChecklist(client, { teamId, taskId, userId })) ||
+      task;
+
+    await refreshChecklistViews(client, teamId, updated);
+
+    if (body.view?.id) {
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: await buildDetailModalView({
+          teamId,
+          task: updated,
+          viewerUserId: userId,
+          origin: meta.origin || "home",
+        }),
+      });
+    }
+  } catch (e) {
+    console.error("checklist_toggle error:", e?.data || e);
+  }
+});
+
+app.action(
+  "open_checklist_add_modal",
+  async ({ ack, body, action, client }) => {
+    await ack();
+
+    const p = safeJsonParse(action.value || "{}") || {};
+    const meta = {
+      teamId: p.teamId || getTeamIdFromBody(body),
+      taskId: p.taskId,
+      parent_view_id: body.view?.id || null,
+    };
+    if (!meta.teamId || !meta.taskId) return;
+
+    try {
+      await client.views.push({
+        trigger_id: body.trigger_id,
+        view: {
+          type: "modal",
+          callback_id: "checklist_add_modal",
+          private_metadata: JSON.stringify(meta),
+          title: { type: "plain_text", text: "チェック項目を追加" },
+          submit: { type: "plain_text", text: "追加" },
+          close: { type: "plain_text", text: "キャンセル" },
+          blocks: [
+            {
+              type: "input",
+              block_id: "item",
+              label: { type: "plain_text", text: "項目（1行に1つ・複数可）" },
+              element: {
+                type: "plain_text_input",
+                action_id: "item_input",
+                multiline: true,
+                placeholder: {
+                  type: "plain_text",
+                  text: "例）PCのセットアップ\n例）入館証の申請",
+                },
+              },
+            },
+            {
+              type: "input",
+              block_id: "assignee",
+              optional: true,
+              label: { type: "plain_text", text: "担当者（任意）" },
+              element: {
+                type: "users_select",
+                action_id: "assignee_user",
+                placeholder: { type: "plain_text", text: "担当者を選択" },
+              },
+            },
+          ],
+        },
+      });
+    } catch (e) {
+      console.error("open_checklist_add_modal error:", e?.data || e);
+    }
+  },
+);
+
+app.view("checklist_add_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const taskId = meta.taskId;
+  const userId = getUserIdFromBody(body);
+
+  const lines = String(view.state.values.item?.item_input?.value || "")
+    .split("\n")
+    .map((s) => s.replace(/^\s*[-・*]\s*/, "").trim())
+    .filter(Boolean);
+  const assigneeUserId =
+    view.state.values.assignee?.assignee_user?.selected_user || null;
+
+  if (!lines.length) {
+    await ack({
+      response_action: "errors",
+      errors: { item: "項目を入力してください" },
+    });
+    return;
+  }
+  await ack();
+
+  try {
+    const task = await dbGetTaskById(teamId, taskId);
+    if (!task || ["done", "cancelled"].includes(task.status)) return;
+
+    const items = await dbListChecklistItems(teamId, taskId);
+    if (!(await canEditChecklist(teamId, task, userId, items))) return;
+
+    const room = Math.max(0, CHECKLIST_MAX_ITEMS - items.length);
+    for (const line of lines.slice(0, room)) {
+      await dbInsertChecklistItem(teamId, taskId, {
+        body: line.slice(0, 300),
+        assigneeUserId,
+        actorUserId: userId,
+      });
+    }
+
+    // 担当者へ通知（自分は除外）
+    if (assigneeUserId && assigneeUserId !== userId) {
+      await notifyTaskSimpleDM(
+        assigneeUserId,
+        task,
+        "☑️ チェック項目の担当になったよ",
+      );
+    }
+
+    await refreshChecklistViews(client, teamId, task);
+
+    if (meta.parent_view_id) {
+      await client.views.update({
+        view_id: meta.parent_view_id,
+        view: await buildDetailModalView({
+          teamId,
+          task,
+          viewerUserId: userId,
+          origin: "home",
+        }),
+      });
+    }
+  } catch (e) {
+    console.error("checklist_add_modal error:", e?.data || e);
+  }
+});
+
+// ================================
+// Handoff（担当変更：新しい対応者が「引き受ける / 断る」）
+// - 依頼は task_handoffs に記録（引き受けられるまで assignee_id は変えない）
+// - 1タスクにつき保留中の依頼は1つだけ（新しい依頼で古いものは取り消し）
+// - まとめて引き継ぎ（異動/退職前など）は batch_id でひとまとめ
+// ================================
+const BULK_HANDOFF_PREVIEW_MAX = 15;
+
+async function dbCreateHandoff(
+  teamId,
+  { taskId, fromUserId, toUserId, requestedBy, note = null, batchId = null },
+) {
+  await dbQuery(
+    `
+    UPDATE task_handoffs
+    SET status='cancelled', responded_at=now()
+    WHERE team_id=$1 AND task_id=$2 AND status='pending';
+  `,
+    [teamId, taskId],
+  );
 
   const q = `
-    SELECT *
-    FROM tasks
-    WHERE due_date = $1
-      AND status NOT IN ('done','cancelled')
-      AND (notified_at IS NULL)
-      AND (task_type IS NULL OR task_type='personal')
-    ORDER BY created_at ASC
-    LIMIT 500;
+    INSERT INTO task_handoffs (
+      id, team_id, task_id, from_user_id, to_user_id,
+      requested_by_user_id, note, batch_id, status, created_at
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'pending', now())
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [
+    randomUUID(),
+    teamId,
+    taskId,
+    fromUserId || null,
+    toUserId,
+    requestedBy,
+    note || null,
+    batchId,
+  ]);
+  return res.rows[0] || null;
+}
+
+async function dbGetHandoff(teamId, handoffId) {
+  const q = `SELECT * FROM task_handoffs WHERE team_id=$1 AND id=$2 LIMIT 1;`;
+  const res = await dbQuery(q, [teamId, handoffId]);
+  return res.rows[0] || null;
+}
+
+async function dbListPendingHandoffsByBatch(teamId, batchId) {
+  const q = `
+    SELECT * FROM task_handoffs
+    WHERE team_id=$1 AND batch_id=$2 AND status='pending'
+    ORDER BY created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, batchId]);
+  return res.rows || [];
+}
+
+// 詳細モーダル用：引き受け済み + 保留中（古い順）
+async function dbListHandoffsForTask(teamId, taskId) {
+  const q = `
+    SELECT * FROM task_handoffs
+    WHERE team_id=$1 AND task_id=$2 AND status IN ('accepted','pending')
+    ORDER BY created_at ASC;
+  `;
+  const res = await dbQuery(q, [teamId, taskId]);
+  return res.rows || [];
+}
+
+// pending のときだけ更新（二度押し対策）
+async function dbRespondHandoff(teamId, handoffId, status) {
+  const q = `
+    UPDATE task_handoffs
+    SET status=$3, responded_at=now()
+    WHERE team_id=$1 AND id=$2 AND status='pending'
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [teamId, handoffId, status]);
+  return res.rows[0] || null;
+}
+
+// 対応者の付け替え（部署も引き直す）
+async function dbReassignTask(teamId, taskId, toUserId, actorUserId) {
+  const before = await dbGetTaskById(teamId, taskId);
+  let dept = null;
+  try {
+    dept = await resolveDeptForUser(teamId, toUserId);
+  } catch (_) {}
+
+  const q = `
+    UPDATE tasks
+    SET assignee_id=$3, assignee_dept=$4, updated_at=now()
+    WHERE team_id=$1 AND id=$2
+    RETURNING *;
   `;
-  const tasks = (await dbQuery(q, [today])).rows;
+  const res = await dbQuery(q, [teamId, taskId, toUserId, dept]);
+  const updated = res.rows[0] || null;
+  if (updated && before?.assignee_id !== toUserId) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "edit",
+      field: "assignee_id",
+      oldValue: taskEventValue("assignee_id", before?.assignee_id),
+      newValue: taskEventValue("assignee_id", toUserId),
+    });
+  }
+  return updated;
+}
+
+async function postDMBlocks(userId, text, blocks) {
+  if (!userId) return;
+  try {
+    const dm = await app.client.conversations.open({ users: userId });
+    const channel = dm.channel?.id;
+    if (!channel) return;
+    await app.client.chat.postMessage({ channel, text, blocks });
+  } catch (e) {
+    console.error("post DM error:", e?.data || e);
+  }
+}
+
+function handoffNoteText(note) {
+  return note ? `\nメモ：${noMention(note)}` : "";
+}
+
+// 新しい対応者あての依頼DM（1件）
+function handoffRequestBlocks(task, handoff) {
+  const value = JSON.stringify({
+    teamId: task.team_id,
+    handoffId: handoff.id,
+  });
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text:
+          `🔁 *担当変更の依頼が来たよ*\n<@${handoff.requested_by_user_id}> さんから「*${noMention(task.title)}*」の対応をお願いされています\n` +
+          `今の対応者：${handoff.from_user_id ? `<@${handoff.from_user_id}>${absenceMark(task.team_id, handoff.from_user_id)}` : "-"}　期限：${formatTaskDue(task)}` +
+          handoffNoteText(handoff.note),
+      },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "引き受ける" },
+          style: "primary",
+          action_id: "handoff_accept",
+          value,
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "断る" },
+          action_id: "handoff_decline",
+          value,
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "詳細を開く" },
+          action_id: "open_detail_modal",
+          value: JSON.stringify({ teamId: task.team_id, taskId: task.id }),
+        },
+      ],
+    },
+  ];
+}
 
-  for (const t of tasks) {
-    try {
-      await notifyUserDM(t.requester_user_id, t, "依頼者");
-      await notifyUserDM(t.assignee_id, t, "対応者");
-      await dbQuery(
-        `UPDATE tasks SET notified_at = now() WHERE team_id=$1 AND id=$2`,
-        [t.team_id, t.id],
-      );
-    } catch (e) {
-      console.error("notify error:", e?.data || e);
-    }
+// 担当変更の依頼（自分が引き取るときは承認なしで即反映）
+async function requestHandoff(
+  client,
+  { teamId, task, toUserId, actorUserId, note = null, batchId = null },
+) {
+  if (!task || task.task_type === "broadcast") return null;
+  if (!toUserId || toUserId === task.assignee_id) return null;
+
+  if (toUserId === actorUserId) {
+    const handoff = await dbCreateHandoff(teamId, {
+      taskId: task.id,
+      fromUserId: task.assignee_id,
+      toUserId,
+      requestedBy: actorUserId,
+      note,
+      batchId,
+    });
+    const updated = await applyHandoff(client, handoff, actorUserId);
+    return { handoff, task: updated };
   }
 
-  console.log(`[notify] done. today=${today} count=${tasks.length}`);
-}
+  const handoff = await dbCreateHandoff(teamId, {
+    taskId: task.id,
+    fromUserId: task.assignee_id,
+    toUserId,
+    requestedBy: actorUserId,
+    note,
+    batchId,
+  });
+  await dbInsertTaskEvent(teamId, task.id, {
+    actorUserId,
+    eventType: "handoff_requested",
+    oldValue: task.assignee_id || null,
+    newValue: toUserId,
+  });
 
-cron.schedule(
-  "0 9 * * *",
-  () => {
-    runDueNotifyJob().catch((e) =>
-      console.error("runDueNotifyJob error:", e?.data || e),
+  // まとめて引き継ぎは1通にまとめて送る（呼び出し側）
+  if (!batchId) {
+    await loadTeamAbsences(teamId);
+    await postDMBlocks(
+      toUserId,
+      `🔁 担当変更の依頼：${noMention(task.title)}`,
+      handoffRequestBlocks(task, handoff),
     );
-  },
-  { timezone: "Asia/Tokyo" },
-);
-
-if (process.env.RUN_NOTIFY_NOW === "true") {
-  runDueNotifyJob().catch(console.error);
+    if (task.assignee_id && task.assignee_id !== actorUserId) {
+      await postDM(
+        task.assignee_id,
+        `🔁 担当変更を依頼したよ（<@${toUserId}> さんの返事待ち）\n・タイトル：${noMention(task.title)}\n・依頼した人：<@${actorUserId}>${handoffNoteText(note)}`,
+      );
+    }
+  }
+  return { handoff, task };
 }
 
-// ================================
-// Edit Task modal
-// ================================
-app.action("open_edit_task_modal", async ({ ack, body, action, client }) => {
-  await ack();
+// 引き受け → 対応者を付け替えて、前の対応者/依頼者へ通知
+async function applyHandoff(
+  client,
+  handoff,
+  actorUserId,
+  { notifyFrom = true } = {},
+) {
+  const teamId = handoff.team_id;
+  const task = await dbGetTaskById(teamId, handoff.task_id);
+
+  // 依頼後に完了/取り下げ/別の人へ変更されていたら無効
+  const stale =
+    !task ||
+    ["done", "cancelled"].includes(task.status) ||
+    (task.assignee_id || null) !== (handoff.from_user_id || null);
+  if (stale) {
+    await dbRespondHandoff(teamId, handoff.id, "cancelled");
+    return null;
+  }
 
-  const meta = safeJsonParse(action.value || "{}") || {};
-  const teamId = meta.teamId || getTeamIdFromBody(body);
-  const taskId = meta.taskId;
-  const viewerUserId = getUserIdFromBody(body);
+  const responded = await dbRespondHandoff(teamId, handoff.id, "accepted");
+  if (!responded) return null;
 
-  if (!teamId || !taskId || !viewerUserId) return;
+  const updated = await dbReassignTask(
+    teamId,
+    task.id,
+    handoff.to_user_id,
+    actorUserId,
+  );
+  if (!updated) return null;
+
+  await loadTeamAbsences(teamId);
+  const fromText = handoff.from_user_id
+    ? `<@${handoff.from_user_id}>${absenceMark(teamId, handoff.from_user_id)}`
+    : "-";
+  const msg = `🔁 対応者が変わったよ：${fromText} → <@${handoff.to_user_id}>${absenceMark(teamId, handoff.to_user_id)}\n・タイトル：${noMention(updated.title)}\n・期限：${formatTaskDue(updated)}`;
+  const notify = new Set(
+    [
+      notifyFrom ? handoff.from_user_id : null,
+      updated.requester_user_id,
+      handoff.requested_by_user_id,
+    ].filter((u) => u && u !== actorUserId && u !== handoff.to_user_id),
+  );
+  for (const uid of notify) await postDM(uid, msg);
 
-  try {
-    const task = await dbGetTaskById(teamId, taskId);
-    if (!task) return;
+  await refreshThreadCardForTask(client, updated);
+  publishHomeForUsers(client, teamId, [
+    handoff.from_user_id,
+    handoff.to_user_id,
+    updated.requester_user_id,
+  ]);
+  return updated;
+}
 
-    const isBroadcast = task.task_type === "broadcast";
-    const canEditTask =
-      (!isBroadcast &&
-        (viewerUserId === task.requester_user_id ||
-          viewerUserId === task.assignee_id)) ||
-      (isBroadcast && viewerUserId === task.requester_user_id);
+async function declineHandoff(client, handoff, actorUserId) {
+  const teamId = handoff.team_id;
+  const responded = await dbRespondHandoff(teamId, handoff.id, "declined");
+  if (!responded) return null;
 
-    if (!canEditTask) return;
+  const task = await dbGetTaskById(teamId, handoff.task_id);
+  await dbInsertTaskEvent(teamId, handoff.task_id, {
+    actorUserId,
+    eventType: "handoff_declined",
+    newValue: actorUserId,
+  });
 
-    const initDue = slackDateYmd(task.due_date);
+  const notify = new Set(
+    [handoff.requested_by_user_id, handoff.from_user_id].filter(
+      (u) => u && u !== actorUserId,
+    ),
+  );
+  for (const uid of notify) {
+    await postDM(
+      uid,
+      `🙅 <@${actorUserId}> さんが担当変更を断りました（対応者はそのまま）\n・タイトル：${noMention(task?.title || "（タスク）")}`,
+    );
+  }
+  return responded;
+}
 
-    const blocks = [];
+// 詳細モーダル：対応者の移り変わり
+function handoffTrailBlocks(task, handoffs) {
+  const accepted = handoffs.filter((h) => h.status === "accepted");
+  const pending = handoffs.find((h) => h.status === "pending");
+  if (!accepted.length && !pending) return [];
+
+  const lines = [];
+  if (accepted.length) {
+    const chain = [
+      accepted[0].from_user_id,
+      ...accepted.map((h) => h.to_user_id),
+    ]
+      .map((u) => (u ? `<@${u}>` : "-"))
+      .join(" → ");
+    lines.push(`*担当の履歴*：${chain}`);
+  }
+  if (pending) {
+    lines.push(
+      `⏳ <@${pending.to_user_id}> さんへ引き継ぎ依頼中（返事待ち・${formatJstDateTime(pending.created_at)}）`,
+    );
+  }
+  return [
+    { type: "section", text: { type: "mrkdwn", text: lines.join("\n") } },
+  ];
+}
 
-    // personal のみ：対応者を変更できる（broadcastは対象者集合の整合性があるため変更しない）
-    if (!isBroadcast) {
-      blocks.push({
-        type: "input",
-        block_id: "assignee",
-        label: { type: "plain_text", text: "対応者" },
-        element: {
-          type: "users_select",
-          action_id: "assignee_user",
-          initial_user: task.assignee_id,
-        },
-      });
-    }
+function canHandoffTask(task, userId) {
+  return (
+    task?.task_type !== "broadcast" &&
+    !["done", "cancelled"].includes(task?.status) &&
+    canEditTaskContent(task, userId)
+  );
+}
 
-    blocks.push({
-      type: "input",
-      block_id: "due",
-      optional: true,
-      label: { type: "plain_text", text: "期限" },
-      element: {
-        type: "datepicker",
-        action_id: "due_date",
-        ...(initDue ? { initial_date: initDue } : {}),
-        placeholder: { type: "plain_text", text: "日付を選択" },
-      },
+async function updateHandoffDM(body, text) {
+  if (!body.channel?.id || !body.message?.ts) return;
+  try {
+    await app.client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text,
+      blocks: [{ type: "section", text: { type: "mrkdwn", text } }],
     });
+  } catch (_) {}
+}
 
-    blocks.push({
-      type: "input",
-      block_id: "content",
-      label: { type: "plain_text", text: "タスク内容" },
-      element: {
-        type: "plain_text_input",
-        action_id: "content_text",
-        multiline: true,
-        initial_value: task.description || "",
-      },
-    });
+app.action("open_handoff_modal", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const task = await dbGetTaskById(teamId, p.taskId);
+    if (!canHandoffTask(task, userId)) return;
 
     await client.views.push({
       trigger_id: body.trigger_id,
       view: {
         type: "modal",
-        callback_id: "edit_task_modal",
-        private_metadata: JSON.stringify({ teamId, taskId }),
-        title: { type: "plain_text", text: "タスク編集" },
-        submit: { type: "plain_text", text: "保存" },
+        callback_id: "handoff_modal",
+        // assigneeId：送信時の同一人物チェック用（ack 前に DB を引かない）
+        private_metadata: JSON.stringify({
+          teamId,
+          taskId: task.id,
+          assigneeId: task.assignee_id || null,
+          origin: p.origin || "home",
+          parent_view_id: body.view?.id || null,
+        }),
+        title: { type: "plain_text", text: "担当変更" },
+        submit: { type: "plain_text", text: "依頼する" },
         close: { type: "plain_text", text: "キャンセル" },
-        blocks,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `*${noMention(task.title)}*\n今の対応者：<@${task.assignee_id}>\n新しい対応者が「引き受ける」と変更されます。`,
+            },
+          },
+          {
+            type: "input",
+            block_id: "handoff_to",
+            label: { type: "plain_text", text: "新しい対応者" },
+            element: { type: "users_select", action_id: "user" },
+          },
+          {
+            type: "input",
+            block_id: "handoff_note",
+            optional: true,
+            label: { type: "plain_text", text: "メモ（任意）" },
+            element: {
+              type: "plain_text_input",
+              action_id: "note",
+              multiline: true,
+            },
+          },
+        ],
       },
     });
   } catch (e) {
-    console.error("open_edit_task_modal error:", e?.data || e);
+    console.error("open_handoff_modal error:", e?.data || e);
   }
 });
 
-app.view("edit_task_modal", async ({ ack, body, view, client }) => {
+app.view("handoff_modal", async ({ ack, body, view, client }) => {
   const meta = safeJsonParse(view.private_metadata || "{}") || {};
   const teamId = meta.teamId || getTeamIdFromBody(body);
-  const taskId = meta.taskId;
-  const actorUserId = getUserIdFromBody(body);
-
-  const nextAssignee =
-    view.state.values.assignee?.assignee_user?.selected_user || null;
-  const nextDue = view.state.values.due?.due_date?.selected_date || null;
-  const nextContent = (
-    view.state.values.content?.content_text?.value || ""
-  ).trim();
+  const userId = getUserIdFromBody(body);
+  const toUserId = view.state.values.handoff_to?.user?.selected_user || null;
+  const note = view.state.values.handoff_note?.note?.value?.trim() || null;
 
-  if (!nextContent) {
+  if (toUserId && toUserId === meta.assigneeId) {
     await ack({
       response_action: "errors",
-      errors: { content: "タスク内容を入力してください" },
+      errors: { handoff_to: "今の対応者と同じ人です" },
     });
     return;
   }
+  await ack();
 
-  // ① まず軽い画面へ差し替え（hash_conflict回避）
-  await ack({
-    response_action: "update",
-    view: {
-      type: "modal",
-      callback_id: "edit_task_modal_saving",
-      title: { type: "plain_text", text: "保存中..." },
-      close: { type: "plain_text", text: "閉じる" },
-      blocks: [
-        { type: "section", text: { type: "mrkdwn", text: "更新しています。" } },
-      ],
-    },
-  });
+  try {
+    const task = await dbGetTaskById(teamId, meta.taskId);
+    if (!canHandoffTask(task, userId)) return;
+    // 開いている間に別の人へ変わっていて、その人を選んでいた場合
+    if (toUserId === task.assignee_id) return;
+    const result = await requestHandoff(client, {
+      teamId,
+      task,
+      toUserId,
+      actorUserId: userId,
+      note,
+    });
 
+    if (meta.parent_view_id) {
+      await client.views.update({
+        view_id: meta.parent_view_id,
+        view: await buildDetailModalView({
+          teamId,
+          task: result?.task || task,
+          viewerUserId: userId,
+          origin: meta.origin || "home",
+        }),
+      });
+    }
+  } catch (e) {
+    console.error("handoff_modal error:", e?.data || e);
+  }
+});
+
+app.action("handoff_accept", async ({ ack, body, action, client }) => {
+  await ack();
   try {
-    const before = await dbGetTaskById(teamId, taskId);
-    if (!before) return;
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const handoff = await dbGetHandoff(teamId, p.handoffId);
+    if (!handoff || handoff.to_user_id !== userId) return;
 
-    const isBroadcast = before.task_type === "broadcast";
-    const canEditTask =
-      (!isBroadcast &&
-        (actorUserId === before.requester_user_id ||
-          actorUserId === before.assignee_id)) ||
-      (isBroadcast && actorUserId === before.requester_user_id);
+    if (handoff.status !== "pending") {
+      await updateHandoffDM(body, "この依頼はもう受付が終わっているよ");
+      return;
+    }
+    const updated = await applyHandoff(client, handoff, userId);
+    await updateHandoffDM(
+      body,
+      updated
+        ? `✅ 「*${noMention(updated.title)}*」を引き受けました`
+        : "🥺 状況が変わったため、この依頼は無効になりました（完了済み・別の人に変更済みなど）",
+    );
+  } catch (e) {
+    console.error("handoff_accept error:", e?.data || e);
+  }
+});
 
-    if (!canEditTask) return;
+app.action("handoff_decline", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const handoff = await dbGetHandoff(teamId, p.handoffId);
+    if (!handoff || handoff.to_user_id !== userId) return;
+
+    const declined = await declineHandoff(client, handoff, userId);
+    await updateHandoffDM(
+      body,
+      declined
+        ? "🙅 担当変更を断りました"
+        : "この依頼はもう受付が終わっているよ",
+    );
+  } catch (e) {
+    console.error("handoff_decline error:", e?.data || e);
+  }
+});
+
+// ---- まとめて引き継ぎ（自分が対応中の未完了タスクを全部） ----
+async function listMyHandoffTargets(teamId, userId) {
+  const tasks = await dbListPersonalTasksByStatusesWithScope(
+    teamId,
+    ACTIVE_STATUSES,
+    "to_me",
+    userId,
+    EXPORT_MAX_TASKS,
+  );
+  return tasks || [];
+}
+
+app.action("open_bulk_handoff_modal", async ({ ack, body, client }) => {
+  await ack();
+  try {
+    const teamId = getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const tasks = await listMyHandoffTargets(teamId, userId);
+
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: tasks.length
+            ? `あなたが対応中の未完了タスク *${tasks.length}件* をまとめて引き継ぎ依頼します。\n相手が「全部引き受ける」と対応者が変わります。`
+            : "引き継げるタスク（あなたが対応中の未完了タスク）はありません。",
+        },
+      },
+    ];
+    if (tasks.length) {
+      blocks.push(
+        {
+          type: "input",
+          block_id: "handoff_to",
+          label: { type: "plain_text", text: "引き継ぐ相手" },
+          element: { type: "users_select", action_id: "user" },
+        },
+        {
+          type: "input",
+          block_id: "handoff_note",
+          optional: true,
+          label: { type: "plain_text", text: "メモ（任意）" },
+          element: {
+            type: "plain_text_input",
+            action_id: "note",
+            multiline: true,
+            placeholder: { type: "plain_text", text: "例：異動のため" },
+          },
+        },
+      );
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "bulk_handoff_modal",
+        private_metadata: JSON.stringify({ teamId }),
+        title: { type: "plain_text", text: "まとめて引き継ぎ" },
+        ...(tasks.length
+          ? { submit: { type: "plain_text", text: "依頼する" } }
+          : {}),
+        close: { type: "plain_text", text: "閉じる" },
+        blocks,
+      },
+    });
+  } catch (e) {
+    console.error("open_bulk_handoff_modal error:", e?.data || e);
+  }
+});
 
-    // personal だけ対応者変更を許可（broadcastは対象者集合の整合性があるため変更しない）
-    let patchAssigneeId = null;
-    let patchAssigneeDept = null;
-    if (!isBroadcast) {
-      if (!nextAssignee) {
-        // users_select なので通常は入るが、万一の保険
-        return;
-      }
-      patchAssigneeId = nextAssignee;
-      try {
-        patchAssigneeDept = await resolveDeptForUser(teamId, nextAssignee);
-      } catch (_) {}
-    }
+app.view("bulk_handoff_modal", async ({ ack, body, view, client }) => {
+  const meta = safeJsonParse(view.private_metadata || "{}") || {};
+  const teamId = meta.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const toUserId = view.state.values.handoff_to?.user?.selected_user || null;
+  const note = view.state.values.handoff_note?.note?.value?.trim() || null;
 
-    const updated = await dbUpdateTaskContent(teamId, taskId, {
-      assignee_id: patchAssigneeId,
-      assignee_dept: patchAssigneeDept,
-      due_date: nextDue,
-      description: nextContent,
+  if (!toUserId || toUserId === userId) {
+    await ack({
+      response_action: "errors",
+      errors: { handoff_to: "自分以外の人を選んでください" },
     });
-    if (!updated) return;
+    return;
+  }
+  await ack();
 
-    // スレッドカード更新 + 変更通知（証跡）
-    if (updated.channel_id && updated.message_ts) {
-      const cardBlocks = await buildThreadCardBlocks({ teamId, task: updated });
-      if (!updated.channel_id?.startsWith("D")) {
-        await upsertThreadCard(client, {
-          teamId,
-          channelId: updated.channel_id,
-          parentTs: updated.message_ts,
-          blocks: cardBlocks,
-        });
-      }
-      // 変更点を作る（証跡用）
-      const changes = [];
-      if (
-        !isBroadcast &&
-        before.assignee_id &&
-        updated.assignee_id &&
-        before.assignee_id !== updated.assignee_id
-      ) {
-        changes.push(
-          `• *対応者*：<@${before.assignee_id}> → <@${updated.assignee_id}>`,
-        );
-      }
-      if (String(before.due_date || "") !== String(updated.due_date || "")) {
-        changes.push(
-          `• *期限*：${formatDueDateOnly(before.due_date)} → ${formatDueDateOnly(updated.due_date)}`,
-        );
-      }
-      if ((before.description || "") !== (updated.description || "")) {
-        changes.push("• *タスク内容*：変更あり");
-      }
-      const changesText = changes.length
-        ? changes.join("\n")
-        : "• 変更点：軽微な更新";
+  try {
+    const tasks = await listMyHandoffTargets(teamId, userId);
+    if (!tasks.length) return;
 
-      const beforeDesc = noMention(
-        String(before.description || "").slice(0, 400),
-      );
-      const afterDesc = noMention(
-        String(updated.description || "").slice(0, 400),
-      );
+    const batchId = randomUUID();
+    for (const task of tasks) {
+      await requestHandoff(client, {
+        teamId,
+        task,
+        toUserId,
+        actorUserId: userId,
+        note,
+        batchId,
+      });
+    }
 
-      const blocks = [
+    const preview = tasks
+      .slice(0, BULK_HANDOFF_PREVIEW_MAX)
+      .map((t) => `• ${noMention(t.title)}（${formatTaskDue(t)}）`)
+      .join("\n");
+    const more =
+      tasks.length > BULK_HANDOFF_PREVIEW_MAX
+        ? `\n…ほか ${tasks.length - BULK_HANDOFF_PREVIEW_MAX}件`
+        : "";
+    const value = JSON.stringify({ teamId, batchId });
+
+    await postDMBlocks(
+      toUserId,
+      `🔁 まとめて引き継ぎの依頼（${tasks.length}件）`,
+      [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `:鉛筆_2: *タスク内容が更新されました*\n更新者：<@${actorUserId}>\n*変更点*\n${changesText}`,
+            text:
+              `🔁 *<@${userId}> さんから ${tasks.length}件 の引き継ぎ依頼*\n${preview}${more}` +
+              handoffNoteText(note),
           },
         },
-      ];
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: { type: "plain_text", text: "全部引き受ける" },
+              style: "primary",
+              action_id: "handoff_batch_accept",
+              value,
+            },
+            {
+              type: "button",
+              text: { type: "plain_text", text: "断る" },
+              action_id: "handoff_batch_decline",
+              value,
+            },
+          ],
+        },
+      ],
+    );
+    await postDM(
+      userId,
+      `🔁 <@${toUserId}> さんに ${tasks.length}件 の引き継ぎを依頼したよ（返事が来たらお知らせします）`,
+    );
+  } catch (e) {
+    console.error("bulk_handoff_modal error:", e?.data || e);
+  }
+});
 
-      if ((before.description || "") !== (updated.description || "")) {
-        blocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*変更前*\n\`\`\`\n${beforeDesc}\n\`\`\`\n*変更後*\n\`\`\`\n${afterDesc}\n\`\`\``,
-          },
-        });
-      }
+async function respondHandoffBatch(body, action, client, { accept }) {
+  const p = safeJsonParse(action.value || "{}") || {};
+  const teamId = p.teamId || getTeamIdFromBody(body);
+  const userId = getUserIdFromBody(body);
+  const pending = (
+    await dbListPendingHandoffsByBatch(teamId, p.batchId)
+  ).filter((h) => h.to_user_id === userId);
+  if (!pending.length) {
+    await updateHandoffDM(body, "この依頼はもう受付が終わっているよ");
+    return;
+  }
 
-      await client.chat.postMessage({
-        channel: updated.channel_id,
-        thread_ts: updated.message_ts,
-        text: "タスク内容が更新されました",
-        blocks,
+  const fromUserId = pending[0].requested_by_user_id;
+  let done = 0;
+  for (const h of pending) {
+    if (accept) {
+      // 前の対応者（= 依頼した本人）へは最後に1通だけ
+      if (await applyHandoff(client, h, userId, { notifyFrom: false })) done++;
+    } else {
+      await dbRespondHandoff(teamId, h.id, "declined");
+      await dbInsertTaskEvent(teamId, h.task_id, {
+        actorUserId: userId,
+        eventType: "handoff_declined",
+        newValue: userId,
       });
     }
+  }
 
-    // Home再描画（操作者のみ）
-    try {
-      publishHomeForUsers(client, teamId, [actorUserId], 200);
-      setTimeout(
-        () => publishHomeForUsers(client, teamId, [actorUserId], 200),
-        200,
-      );
-    } catch (_) {}
-
-    // ② 最後に「更新後の詳細」を表示（不安解消・hash_conflict回避）
-    try {
-      const detailView = await buildDetailModalView({
-        teamId,
-        task: updated,
-        viewerUserId: actorUserId,
-        origin: "home",
-      });
-
-      // ✅ コメント保存と同じ考え方：
-      // - まず「前の詳細モーダル」を最新内容で更新しておく
-      // - いま表示中（保存中/保存完了）のモーダルは「保存しました✅」だけにする
-      //   → 閉じると、更新済みの詳細モーダルに戻る（古いモーダルが残らない）
-      const prevViewId = body?.view?.previous_view_id;
-
-      // ① 前の詳細モーダルを更新（あれば）
-      if (prevViewId) {
-        try {
-          await client.views.update({
-            view_id: prevViewId,
-            view: detailView,
-          });
-        } catch (e) {
-          console.error("update previous detail view error:", e?.data || e);
-        }
-      }
+  if (accept) {
+    const skipped = pending.length - done;
+    await postDM(
+      fromUserId,
+      `✅ <@${userId}> さんが ${done}件 を引き受けました${skipped ? `（${skipped}件は完了済みなどで対象外）` : ""}`,
+    );
+    await updateHandoffDM(
+      body,
+      `✅ ${done}件 を引き受けました${skipped ? `（${skipped}件は状況が変わったため対象外）` : ""}`,
+    );
+  } else {
+    await postDM(
+      fromUserId,
+      `🙅 <@${userId}> さんがまとめて引き継ぎ（${pending.length}件）を断りました`,
+    );
+    await updateHandoffDM(body, "🙅 まとめて引き継ぎを断りました");
+  }
+}
 
-      // ② 現在のモーダルは「保存しました✅」最小UI
-      await client.views.update({
-        view_id: body.view.id,
-        view: {
-          type: "modal",
-          callback_id: "edit_task_modal_done",
-          title: { type: "plain_text", text: "保存しました✅" },
-          close: { type: "plain_text", text: "閉じる" },
-          blocks: [
-            {
-              type: "section",
-              text: { type: "mrkdwn", text: "タスク内容を更新しました。" },
-            },
-          ],
-        },
-      });
-    } catch (_) {}
+app.action("handoff_batch_accept", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    await respondHandoffBatch(body, action, client, { accept: true });
   } catch (e) {
-    console.error("edit_task_modal submit error:", e?.data || e);
+    console.error("handoff_batch_accept error:", e?.data || e);
+  }
+});
 
-    // 失敗画面（最小UI）
-    try {
-      await client.views.update({
-        view_id: body.view.id,
-        view: {
-          type: "modal",
-          callback_id: "edit_task_modal_error",
-          title: { type: "plain_text", text: "保存できませんでした" },
-          close: { type: "plain_text", text: "閉じる" },
-          blocks: [
-            {
-              type: "section",
-              text: { type: "mrkdwn", text: "もう一度お試しください。" },
-            },
-          ],
-        },
-      });
-    } catch (_) {}
+app.action("handoff_batch_decline", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    await respondHandoffBatch(body, action, client, { accept: false });
+  } catch (e) {
+    console.error("handoff_batch_decline error:", e?.data || e);
   }
 });
 
 // ================================
 // DB: Task comments
 // ================================
+// 新しい順に limit 件 → 古い順に並べ直して返す
 async function dbListTaskComments(teamId, taskId, limit = 10) {
   const q = `
-    SELECT user_id, comment, created_at
-    FROM task_comments
-    WHERE team_id=$1 AND task_id=$2
-    ORDER BY created_at ASC
-    LIMIT $3;
+    SELECT * FROM (
+      SELECT user_id, comment, source, created_at
+      FROM task_comments
+      WHERE team_id=$1 AND task_id=$2
+      ORDER BY created_at DESC
+      LIMIT $3
+    ) c
+    ORDER BY created_at ASC;
   `;
   const res = await dbQuery(q, [teamId, taskId, limit]);
   return res.rows || [];
 }
 
-async function dbInsertTaskComment(teamId, taskId, userId, comment) {
+// slackTs があるもの（スレッド連携）は ts で重複除外。入ったら true
+async function dbInsertTaskComment(
+  teamId,
+  taskId,
+  userId,
+  comment,
+  { slackTs = null, source = "modal" } = {},
+) {
   const q = `
-    INSERT INTO task_comments (id, team_id, task_id, user_id, comment)
-    VALUES ($1,$2,$3,$4,$5);
+    INSERT INTO task_comments (id, team_id, task_id, user_id, comment, source, slack_ts, created_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7, COALESCE(to_timestamp($8::double precision), now()))
+    ON CONFLICT (team_id, task_id, slack_ts) DO NOTHING;
   `;
-  await dbQuery(q, [
+  const res = await dbQuery(q, [
     randomUUID(),
     teamId,
     taskId,
     userId,
     String(comment || "").trim(),
+    source,
+    slackTs,
+    source === "thread" && slackTs ? Number(slackTs) : null,
   ]);
+  return res.rowCount > 0;
+}
+
+// スレッドで返信が編集/削除されたら、取り込んだコメントも合わせる
+async function dbUpdateThreadComment(teamId, channelId, slackTs, comment) {
+  const q = `
+    UPDATE task_comments
+    SET comment=$4
+    WHERE team_id=$1 AND slack_ts=$3 AND source='thread'
+      AND task_id IN (SELECT id FROM tasks WHERE team_id=$1 AND channel_id=$2);
+  `;
+  await dbQuery(q, [teamId, channelId, slackTs, String(comment || "").trim()]);
+}
+
+async function dbDeleteThreadComment(teamId, channelId, slackTs) {
+  const q = `
+    DELETE FROM task_comments
+    WHERE team_id=$1 AND slack_ts=$3 AND source='thread'
+      AND task_id IN (SELECT id FROM tasks WHERE team_id=$1 AND channel_id=$2);
+  `;
+  await dbQuery(q, [teamId, channelId, slackTs]);
 }
 
 // ================================
@@ -5420,15 +13057,25 @@ app.view("comment_modal", async ({ ack, body, view, client }) => {
 
   try {
     // ② 重い処理は ack 後にやる
-    await dbInsertTaskComment(meta.teamId, meta.taskId, body.user.id, comment);
-
     const task = await dbGetTaskById(meta.teamId, meta.taskId);
     if (!task) return;
 
+    // スレッド連携 ON ならスレッドにも返信（ts を持たせて取り込み側と重複させない）
+    const slackTs = await mirrorCommentToThread(
+      client,
+      task,
+      body.user.id,
+      comment,
+    );
+    await dbInsertTaskComment(meta.teamId, meta.taskId, body.user.id, comment, {
+      slackTs,
+    });
+
     // ②-b コメント通知（bot DM）
     // - メンションがあればメンション先へ
     // - メンションが無ければ personal は (依頼者/対応者) へ（自分は除外）
     // - broadcast は依頼者へ（自分は除外）
+    // - フォロワーには常に（自分は除外）
     try {
       const actor = body.user.id;
 
@@ -5451,6 +13098,10 @@ app.view("comment_modal", async ({ ack, body, view, client }) => {
         }
       }
 
+      // フォロワーはメンション有無に関係なく
+      for (const uid of await watchersToNotify(meta.teamId, task.id, [actor]))
+        recipients.add(uid);
+
       // DM本文（DMなので @mention は不要。DM自体が通知になる）
       const title = task.title || "（タスク）";
       const msg =
@@ -5522,10 +13173,112 @@ app.view("comment_modal", async ({ ack, body, view, client }) => {
   }
 });
 
+// ================================
+// Thread comment sync（opt-in）
+// - タスクごとに「スレッド連携」を ON にすると
+//   ・元メッセージのスレッド返信 → task_comments に取り込み（ts で重複除外）
+//   ・コメントモーダルの投稿 → スレッドにも返信
+// - 取り込み対象は「元メッセージ（= thread_cards の親）」にぶら下がる返信だけ
+// ================================
+function canUseThreadSync(task) {
+  return (
+    !!task?.channel_id &&
+    !!task?.message_ts &&
+    !String(task.channel_id).startsWith("D")
+  );
+}
+
+async function dbSetThreadSync(teamId, taskId, enabled, actorUserId) {
+  const q = `
+    UPDATE tasks
+    SET thread_sync=$3, updated_at=now()
+    WHERE team_id=$1 AND id=$2
+    RETURNING *;
+  `;
+  const res = await dbQuery(q, [teamId, taskId, !!enabled]);
+  const updated = res.rows[0] || null;
+  if (updated) {
+    await dbInsertTaskEvent(teamId, taskId, {
+      actorUserId,
+      eventType: "thread_sync",
+      newValue: enabled ? "on" : "off",
+    });
+  }
+  return updated;
+}
+
+// スレッド返信 → コメント
+async function captureThreadReply(teamId, event) {
+  if (!event.thread_ts || event.thread_ts === event.ts) return;
+  if (event.bot_id || !event.user) return;
+  if (!String(event.text || "").trim()) return;
+
+  const task = await dbGetTaskBySource(teamId, event.channel, event.thread_ts);
+  if (!task?.thread_sync) return;
+
+  await dbInsertTaskComment(teamId, task.id, event.user, event.text, {
+    slackTs: event.ts,
+    source: "thread",
+  });
+}
+
+// モーダルのコメント → スレッド（投稿できたら ts を返す）
+async function mirrorCommentToThread(client, task, userId, comment) {
+  if (!task?.thread_sync || !canUseThreadSync(task)) return null;
+  try {
+    const name = await getUserDisplayName(task.team_id, userId);
+    const res = await client.chat.postMessage({
+      channel: task.channel_id,
+      thread_ts: task.message_ts,
+      text: `🗨 ${name}（タスク詳細からのコメント）\n${comment}`,
+    });
+    return res?.ts || null;
+  } catch (e) {
+    console.error("mirror comment error:", e?.data || e);
+    return null;
+  }
+}
+
+app.action("toggle_thread_sync", async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const p = safeJsonParse(action.value || "{}") || {};
+    const teamId = p.teamId || getTeamIdFromBody(body);
+    const userId = getUserIdFromBody(body);
+    const task = await dbGetTaskById(teamId, p.taskId);
+    if (!task || !canUseThreadSync(task)) return;
+    if (!canEditTaskContent(task, userId)) return;
+
+    const enabled = !task.thread_sync;
+    const updated = await dbSetThreadSync(teamId, task.id, enabled, userId);
+    if (!updated) return;
+
+    // スレッドの人にも分かるように一言（取り込まれるのを知らないまま書かれないように）
+    try {
+      await client.chat.postMessage({
+        channel: updated.channel_id,
+        thread_ts: updated.message_ts,
+        text: enabled
+          ? "🧵 このスレッドの返信は、タスクのコメントにも記録されます"
+          : "🧵 スレッドとタスクコメントの連携を止めました",
+      });
+    } catch (e) {
+      console.error("thread sync notice error:", e?.data || e);
+    }
+
+    await refreshDetailModalIfOpen(client, body, teamId, updated, userId);
+  } catch (e) {
+    console.error("toggle_thread_sync error:", e?.data || e);
+  }
+});
+
 // ================================
 // Start
 // ================================
 (async () => {
+  // DBスキーマを最新化してから起動（未適用の migrations/*.sql だけ流す）
+  await migrateUp(pool);
+
   const port = process.env.PORT ? Number(process.env.PORT) : 3000;
   await app.start(port);
   console.log(`⚡️ Slack app is running on port ${port}`);
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+
+// ================================
+// Schema migrations
+// - migrations/NNNN_name.up.sql / NNNN_name.down.sql を番号順に適用
+// - 適用済みは schema_migrations に記録
+// - 使い方：node migrate.js up | down [件数] | status
+// ================================
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// 複数インスタンス同時起動でも二重適用しないためのロックキー（任意の固定値）
+const MIGRATION_LOCK_KEY = 727001;
+
+function listMigrations() {
+  const files = fs.existsSync(MIGRATIONS_DIR)
+    ? fs.readdirSync(MIGRATIONS_DIR)
+    : [];
+  return files
+    .map((f) => f.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map((m) => {
+      const name = `${m[1]}_${m[2]}`;
+      return {
+        version: m[1],
+        name,
+        upPath: path.join(MIGRATIONS_DIR, `${name}.up.sql`),
+        downPath: path.join(MIGRATIONS_DIR, `${name}.down.sql`),
+      };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    text PRIMARY KEY,
+      name       text NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+async function listAppliedVersions(client) {
+  const res = await client.query(
+    `SELECT version FROM schema_migrations ORDER BY version ASC;`,
+  );
+  return (res.rows || []).map((r) => r.version);
+}
+
+// ロックを取って fn を実行（接続は1本を使い回す）
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// 1ファイル = 1トランザクション（失敗したらそのファイルごとロールバック）
+async function runInTransaction(client, sql, after) {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await after();
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
+
+async function migrateUp(pool) {
+  return await withMigrationLock(pool, async (client) => {
+    const applied = new Set(await listAppliedVersions(client));
+    const pending = listMigrations().filter((m) => !applied.has(m.version));
+
+    for (const m of pending) {
+      const sql = fs.readFileSync(m.upPath, "utf8");
+      await runInTransaction(client, sql, () =>
+        client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1,$2)`,
+          [m.version, m.name],
+        ),
+      );
+      console.log(`[migrate] up ${m.name}`);
+    }
+
+    return pending.map((m) => m.name);
+  });
+}
+
+async function migrateDown(pool, steps = 1) {
+  return await withMigrationLock(pool, async (client) => {
+    const byVersion = new Map(listMigrations().map((m) => [m.version, m]));
+    const applied = (await listAppliedVersions(client)).reverse();
+    const reverted = [];
+
+    for (const version of applied.slice(0, Math.max(0, steps))) {
+      const m = byVersion.get(version);
+      if (!m || !fs.existsSync(m.downPath)) {
+        throw new Error(`down migration not found: ${version}`);
+      }
+      const sql = fs.readFileSync(m.downPath, "utf8");
+      await runInTransaction(client, sql, () =>
+        client.query(`DELETE FROM schema_migrations WHERE version=$1`, [
+          version,
+        ]),
+      );
+      console.log(`[migrate] down ${m.name}`);
+      reverted.push(m.name);
+    }
+
+    return reverted;
+  });
+}
+
+async function migrationStatus(pool) {
+  return await withMigrationLock(pool, async (client) => {
+    const applied = new Set(await listAppliedVersions(client));
+    return listMigrations().map((m) => ({
+      name: m.name,
+      applied: applied.has(m.version),
+    }));
+  });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+// ================================
+// CLI
+// ================================
+if (require.main === module) {
+  require("dotenv").config();
+  const { Pool } = require("pg");
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl:
+      process.env.PGSSL === "true" ? { rejectUnauthorized: false } : undefined,
+  });
+
+  const [command = "status", arg] = process.argv.slice(2);
+
+  (async () => {
+    try {
+      if (command === "up") {
+        const done = await migrateUp(pool);
+        if (!done.length) console.log("[migrate] already up to date");
+      } else if (command === "down") {
+        const steps = arg ? Number(arg) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`invalid steps: ${arg}`);
+        }
+        await migrateDown(pool, steps);
+      } else if (command === "status") {
+        for (const m of await migrationStatus(pool)) {
+          console.log(`${m.applied ? "[x]" : "[ ]"} ${m.name}`);
+        }
+      } else {
+        throw new Error(`unknown command: ${command} (up | down [n] | status)`);
+      }
+    } catch (e) {
+      console.error("[migrate] error:", e?.message || e);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
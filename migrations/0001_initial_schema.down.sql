@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS task_comments;
+DROP TABLE IF EXISTS user_departments;
+DROP TABLE IF EXISTS thread_cards;
+DROP TABLE IF EXISTS task_completions;
+DROP TABLE IF EXISTS task_targets;
+DROP TABLE IF EXISTS tasks;
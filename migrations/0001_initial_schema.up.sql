@@ -0,0 +1,89 @@
+-- 初期スキーマ（index.js が前提にしているテーブル一式）
+-- 既存環境（手作業で作成済み）にも適用できるよう IF NOT EXISTS で作る
+
+-- tasks.id はアプリ側で randomUUID() を文字列として入れている（text）
+CREATE TABLE IF NOT EXISTS tasks (
+  id                     text PRIMARY KEY,
+  team_id                text NOT NULL,
+  channel_id             text,
+  message_ts             text,
+  source_permalink       text,
+  title                  text NOT NULL,
+  description            text,
+  requester_user_id      text,
+  created_by_user_id     text,
+  assignee_id            text,
+  assignee_label         text,
+  status                 text NOT NULL DEFAULT 'in_progress',
+  due_date               date,
+  requester_dept         text,
+  assignee_dept          text,
+  task_type              text DEFAULT 'personal',
+  broadcast_group_handle text,
+  broadcast_group_id     text,
+  total_count            integer,
+  completed_count        integer NOT NULL DEFAULT 0,
+  notified_at            timestamptz,
+  completed_at           timestamptz,
+  cancelled_at           timestamptz,
+  cancelled_by_user_id   text,
+  created_at             timestamptz NOT NULL DEFAULT now(),
+  updated_at             timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS tasks_team_status_idx ON tasks (team_id, status);
+CREATE INDEX IF NOT EXISTS tasks_source_idx ON tasks (team_id, channel_id, message_ts);
+CREATE INDEX IF NOT EXISTS tasks_due_date_idx ON tasks (due_date);
+
+-- broadcast 対象者（作成時スナップショット）
+-- task_id は uuid（一覧SQLは tt.task_id::text = t.id で突き合わせている）
+CREATE TABLE IF NOT EXISTS task_targets (
+  task_id    uuid NOT NULL,
+  team_id    text NOT NULL,
+  user_id    text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_targets_user_idx ON task_targets (team_id, user_id);
+
+-- broadcast 完了（対象者ごと）
+CREATE TABLE IF NOT EXISTS task_completions (
+  task_id    uuid NOT NULL,
+  team_id    text NOT NULL,
+  user_id    text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, user_id)
+);
+
+-- スレッドカード（1メッセージ1枚：parent_ts が一意キー）
+CREATE TABLE IF NOT EXISTS thread_cards (
+  id         uuid PRIMARY KEY,
+  team_id    text NOT NULL,
+  channel_id text NOT NULL,
+  parent_ts  text NOT NULL,
+  card_ts    text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (team_id, channel_id, parent_ts)
+);
+
+-- ユーザーの部署（"*-all" グループから解決した結果のキャッシュ）
+CREATE TABLE IF NOT EXISTS user_departments (
+  user_id     text PRIMARY KEY,
+  team_id     text NOT NULL,
+  dept_key    text,
+  dept_handle text,
+  updated_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS task_comments (
+  id         uuid PRIMARY KEY,
+  team_id    text NOT NULL,
+  task_id    text NOT NULL,
+  user_id    text NOT NULL,
+  comment    text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS task_comments_task_idx ON task_comments (team_id, task_id, created_at);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS user_home_presets;
+DROP TABLE IF EXISTS user_home_prefs;
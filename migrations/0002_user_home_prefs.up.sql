@@ -0,0 +1,20 @@
+-- Home の絞り込み条件（ユーザーごと）
+CREATE TABLE IF NOT EXISTS user_home_prefs (
+  team_id    text NOT NULL,
+  user_id    text NOT NULL,
+  prefs      jsonb NOT NULL DEFAULT '{}'::jsonb,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (team_id, user_id)
+);
+
+-- 名前付きプリセット（Home 上部から切り替え）
+CREATE TABLE IF NOT EXISTS user_home_presets (
+  id         uuid PRIMARY KEY,
+  team_id    text NOT NULL,
+  user_id    text NOT NULL,
+  name       text NOT NULL,
+  prefs      jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (team_id, user_id, name)
+);
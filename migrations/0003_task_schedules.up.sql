@@ -0,0 +1,25 @@
+-- 繰り返しタスク（テンプレート + 次回生成日）
+CREATE TABLE IF NOT EXISTS task_schedules (
+  id                 uuid PRIMARY KEY,
+  team_id            text NOT NULL,
+  template_task_id   text,
+  rule               text NOT NULL,
+  description        text NOT NULL DEFAULT '',
+  requester_user_id  text NOT NULL,
+  created_by_user_id text NOT NULL,
+  target_user_ids    text[] NOT NULL DEFAULT '{}',
+  target_group_ids   text[] NOT NULL DEFAULT '{}',
+  due_offset_days    integer NOT NULL DEFAULT 0,
+  next_run_date      date,
+  last_run_date      date,
+  active             boolean NOT NULL DEFAULT true,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS task_schedules_next_run_idx
+  ON task_schedules (next_run_date)
+  WHERE active;
+
+-- 生成されたタスク → どの繰り返しから作られたか
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS schedule_id text;
@@ -0,0 +1,14 @@
+-- 通知ログ（リマインド等の二重送信防止）
+-- kind: broadcast_before / broadcast_due / broadcast_overdue / broadcast_manual
+CREATE TABLE IF NOT EXISTS task_notifications (
+  team_id     text NOT NULL,
+  task_id     text NOT NULL,
+  user_id     text NOT NULL,
+  kind        text NOT NULL,
+  notify_date date NOT NULL,
+  sent_at     timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, user_id, kind, notify_date)
+);
+
+CREATE INDEX IF NOT EXISTS task_notifications_team_task_idx
+  ON task_notifications (team_id, task_id);
@@ -0,0 +1,14 @@
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS notified_at timestamptz;
+
+UPDATE tasks t
+SET notified_at = n.sent_at
+FROM (
+  SELECT task_id, MIN(sent_at) AS sent_at
+  FROM task_notifications
+  WHERE kind IN ('personal_due', 'broadcast_confirm')
+  GROUP BY task_id
+) n
+WHERE n.task_id = t.id;
+
+DELETE FROM task_notifications
+WHERE kind IN ('personal_due', 'personal_overdue', 'escalate_requester', 'escalate_lead', 'broadcast_confirm');
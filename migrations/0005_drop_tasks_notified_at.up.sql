@@ -0,0 +1,23 @@
+-- 期限通知の「送った」フラグを task_notifications に移す
+-- kind 追加: personal_due / personal_overdue / escalate_requester / escalate_lead / broadcast_confirm
+INSERT INTO task_notifications (team_id, task_id, user_id, kind, notify_date, sent_at)
+SELECT t.team_id, t.id, u.user_id, 'personal_due', t.due_date, t.notified_at
+FROM tasks t
+CROSS JOIN LATERAL (VALUES (t.requester_user_id), (t.assignee_id)) AS u(user_id)
+WHERE t.notified_at IS NOT NULL
+  AND t.due_date IS NOT NULL
+  AND (t.task_type IS NULL OR t.task_type = 'personal')
+  AND u.user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- broadcast は「全員完了 → 依頼者へ確認DM」を送ったかどうかに使っていた
+INSERT INTO task_notifications (team_id, task_id, user_id, kind, notify_date, sent_at)
+SELECT t.team_id, t.id, t.requester_user_id, 'broadcast_confirm',
+       (t.notified_at AT TIME ZONE 'Asia/Tokyo')::date, t.notified_at
+FROM tasks t
+WHERE t.notified_at IS NOT NULL
+  AND t.task_type = 'broadcast'
+  AND t.requester_user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE tasks DROP COLUMN IF EXISTS notified_at;
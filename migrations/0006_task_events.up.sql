@@ -0,0 +1,16 @@
+-- タスクの変更履歴（誰が・何を・どう変えたか）
+-- event_type: created / status / edit / completion
+CREATE TABLE IF NOT EXISTS task_events (
+  id            uuid PRIMARY KEY,
+  team_id       text NOT NULL,
+  task_id       text NOT NULL,
+  actor_user_id text,
+  event_type    text NOT NULL,
+  field         text,
+  old_value     text,
+  new_value     text,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS task_events_task_idx
+  ON task_events (team_id, task_id, created_at);
@@ -0,0 +1,2 @@
+ALTER TABLE tasks DROP COLUMN IF EXISTS checklist_auto_wait;
+DROP TABLE IF EXISTS task_checklist_items;
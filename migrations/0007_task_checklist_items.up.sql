@@ -0,0 +1,21 @@
+-- タスク内のチェック項目
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+  id                 uuid PRIMARY KEY,
+  team_id            text NOT NULL,
+  task_id            text NOT NULL,
+  body               text NOT NULL,
+  assignee_user_id   text,
+  checked            boolean NOT NULL DEFAULT false,
+  checked_by_user_id text,
+  checked_at         timestamptz,
+  position           integer NOT NULL DEFAULT 0,
+  created_by_user_id text,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS task_checklist_items_task_idx
+  ON task_checklist_items (team_id, task_id, position);
+
+-- personal：全部チェックで確認待ちへ
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS checklist_auto_wait boolean NOT NULL DEFAULT false;
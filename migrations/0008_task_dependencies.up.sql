@@ -0,0 +1,13 @@
+-- blocked-by：task_id は blocked_by_task_id が終わるまで着手できない
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  team_id            text NOT NULL,
+  task_id            text NOT NULL,
+  blocked_by_task_id text NOT NULL,
+  created_by_user_id text,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, blocked_by_task_id),
+  CHECK (task_id <> blocked_by_task_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_dependencies_blocker_idx
+  ON task_dependencies (team_id, blocked_by_task_id);
@@ -0,0 +1,2 @@
+ALTER TABLE task_schedules DROP COLUMN IF EXISTS priority;
+ALTER TABLE tasks DROP COLUMN IF EXISTS priority;
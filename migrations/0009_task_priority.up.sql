@@ -0,0 +1,3 @@
+-- 優先度（high / normal / low）
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority text NOT NULL DEFAULT 'normal';
+ALTER TABLE task_schedules ADD COLUMN IF NOT EXISTS priority text NOT NULL DEFAULT 'normal';
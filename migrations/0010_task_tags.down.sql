@@ -0,0 +1,2 @@
+ALTER TABLE task_schedules DROP COLUMN IF EXISTS tags;
+DROP TABLE IF EXISTS task_tags;
@@ -0,0 +1,14 @@
+-- タグ（自由入力、チーム内で補完）
+CREATE TABLE IF NOT EXISTS task_tags (
+  team_id    text NOT NULL,
+  task_id    text NOT NULL,
+  tag        text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS task_tags_team_tag_idx
+  ON task_tags (team_id, tag);
+
+-- 繰り返しで生成するタスクにも同じタグを付ける
+ALTER TABLE task_schedules ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
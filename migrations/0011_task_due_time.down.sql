@@ -0,0 +1,5 @@
+ALTER TABLE task_schedules DROP COLUMN IF EXISTS due_tz;
+ALTER TABLE task_schedules DROP COLUMN IF EXISTS due_time;
+
+ALTER TABLE tasks DROP COLUMN IF EXISTS due_tz;
+ALTER TABLE tasks DROP COLUMN IF EXISTS due_time;
@@ -0,0 +1,6 @@
+-- 期限の時刻（任意）：HH:MM を due_tz のタイムゾーンで解釈
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time text;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_tz text;
+
+ALTER TABLE task_schedules ADD COLUMN IF NOT EXISTS due_time text;
+ALTER TABLE task_schedules ADD COLUMN IF NOT EXISTS due_tz text;
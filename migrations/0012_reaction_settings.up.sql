@@ -0,0 +1,9 @@
+-- ワークスペースごとのリアクション設定（絵文字 → 動作）
+CREATE TABLE IF NOT EXISTS task_reaction_settings (
+  team_id            text NOT NULL,
+  reaction           text NOT NULL,
+  action             text NOT NULL,
+  updated_by_user_id text,
+  updated_at         timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (team_id, reaction)
+);
@@ -0,0 +1,3 @@
+ALTER TABLE tasks DROP COLUMN IF EXISTS source_deleted_at;
+ALTER TABLE tasks DROP COLUMN IF EXISTS source_edited_at;
+ALTER TABLE tasks DROP COLUMN IF EXISTS source_edited_text;
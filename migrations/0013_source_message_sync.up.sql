@@ -0,0 +1,4 @@
+-- 元メッセージの編集 / 削除の追随
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_edited_text text;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_edited_at timestamptz;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_deleted_at timestamptz;
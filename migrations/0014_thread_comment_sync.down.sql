@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS task_comments_slack_ts_uniq;
+ALTER TABLE task_comments DROP COLUMN IF EXISTS slack_ts;
+ALTER TABLE task_comments DROP COLUMN IF EXISTS source;
+ALTER TABLE tasks DROP COLUMN IF EXISTS thread_sync;
@@ -0,0 +1,9 @@
+-- スレッド返信 ↔ タスクコメントの連携（タスクごとに opt-in）
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS thread_sync boolean NOT NULL DEFAULT false;
+
+ALTER TABLE task_comments ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'modal';
+ALTER TABLE task_comments ADD COLUMN IF NOT EXISTS slack_ts text;
+
+-- slack_ts が NULL（連携前のコメント）は重複扱いにならない
+CREATE UNIQUE INDEX IF NOT EXISTS task_comments_slack_ts_uniq
+  ON task_comments (team_id, task_id, slack_ts);
@@ -0,0 +1,17 @@
+-- 担当変更（引き継ぎ）の依頼と履歴
+CREATE TABLE IF NOT EXISTS task_handoffs (
+  id                   uuid PRIMARY KEY,
+  team_id              text NOT NULL,
+  task_id              text NOT NULL,
+  from_user_id         text,
+  to_user_id           text NOT NULL,
+  requested_by_user_id text NOT NULL,
+  note                 text,
+  batch_id             uuid,
+  status               text NOT NULL DEFAULT 'pending', -- pending / accepted / declined / cancelled
+  created_at           timestamptz NOT NULL DEFAULT now(),
+  responded_at         timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS task_handoffs_task_idx ON task_handoffs (team_id, task_id, created_at);
+CREATE INDEX IF NOT EXISTS task_handoffs_batch_idx ON task_handoffs (team_id, batch_id) WHERE batch_id IS NOT NULL;
@@ -0,0 +1,10 @@
+-- 不在設定（期間 + 代理）…ユーザーごとに1件
+CREATE TABLE IF NOT EXISTS user_absences (
+  team_id          text NOT NULL,
+  user_id          text NOT NULL,
+  start_date       date NOT NULL,
+  end_date         date NOT NULL,
+  delegate_user_id text,
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (team_id, user_id)
+);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS task_target_exclusions;
+ALTER TABLE task_targets DROP COLUMN IF EXISTS source;
+ALTER TABLE tasks DROP COLUMN IF EXISTS follow_group;
@@ -0,0 +1,14 @@
+-- 作成後の対象者の追加/除外 + グループ追随
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS follow_group boolean NOT NULL DEFAULT false;
+
+-- source: initial（作成時）/ manual（手で追加）/ group（グループ同期で追加）
+ALTER TABLE task_targets ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'initial';
+
+-- 手で除外した人（グループ同期で戻さない）
+CREATE TABLE IF NOT EXISTS task_target_exclusions (
+  team_id    text NOT NULL,
+  task_id    uuid NOT NULL,
+  user_id    text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, user_id)
+);
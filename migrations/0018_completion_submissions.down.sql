@@ -0,0 +1,3 @@
+ALTER TABLE task_completions DROP COLUMN IF EXISTS files;
+ALTER TABLE task_completions DROP COLUMN IF EXISTS link_url;
+ALTER TABLE task_completions DROP COLUMN IF EXISTS note;
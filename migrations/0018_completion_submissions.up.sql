@@ -0,0 +1,4 @@
+-- broadcast の完了に添える提出内容（メモ / リンク / Slackファイル）
+ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS note text;
+ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS link_url text;
+ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS files jsonb NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,13 @@
+-- フォロワー（詳細の「フォローする」・メンション・👀 リアクションで追加）
+-- ※以前は 0012 で作っていたので IF NOT EXISTS（適用済みの環境では何もしない）
+CREATE TABLE IF NOT EXISTS task_watchers (
+  team_id    text NOT NULL,
+  task_id    text NOT NULL,
+  user_id    text NOT NULL,
+  source     text NOT NULL DEFAULT 'manual',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (task_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_watchers_user_idx
+  ON task_watchers (team_id, user_id);